@@ -0,0 +1,24 @@
+import { exportEphemeris, parseExportQuery } from '@/lib/export'
+
+// GET /api/ephemeris?start=2026-01-01&end=2026-02-01&step=6h&bodies=earth,moon
+// &frame=geocentric&unit=km&format=csv returns the same table as the export
+// panel. Times are UTC.
+
+// Much lower than the panel's limit, since one request holds up the server
+// while it is sampled.
+const MAX_ROUTE_ROWS = 10000
+
+export function GET(request) {
+  try {
+    const { options, format } = parseExportQuery(request.nextUrl.searchParams)
+    const { content, mimeType, filename } = exportEphemeris({ ...options, maxRows: MAX_ROUTE_ROWS }, format)
+    return new Response(content, {
+      headers: {
+        'Content-Type': `${mimeType}; charset=utf-8`,
+        'Content-Disposition': `inline; filename="${filename}"`,
+      },
+    })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 400 })
+  }
+}
@@ -0,0 +1,9 @@
+'use client'
+
+import dynamic from 'next/dynamic'
+
+const EmbeddedSolarSystem = dynamic(() => import('@/components/EmbeddedSolarSystem'), { ssr: false })
+
+export default function Embed() {
+  return <EmbeddedSolarSystem />
+}
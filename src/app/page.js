@@ -5,5 +5,5 @@ import dynamic from 'next/dynamic'
 const SolarSystem = dynamic(() => import('@/components/SolarSystem'), { ssr: false })
 
 export default function Home() {
-  return <SolarSystem />
-}
\ No newline at end of file
+  return <SolarSystem deepLink />
+}
@@ -0,0 +1,31 @@
+import { useState } from 'react'
+import SolarSystem from './SolarSystem'
+import { parseEmbedQuery } from '@/lib/embed'
+
+// The /embed route: a chrome-less SolarSystem configured from the query
+// string. Inside an iframe, selections and passed events are posted to the
+// parent window as { source: 'solar-system', type, ... } messages.
+
+function postToParent(message) {
+  window.parent.postMessage({ source: 'solar-system', ...message }, '*')
+}
+
+export default function EmbeddedSolarSystem() {
+  const [{ props, errors }] = useState(() => parseEmbedQuery(new URLSearchParams(window.location.search)))
+  const framed = window.parent !== window
+
+  return (
+    <>
+      <SolarSystem
+        {...props}
+        onSelect={framed ? (id) => postToParent({ type: 'select', id }) : undefined}
+        onEvent={framed ? (event) => postToParent({ type: 'event', event }) : undefined}
+      />
+      {errors.length > 0 && (
+        <ul className="embed-errors" role="alert">
+          {errors.map((error) => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+    </>
+  )
+}
@@ -1,40 +1,177 @@
-import React, { useRef, useMemo, useState, useEffect, Suspense } from 'react'
-import { Canvas, useFrame, useLoader } from '@react-three/fiber'
+import React, { createContext, useContext, useRef, useMemo, useState, useEffect, useCallback, useEffectEvent, useImperativeHandle, useSyncExternalStore, Suspense } from 'react'
+import { Canvas, useFrame, useLoader, useThree, advance, invalidate } from '@react-three/fiber'
 import { OrbitControls, Stars, Environment, Loader, Preload } from '@react-three/drei'
 import * as THREE from 'three'
+import { DEG, TWO_PI, positionAtEccentricAnomaly } from '@/lib/kepler'
+import { BODIES, DEFAULT_CATALOG, createCatalog, getBody, getChildren, getRootBodies, withVisibleBodies, formatPeriod, formatDistance } from '@/lib/bodies'
+import {
+  elementsAt,
+  elementsDriftInterval,
+  rotationAngle,
+  relativePosition,
+  parentFrameToEcliptic,
+  eclipticToParentFrame,
+  poleOrientation,
+  initialPhysicsState,
+  physicsBodies,
+} from '@/lib/ephemeris'
+import {
+  SCALE_MODES,
+  DEFAULT_SCALE,
+  getScaleMode,
+  orbitDistance,
+  scaleOffset,
+  sceneOffset,
+  bodyRadius,
+  radiusScale,
+  freeBodyScale,
+  distanceRatio,
+  sceneExtent,
+} from '@/lib/scale'
+import { ASSET_BASE_URL, assetUrl } from '@/lib/assets'
+import { dayLength, sunSubpoint, moonSubpoint, satelliteSubpoint, groundTrack, footprint, terminator } from '@/lib/groundtrack'
+import {
+  surfaceVertexShader,
+  surfaceFragmentShader,
+  atmosphereVertexShader,
+  atmosphereFragmentShader,
+} from './surfaceShader'
+import { SATELLITE_EVENT_LIMIT, SATELLITE_EVENT_DAYS, SEASONS, findSeasons } from '@/lib/events'
+import { OVERLAY_PANELS } from '@/lib/embed'
+import { SYNODIC_MONTH, lunarCycle, moonLibration, moonPhase, phasePath } from '@/lib/moon'
+import { VIEW_KEYS, parseViewQuery, viewQuery } from '@/lib/link'
+import { getBodyStates, statesById, updateBodyStates } from '@/lib/simulation'
+import { QUALITY_MODES, canvasDpr, createFrameMonitor, frameRate, getQualityLevel, recordFrame, sphereSegments } from '@/lib/quality'
+import { WEBM_CODECS, createWebMWriter } from '@/lib/webm'
+import { createMeasurement, measure, formatLightTime } from '@/lib/measure'
+import { parseScenario, buildCatalog, createScenario } from '@/lib/scenario'
+import { catmullRom, pathNeighbours, stepLength, transitionProgress } from '@/lib/tour'
+import { EXPORT_UNITS, EXPORT_FORMATS, MAX_EXPORT_ROWS, sampleCount, exportEphemeris } from '@/lib/export'
+import {
+  REFERENCE_FRAMES,
+  DEFAULT_FRAME,
+  getFrame,
+  frameRotation,
+  createTrailHistory,
+  clearTrailHistory,
+  recordTrailSample,
+  trailInFrame,
+} from '@/lib/frames'
+import { DEFAULT_TLE, loadSatellites, propagateSatellite, equatorialToScene, satelliteScenePosition } from '@/lib/tle'
+import {
+  DAYS_PER_YEAR,
+  nowSimTime,
+  simTimeToDate,
+  toSimTime,
+  formatDate,
+  formatTime,
+  formatDuration,
+  formatDateTime,
+  parseDateTime,
+  formatDateTimeInput,
+} from '@/lib/time'
 
-const EARTH_DAY_MAP = 'https://unpkg.com/three-globe/example/img/earth-day.jpg'
-const MOON_DIFFUSE = 'https://raw.githubusercontent.com/vasturiano/globe.gl/master/example/moon-landing-sites/lunar_surface.jpg'
+// The catalog this scene draws (see createCatalog). Scenarios, hidden bodies
+// and the precession setting belong to one SolarSystem, so it is passed down
+// the tree rather than kept in module state; the canvas forwards it.
+const CatalogContext = createContext(DEFAULT_CATALOG)
 
-const ORBITAL_PERIODS = {
-  EARTH_YEAR: 365.25,
-  EARTH_DAY: 1,
-  MOON_ORBIT: 27.3,
-  SATELLITE_ORBIT: 0.5,
+function useCatalog() {
+  return useContext(CatalogContext)
 }
 
-function OrbitPath({ radius, color, opacity = 0.3, segments = 128 }) {
-  const geometry = useMemo(() => {
-    const points = []
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)'
+
+function subscribeReducedMotion(callback) {
+  const query = window.matchMedia(REDUCED_MOTION_QUERY)
+  query.addEventListener('change', callback)
+  return () => query.removeEventListener('change', callback)
+}
+
+function prefersReducedMotion() {
+  return window.matchMedia(REDUCED_MOTION_QUERY).matches
+}
+
+// Follows the system "reduce motion" setting: no pulsing beacon, no eased
+// camera moves.
+function useReducedMotion() {
+  return useSyncExternalStore(subscribeReducedMotion, prefersReducedMotion, () => false)
+}
+
+const SATELLITE_FORWARD = new THREE.Vector3(1, 0, 0)
+
+const PATH_DRIFT_LIMIT = 0.5
+const scratchElements = {}
+const scratchPoint = new THREE.Vector3()
+
+function OrbitPath({ body, timeRef, scale, segments = 128 }) {
+  const lineRef = useRef()
+  const periapsisRef = useRef()
+  const apoapsisRef = useRef()
+  const builtRef = useRef({ time: null, scale: null })
+  const positions = useMemo(() => new Float32Array((segments + 1) * 3), [segments])
+  const refreshInterval = useMemo(() => elementsDriftInterval(body.orbit, PATH_DRIFT_LIMIT), [body])
+
+  const color = body.orbitColor || body.color
+  const { orbitOpacity = 0.3, showApsides = false } = body.display
+  const markerSize = orbitDistance(body, body.orbit.a, scale) * 0.008
+
+  useFrame(() => {
+    const time = timeRef.current
+    const built = builtRef.current
+    if (built.scale === scale && Math.abs(time - built.time) < refreshInterval) return
+    built.time = time
+    built.scale = scale
+
+    const orbit = elementsAt(body.orbit, time, scratchElements)
+    const attribute = lineRef.current.geometry.attributes.position
     for (let i = 0; i <= segments; i++) {
-      const angle = (i / segments) * Math.PI * 2
-      points.push(new THREE.Vector3(Math.cos(angle) * radius, 0, Math.sin(angle) * radius))
+      scaleOffset(body, positionAtEccentricAnomaly(orbit, (i / segments) * TWO_PI, scratchPoint), scale)
+      attribute.setXYZ(i, scratchPoint.x, scratchPoint.y, scratchPoint.z)
+    }
+    attribute.needsUpdate = true
+    lineRef.current.geometry.computeBoundingSphere()
+
+    if (periapsisRef.current) {
+      scaleOffset(body, positionAtEccentricAnomaly(orbit, 0, periapsisRef.current.position), scale)
     }
-    return new THREE.BufferGeometry().setFromPoints(points)
-  }, [radius, segments])
+    if (apoapsisRef.current) {
+      scaleOffset(body, positionAtEccentricAnomaly(orbit, Math.PI, apoapsisRef.current.position), scale)
+    }
+  })
 
   return (
-    <line geometry={geometry}>
-      <lineBasicMaterial color={color} opacity={opacity} transparent />
-    </line>
+    <group>
+      <line ref={lineRef}>
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+        </bufferGeometry>
+        <lineBasicMaterial color={color} opacity={orbitOpacity} transparent />
+      </line>
+      {showApsides && (
+        <>
+          <mesh ref={periapsisRef}>
+            <sphereGeometry args={[markerSize, 12, 12]} />
+            <meshBasicMaterial color={color} />
+          </mesh>
+          <mesh ref={apoapsisRef}>
+            <sphereGeometry args={[markerSize, 12, 12]} />
+            <meshBasicMaterial color={color} transparent opacity={0.5} />
+          </mesh>
+        </>
+      )}
+    </group>
   )
 }
 
-function Sun() {
+function Sun({ radius, lightScale, lightRange, quality }) {
+  const segments = sphereSegments(96, quality)
+  const glowSegments = sphereSegments(48, quality)
+
   return (
     <group>
       <mesh castShadow>
-        <sphereGeometry args={[3, 96, 96]} />
+        <sphereGeometry args={[radius, segments, segments]} />
         <meshStandardMaterial
           color="#ffcc66"
           emissive="#ffb347"
@@ -43,39 +180,42 @@ function Sun() {
         />
       </mesh>
       <mesh>
-        <sphereGeometry args={[3.4, 48, 48]} />
+        <sphereGeometry args={[radius * 1.13, glowSegments, glowSegments]} />
         <meshBasicMaterial color="#ff9900" transparent opacity={0.18} blending={THREE.AdditiveBlending} />
       </mesh>
       <mesh>
-        <sphereGeometry args={[3.8, 48, 48]} />
+        <sphereGeometry args={[radius * 1.27, glowSegments, glowSegments]} />
         <meshBasicMaterial color="#ff6600" transparent opacity={0.1} blending={THREE.AdditiveBlending} />
       </mesh>
+      {/* Three.js only allocates the shadow map once, so a new size needs a new light. */}
       <pointLight
+        key={quality.shadowMapSize}
         position={[0, 0, 0]}
-        intensity={3.2}
+        intensity={3.2 * lightScale ** 2}
         color="#ffffff"
-        distance={400}
+        distance={lightRange}
         decay={2}
         castShadow
-        shadow-mapSize-width={2048}
-        shadow-mapSize-height={2048}
+        shadow-mapSize-width={quality.shadowMapSize}
+        shadow-mapSize-height={quality.shadowMapSize}
       />
     </group>
   )
 }
 
-function Satellite({ satelliteRef }) {
+function Satellite() {
   const beaconRef = useRef()
   const beaconLightRef = useRef()
+  const reducedMotion = useReducedMotion()
 
   useFrame(({ clock }) => {
-    const pulse = 0.3 + 0.7 * (0.5 + 0.5 * Math.sin(clock.elapsedTime * 4))
+    const pulse = reducedMotion ? 0.8 : 0.3 + 0.7 * (0.5 + 0.5 * Math.sin(clock.elapsedTime * 4))
     if (beaconRef.current) beaconRef.current.material.opacity = pulse
     if (beaconLightRef.current) beaconLightRef.current.intensity = pulse * 1.5
   })
 
   return (
-    <group ref={satelliteRef}>
+    <group>
       <mesh castShadow>
         <boxGeometry args={[0.12, 0.06, 0.12]} />
         <meshStandardMaterial color="#cfd3d8" metalness={0.85} roughness={0.35} />
@@ -101,691 +241,5208 @@ function Satellite({ satelliteRef }) {
   )
 }
 
-function Moon({ moonRef }) {
-  const [moonMap] = useLoader(THREE.TextureLoader, [MOON_DIFFUSE])
+function TexturedMaterial({ body }) {
+  const [map] = useLoader(THREE.TextureLoader, [assetUrl(body.texture.url)])
 
-  useEffect(() => {
-    if (moonMap) moonMap.anisotropy = 8
-  }, [moonMap])
+  return (
+    <meshStandardMaterial
+      map={map}
+      map-anisotropy={body.texture.anisotropy || 1}
+      roughness={body.roughness ?? 0.9}
+      metalness={body.metalness ?? 0}
+    />
+  )
+}
+
+const scratchSun = new THREE.Vector3()
+const scratchEarth = new THREE.Vector3()
+const scratchSurface = new THREE.Vector3()
+
+function prepareTexture(texture, { srgb = true, anisotropy = 1 } = {}) {
+  if (srgb) texture.colorSpace = THREE.SRGBColorSpace
+  texture.anisotropy = anisotropy
+  return texture
+}
+
+function usesSurfaceShader(body) {
+  return Boolean(body.texture && (body.texture.night || body.texture.specular || body.atmosphere || body.earthshine))
+}
+
+const SURFACE_MAP_KEYS = ['url', 'night', 'specular']
+
+function surfaceMapKeys(body) {
+  return SURFACE_MAP_KEYS.filter((key) => body.texture[key])
+}
+
+function createSurfaceShader(body, textures) {
+  const maps = Object.fromEntries(surfaceMapKeys(body).map((key, index) => [key, textures[index]]))
+  const anisotropy = body.texture.anisotropy || 1
+  const uniforms = {
+    dayMap: { value: prepareTexture(maps.url, { anisotropy }) },
+    sunPosition: { value: new THREE.Vector3() },
+  }
+  const defines = {}
+
+  if (maps.night) {
+    defines.USE_NIGHT_MAP = ''
+    uniforms.nightMap = { value: prepareTexture(maps.night, { anisotropy }) }
+    uniforms.nightIntensity = { value: 1.4 }
+  }
+  if (maps.specular) {
+    defines.USE_SPECULAR_MAP = ''
+    uniforms.specularMap = { value: prepareTexture(maps.specular, { srgb: false }) }
+  }
+  if (body.atmosphere) {
+    defines.USE_ATMOSPHERE = ''
+    uniforms.atmosphereColor = { value: new THREE.Color(body.atmosphere.color) }
+  }
+  if (body.earthshine) {
+    defines.USE_EARTHSHINE = ''
+    uniforms.earthPosition = { value: new THREE.Vector3() }
+    uniforms.earthshine = { value: 0 }
+  }
+
+  return { uniforms, defines, vertexShader: surfaceVertexShader, fragmentShader: surfaceFragmentShader }
+}
+
+// Scene objects are looked up by body id once and cached, since the surface
+// shader needs world positions of bodies elsewhere in the tree.
+function findObject(scene, cache, id) {
+  if (!cache[id]) cache[id] = scene.getObjectByName(id)
+  return cache[id]
+}
+
+function SurfaceMaterial({ body }) {
+  const materialRef = useRef()
+  const objectsRef = useRef({})
+  const textures = useLoader(THREE.TextureLoader, surfaceMapKeys(body).map((key) => assetUrl(body.texture[key])))
+  const shader = useMemo(() => createSurfaceShader(body, textures), [body, textures])
+
+  useFrame(({ scene }) => {
+    const { uniforms } = materialRef.current
+    const sun = findObject(scene, objectsRef.current, 'sun')
+    if (sun) sun.getWorldPosition(uniforms.sunPosition.value)
+    if (!body.earthshine) return
+
+    const earth = findObject(scene, objectsRef.current, body.parent)
+    const self = findObject(scene, objectsRef.current, body.id)
+    if (!earth || !self) return
+
+    // Earthshine scales with how much of the Earth's day side faces the Moon.
+    earth.getWorldPosition(uniforms.earthPosition.value)
+    scratchSun.copy(uniforms.sunPosition.value).sub(uniforms.earthPosition.value).normalize()
+    self.getWorldPosition(scratchSurface).sub(uniforms.earthPosition.value).normalize()
+    uniforms.earthshine.value = body.earthshine * 0.5 * (1 + scratchSun.dot(scratchSurface))
+  })
+
+  return <shaderMaterial ref={materialRef} args={[shader]} />
+}
+
+function CloudMaterial({ body }) {
+  const [map] = useLoader(THREE.TextureLoader, [assetUrl(body.clouds.url)])
 
   return (
-    <mesh ref={moonRef} castShadow receiveShadow>
-      <sphereGeometry args={[0.27, 48, 48]} />
-      <meshStandardMaterial map={moonMap} roughness={1} metalness={0} />
-    </mesh>
+    <meshStandardMaterial
+      map={map}
+      transparent
+      opacity={body.clouds.opacity ?? 1}
+      depthWrite={false}
+      roughness={1}
+      metalness={0}
+    />
   )
 }
 
-function Earth() {
-  const [colorMap] = useLoader(THREE.TextureLoader, [EARTH_DAY_MAP])
+function CloudLayer({ body, timeRef, quality, onAssetError }) {
+  const cloudRef = useRef()
+  const segments = sphereSegments(body.display.segments || 32, quality)
 
-  useEffect(() => {
-    if (colorMap) {
-      colorMap.anisotropy = 16
-      colorMap.minFilter = THREE.LinearMipmapLinearFilter
-      colorMap.magFilter = THREE.LinearFilter
-    }
-  }, [colorMap])
+  useFrame(() => {
+    // Gone when the texture failed to load.
+    if (cloudRef.current) cloudRef.current.rotation.y = rotationAngle(body.clouds, timeRef.current)
+  })
+
+  // The boundary drops the whole shell, which would otherwise be drawn with a
+  // default opaque material.
+  return (
+    <AssetBoundary fallback={null} onError={(error) => onAssetError?.(body, error)}>
+      <mesh ref={cloudRef}>
+        <sphereGeometry args={[body.display.radius * 1.012, segments, segments]} />
+        <CloudMaterial body={body} />
+      </mesh>
+    </AssetBoundary>
+  )
+}
+
+function Atmosphere({ body, quality }) {
+  const segments = sphereSegments(64, quality)
+  const materialRef = useRef()
+  const objectsRef = useRef({})
+  const shader = useMemo(() => ({
+    uniforms: {
+      sunPosition: { value: new THREE.Vector3() },
+      atmosphereColor: { value: new THREE.Color(body.atmosphere.color) },
+    },
+    vertexShader: atmosphereVertexShader,
+    fragmentShader: atmosphereFragmentShader,
+  }), [body])
+
+  useFrame(({ scene }) => {
+    const sun = findObject(scene, objectsRef.current, 'sun')
+    if (sun) sun.getWorldPosition(materialRef.current.uniforms.sunPosition.value)
+  })
 
   return (
-    <mesh rotation={[0.41, 0, 0]} castShadow receiveShadow>
-      <sphereGeometry args={[1, 96, 96]} />
-      <meshStandardMaterial
-        map={colorMap}
-        roughness={0.8}
-        metalness={0.1}
+    <mesh>
+      <sphereGeometry args={[body.display.radius * (1 + body.atmosphere.thickness), segments, segments]} />
+      <shaderMaterial
+        ref={materialRef}
+        args={[shader]}
+        side={THREE.BackSide}
+        transparent
+        depthWrite={false}
+        blending={THREE.AdditiveBlending}
       />
     </mesh>
   )
 }
 
-function EarthSystem({ timeRef, setCameraTarget }) {
-  const earthOrbitRef = useRef()
-  const earthSpinRef = useRef()
-  const moonRef = useRef()
-  const satelliteRef = useRef()
+function ColorMaterial({ body }) {
+  return <meshStandardMaterial color={body.color} roughness={body.roughness ?? 0.9} metalness={body.metalness ?? 0} />
+}
 
-  const earthOrbitRadius = 25
-  const moonOrbitRadius = 2.5
-  const satelliteOrbitRadius = 1.3
-  const satelliteInclination = 0.5
+// A texture that fails to load would otherwise take down the whole Suspense
+// tree; this swaps in the fallback and reports the failure once.
+class AssetBoundary extends React.Component {
+  state = { failed: false }
 
-  useFrame(() => {
-    const time = timeRef.current
+  static getDerivedStateFromError() {
+    return { failed: true }
+  }
 
-    const earthAngle = (time / ORBITAL_PERIODS.EARTH_YEAR) * Math.PI * 2
-    earthOrbitRef.current.position.x = Math.cos(earthAngle) * earthOrbitRadius
-    earthOrbitRef.current.position.z = Math.sin(earthAngle) * earthOrbitRadius
+  componentDidCatch(error) {
+    this.props.onError?.(error)
+  }
 
-    earthSpinRef.current.rotation.y = (time / ORBITAL_PERIODS.EARTH_DAY) * Math.PI * 2
+  render() {
+    return this.state.failed ? this.props.fallback : this.props.children
+  }
+}
 
-    const moonAngle = (time / ORBITAL_PERIODS.MOON_ORBIT) * Math.PI * 2
-    moonRef.current.position.x = Math.cos(moonAngle) * moonOrbitRadius
-    moonRef.current.position.z = Math.sin(moonAngle) * moonOrbitRadius
+function PlanetSurface({ body, quality, onAssetError }) {
+  const segments = sphereSegments(body.display.segments || 32, quality)
 
-    const satAngle = (time / ORBITAL_PERIODS.SATELLITE_ORBIT) * Math.PI * 2
-    const cosInc = Math.cos(satelliteInclination)
-    const sinInc = Math.sin(satelliteInclination)
-    
-    satelliteRef.current.position.x = Math.cos(satAngle) * satelliteOrbitRadius
-    satelliteRef.current.position.y = Math.sin(satAngle) * sinInc * satelliteOrbitRadius
-    satelliteRef.current.position.z = Math.sin(satAngle) * cosInc * satelliteOrbitRadius
-    satelliteRef.current.rotation.y = -satAngle + Math.PI / 2
+  return (
+    <mesh castShadow receiveShadow>
+      <sphereGeometry args={[body.display.radius, segments, segments]} />
+      {body.texture ? (
+        <AssetBoundary fallback={<ColorMaterial body={body} />} onError={(error) => onAssetError?.(body, error)}>
+          {usesSurfaceShader(body) ? <SurfaceMaterial body={body} /> : <TexturedMaterial body={body} />}
+        </AssetBoundary>
+      ) : (
+        <ColorMaterial body={body} />
+      )}
+    </mesh>
+  )
+}
 
-    const earthWorldPos = new THREE.Vector3()
-    earthOrbitRef.current.getWorldPosition(earthWorldPos)
+// A group in `body`'s equatorial frame (y along the north pole, x toward the
+// equinox). The body spins inside it, so the axis keeps its direction among
+// the stars; it only moves when axial precession is on.
+function EquatorFrame({ body, statesRef, children }) {
+  const groupRef = useRef()
 
-    setCameraTarget(earthWorldPos)
+  useFrame(() => {
+    const { pole } = statesRef.current[body.id]
+    groupRef.current.rotation.set(-pole.tilt, pole.precession, 0, 'YXZ')
   })
 
+  return <group ref={groupRef}>{children}</group>
+}
+
+const AXIS_LENGTH = 1.6
+const AXIS_COLOR = '#e0e0e0'
+const EQUATOR_COLOR = '#ffd54f'
+const EQUATOR_SEGMENTS = 96
+
+// The rotation axis, with a cone on the north end, and the equator, in body
+// radii.
+function AxisGuide({ body }) {
+  const radius = body.display.radius
+  const axis = useMemo(() => new Float32Array([0, -AXIS_LENGTH * radius, 0, 0, AXIS_LENGTH * radius, 0]), [radius])
+  const equator = useMemo(() => {
+    const points = new Float32Array((EQUATOR_SEGMENTS + 1) * 3)
+    for (let i = 0; i <= EQUATOR_SEGMENTS; i++) {
+      const angle = (i / EQUATOR_SEGMENTS) * TWO_PI
+      points.set([Math.cos(angle) * radius * 1.02, 0, Math.sin(angle) * radius * 1.02], i * 3)
+    }
+    return points
+  }, [radius])
+
   return (
     <group>
-      <OrbitPath radius={earthOrbitRadius} color="#4a90d9" opacity={0.18} />
-      <group ref={earthOrbitRef}>
-        <group ref={earthSpinRef}>
-          <Earth />
-        </group>
-        <Moon moonRef={moonRef} />
-        <OrbitPath radius={moonOrbitRadius} color="#888888" opacity={0.35} />
-        <Satellite satelliteRef={satelliteRef} />
-        <group rotation={[satelliteInclination, 0, 0]}>
-          <OrbitPath radius={satelliteOrbitRadius} color="#ff6666" opacity={0.5} />
-        </group>
-      </group>
+      <line>
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" args={[axis, 3]} />
+        </bufferGeometry>
+        <lineBasicMaterial color={AXIS_COLOR} />
+      </line>
+      <mesh position={[0, AXIS_LENGTH * radius, 0]}>
+        <coneGeometry args={[0.06 * radius, 0.2 * radius, 12]} />
+        <meshBasicMaterial color={AXIS_COLOR} />
+      </mesh>
+      <line>
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" args={[equator, 3]} />
+        </bufferGeometry>
+        <lineBasicMaterial color={EQUATOR_COLOR} opacity={0.8} transparent />
+      </line>
     </group>
   )
 }
 
-function Scene({ timeRef, isPaused, timeSpeed, cameraMode, setCameraTarget }) {
-  const controlsRef = useRef()
-  const [target, setTarget] = useState(null)
+const SEASON_COLORS = { equinox: '#81c784', solstice: '#ffb74d' }
+const SEASON_DRIFT = 0.01 * DEG
+const scratchSeasonPole = { tilt: 0, precession: 0 }
 
-  useFrame((state, delta) => {
-    if (!isPaused) {
-      const speed = cameraMode === 'earth' ? 0.1 : timeSpeed
-      timeRef.current += delta * speed
+// Where Earth is at the equinoxes and solstices of the year around the
+// current time, with lines to the Sun. They are found again as the orbit
+// drifts, or when the equinox moves with precession.
+function SeasonMarkers({ body, timeRef, scale }) {
+  const markerRefs = useRef([])
+  const linesRef = useRef()
+  const builtRef = useRef({ time: null, scale: null, precession: null })
+  const positions = useMemo(() => new Float32Array(SEASONS.length * 6), [])
+  const refreshInterval = useMemo(() => Math.min(elementsDriftInterval(body.orbit, PATH_DRIFT_LIMIT), DAYS_PER_YEAR / 4), [body])
+  const markerSize = orbitDistance(body, body.orbit.a, scale) * 0.012
+  const catalog = useCatalog()
+
+  useFrame(() => {
+    const time = timeRef.current
+    const built = builtRef.current
+    const { precession } = poleOrientation(getBody('earth', catalog), time, scratchSeasonPole, catalog)
+    if (built.scale === scale && Math.abs(time - built.time) < refreshInterval && Math.abs(precession - built.precession) < SEASON_DRIFT) return
+    built.time = time
+    built.scale = scale
+    built.precession = precession
+
+    const attribute = linesRef.current.geometry.attributes.position
+    for (const season of findSeasons(time - DAYS_PER_YEAR / 2, time + DAYS_PER_YEAR / 2, catalog)) {
+      const index = season.longitude / 90
+      const marker = markerRefs.current[index]
+      scaleOffset(body, relativePosition(body, season.time, marker.position), scale)
+      attribute.setXYZ(index * 2 + 1, marker.position.x, marker.position.y, marker.position.z)
     }
+    attribute.needsUpdate = true
+    linesRef.current.geometry.computeBoundingSphere()
+  })
 
-    if (controlsRef.current) {
-      if (cameraMode === 'earth' && target) {
-        const currentTarget = controlsRef.current.target
-        currentTarget.lerp(target, 0.05)
-        
-        const camera = state.camera
-        const targetDistance = 15
-        
-        const direction = new THREE.Vector3()
-        direction.subVectors(camera.position, currentTarget).normalize()
-        const currentDistance = camera.position.distanceTo(currentTarget)
-        const newDistance = THREE.MathUtils.lerp(currentDistance, targetDistance, 0.05)
-        
-        camera.position.copy(currentTarget).add(direction.multiplyScalar(newDistance))
-        controlsRef.current.update()
-      } else if (cameraMode === 'overview') {
-        const currentTarget = controlsRef.current.target
-        const overviewTarget = new THREE.Vector3(0, 0, 0)
-        currentTarget.lerp(overviewTarget, 0.05)
-        
-        const camera = state.camera
-        const targetDistance = 60
-        
-        const direction = new THREE.Vector3()
-        direction.subVectors(camera.position, currentTarget).normalize()
-        const currentDistance = camera.position.distanceTo(currentTarget)
-        const newDistance = THREE.MathUtils.lerp(currentDistance, targetDistance, 0.05)
-        
-        camera.position.copy(currentTarget).add(direction.multiplyScalar(newDistance))
-        controlsRef.current.update()
-      }
+  return (
+    <group>
+      <lineSegments ref={linesRef}>
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+        </bufferGeometry>
+        <lineBasicMaterial color={AXIS_COLOR} opacity={0.15} transparent />
+      </lineSegments>
+      {SEASONS.map((season, index) => (
+        <mesh key={season.title} ref={(node) => { markerRefs.current[index] = node }}>
+          <sphereGeometry args={[markerSize, 12, 12]} />
+          <meshBasicMaterial color={SEASON_COLORS[season.type]} />
+        </mesh>
+      ))}
+    </group>
+  )
+}
+
+function Rings({ body }) {
+  const { inner, outer, color, opacity } = body.rings
+  const innerRadius = (inner / body.radius) * body.display.radius
+  const outerRadius = (outer / body.radius) * body.display.radius
+
+  return (
+    <mesh rotation={[-Math.PI / 2, 0, 0]} receiveShadow>
+      <ringGeometry args={[innerRadius, outerRadius, 128]} />
+      <meshStandardMaterial color={color} transparent opacity={opacity} side={THREE.DoubleSide} roughness={1} />
+    </mesh>
+  )
+}
+
+const SATELLITE_MODEL_LIMIT = 24
+const SATELLITE_TRACK_SEGMENTS = 128
+const INSTANCE_BATCH_SIZE = 1500
+const scratchSatellite = new THREE.Vector3()
+const scratchMatrix = new THREE.Matrix4()
+const hiddenMatrix = new THREE.Matrix4().makeScale(0, 0, 0)
+
+// Satellite models and markers are sized relative to the drawn Earth.
+function satelliteScale(earthRadius, catalog) {
+  return earthRadius / getBody('earth', catalog).display.radius
+}
+
+function SatelliteTrack({ satellite, timeRef, earthRadius, placement }) {
+  const lineRef = useRef()
+  const builtRef = useRef({ time: null, earthRadius: null })
+  const positions = useMemo(() => new Float32Array((SATELLITE_TRACK_SEGMENTS + 1) * 3), [])
+
+  useFrame(() => {
+    const time = timeRef.current
+    const built = builtRef.current
+    if (built.earthRadius === earthRadius && Math.abs(time - built.time) < satellite.period / 16) return
+    built.time = time
+    built.earthRadius = earthRadius
+
+    const attribute = lineRef.current.geometry.attributes.position
+    let drawn = 0
+    for (let i = 0; i <= SATELLITE_TRACK_SEGMENTS; i++) {
+      const sampleTime = time + (i / SATELLITE_TRACK_SEGMENTS) * satellite.period
+      if (!satelliteScenePosition(satellite, sampleTime, earthRadius, scratchSatellite, placement)) break
+      attribute.setXYZ(i, scratchSatellite.x, scratchSatellite.y, scratchSatellite.z)
+      drawn++
     }
+    lineRef.current.geometry.setDrawRange(0, drawn)
+    attribute.needsUpdate = true
+    lineRef.current.geometry.computeBoundingSphere()
+  })
+
+  return (
+    <line ref={lineRef}>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+      </bufferGeometry>
+      <lineBasicMaterial color={satellite.color} opacity={0.5} transparent />
+    </line>
+  )
+}
+
+function TrackedSatellite({ satellite, timeRef, earthRadius, placement, interaction }) {
+  const groupRef = useRef()
+  const velocity = useMemo(() => new THREE.Vector3(), [])
+  const handlers = useMemo(() => pickHandlers(interaction, () => satellite.id), [interaction, satellite.id])
+  const catalog = useCatalog()
+
+  useEffect(() => {
+    interaction.registerBody(satellite.id, groupRef.current)
+    return () => interaction.registerBody(satellite.id, null)
+  }, [satellite.id, interaction])
+
+  useFrame(() => {
+    const state = propagateSatellite(satellite, timeRef.current)
+    groupRef.current.visible = Boolean(state)
+    if (!state) return
+
+    equatorialToScene(state.position, earthRadius, groupRef.current.position, placement)
+    velocity.set(state.velocity.x, state.velocity.z, -state.velocity.y).normalize()
+    groupRef.current.quaternion.setFromUnitVectors(SATELLITE_FORWARD, velocity)
   })
 
   return (
     <>
-      <ambientLight intensity={0.08} />
-      <Environment preset="night" />
-      <Stars radius={260} depth={80} count={3500} factor={3.5} fade speed={0.2} saturation={0} />
-      <Sun />
-      <EarthSystem timeRef={timeRef} setCameraTarget={setTarget} />
-      <OrbitControls
-        ref={controlsRef}
-        autoRotate={false}
-        target={[0, 0, 0]}
-        minDistance={2}
-        maxDistance={160}
-        enableDamping
-        dampingFactor={0.06}
-        enableZoom={true}
-        enablePan={true}
-        touches={{
-          ONE: THREE.TOUCH.ROTATE,
-          TWO: THREE.TOUCH.DOLLY_PAN
-        }}
-        mouseButtons={{
-          LEFT: THREE.MOUSE.ROTATE,
-          MIDDLE: THREE.MOUSE.DOLLY,
-          RIGHT: THREE.MOUSE.PAN
-        }}
-      />
+      <group ref={groupRef} scale={satelliteScale(earthRadius, catalog)} {...handlers}>
+        <Satellite />
+      </group>
+      <SatelliteTrack satellite={satellite} timeRef={timeRef} earthRadius={earthRadius} placement={placement} />
     </>
   )
 }
 
-const styles = `
-  @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;600&display=swap');
+// Stands in for an Object3D in the body registry so an instanced satellite
+// can be followed by the camera like any other body.
+function instanceLocator(mesh, index) {
+  const matrix = new THREE.Matrix4()
+  return {
+    getWorldPosition(out) {
+      mesh.getMatrixAt(index, matrix)
+      return out.setFromMatrixPosition(matrix).applyMatrix4(mesh.matrixWorld)
+    },
+  }
+}
 
-  * { margin: 0; padding: 0; box-sizing: border-box; }
+function SatelliteInstances({ satellites, timeRef, earthRadius, placement, interaction }) {
+  const meshRef = useRef()
+  const cursorRef = useRef(0)
+  const handlers = useMemo(
+    () => pickHandlers(interaction, (e) => satellites[e.instanceId]?.id),
+    [interaction, satellites],
+  )
+  const catalog = useCatalog()
 
-  html, body {
-    overscroll-behavior: none;
-    touch-action: pan-x pan-y pinch-zoom;
-  }
+  useEffect(() => {
+    const mesh = meshRef.current
+    satellites.forEach((satellite, index) => interaction.registerBody(satellite.id, instanceLocator(mesh, index)))
+    return () => satellites.forEach((satellite) => interaction.registerBody(satellite.id, null))
+  }, [satellites, interaction])
 
-  canvas {
-    touch-action: pan-x pan-y pinch-zoom;
-  }
+  useEffect(() => {
+    const color = new THREE.Color()
+    satellites.forEach((satellite, index) => {
+      meshRef.current.setColorAt(index, color.set(satellite.color))
+    })
+    meshRef.current.instanceColor.needsUpdate = true
+  }, [satellites])
 
-  :root {
-    --glass-bg: rgba(15, 15, 20, 0.75);
-    --glass-border: 1px solid rgba(255, 255, 255, 0.1);
-    --accent: #ffd700;
-    --text-muted: #a1a1aa;
-    --text-light: #ffffff;
-  }
+  useFrame(() => {
+    const mesh = meshRef.current
+    const time = timeRef.current
+    const count = satellites.length
+    const batch = Math.min(count, INSTANCE_BATCH_SIZE)
+    const size = satelliteScale(earthRadius, catalog)
 
-  .ui-container {
-    font-family: 'Inter', sans-serif;
-    pointer-events: none;
-    position: absolute;
-    inset: 0;
-    display: flex;
-    flex-direction: column;
-    padding: 20px;
-    gap: 16px;
-  }
+    for (let n = 0; n < batch; n++) {
+      const index = (cursorRef.current + n) % count
+      const position = satelliteScenePosition(satellites[index], time, earthRadius, scratchSatellite, placement)
+      if (position) {
+        scratchMatrix.makeScale(size, size, size).setPosition(position.x, position.y, position.z)
+        mesh.setMatrixAt(index, scratchMatrix)
+      } else {
+        mesh.setMatrixAt(index, hiddenMatrix)
+      }
+    }
+    cursorRef.current = (cursorRef.current + batch) % count
+    mesh.instanceMatrix.needsUpdate = true
+  })
 
-  .ui-header {
-    pointer-events: auto;
-    display: flex;
-    justify-content: space-between;
-    align-items: flex-start;
-    gap: 16px;
-    flex-shrink: 0;
-  }
+  return (
+    <instancedMesh
+      key={satellites.length}
+      ref={meshRef}
+      args={[undefined, undefined, satellites.length]}
+      frustumCulled={false}
+      {...handlers}
+    >
+      <sphereGeometry args={[0.012, 6, 6]} />
+      <meshBasicMaterial color="#ffffff" />
+    </instancedMesh>
+  )
+}
 
-  .title-group h1 {
-    font-size: 24px;
-    font-weight: 600;
-    color: var(--text-light);
-    letter-spacing: -0.02em;
-    margin: 0;
-    text-transform: uppercase;
-  }
-  
-  .title-group p {
-    font-size: 13px;
-    color: var(--text-muted);
-    margin: 4px 0 0 0;
-  }
+function SatelliteLayer({ satellites, timeRef, earthRadius, placement, interaction }) {
+  if (satellites.length === 0) return null
 
-  .info-toggle {
-    background: var(--glass-bg);
-    border: var(--glass-border);
-    color: var(--text-light);
-    width: 44px;
-    height: 44px;
-    border-radius: 50%;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    backdrop-filter: blur(12px);
-    cursor: pointer;
-    transition: all 0.2s ease;
-    flex-shrink: 0;
+  if (satellites.length > SATELLITE_MODEL_LIMIT) {
+    return (
+      <SatelliteInstances
+        satellites={satellites}
+        timeRef={timeRef}
+        earthRadius={earthRadius}
+        placement={placement}
+        interaction={interaction}
+      />
+    )
   }
-  .info-toggle:hover { background: rgba(255,255,255,0.1); }
-  .info-toggle:active { transform: scale(0.95); }
 
-  .info-section {
-    flex-shrink: 0;
-    display: flex;
-    flex-direction: column;
-    gap: 12px;
-    max-width: 320px;
-    transition: all 0.3s ease;
-  }
+  return satellites.map((satellite) => (
+    <TrackedSatellite
+      key={satellite.id}
+      satellite={satellite}
+      timeRef={timeRef}
+      earthRadius={earthRadius}
+      placement={placement}
+      interaction={interaction}
+    />
+  ))
+}
 
-  .info-section.hidden {
-    opacity: 0;
-    pointer-events: none;
-    transform: translateY(-10px);
-  }
+const COMPRESSED_ALTITUDE = { compressAltitude: true }
+const TRUE_ALTITUDE = { compressAltitude: false }
 
-  .info-panel, .camera-modes {
-    pointer-events: auto;
-    background: var(--glass-bg);
-    backdrop-filter: blur(12px);
-    border: var(--glass-border);
-    border-radius: 16px;
-    padding: 16px;
-  }
+function BodyOrbits({
+  body,
+  timeRef,
+  statesRef,
+  interaction,
+  satellites,
+  physicsRef,
+  simulationMode,
+  showOrbits,
+  showAxes,
+  scale,
+  quality,
+  onAssetError,
+}) {
+  const catalog = useCatalog()
+  const children = getChildren(body.id, catalog)
+  const equatorial = children.filter((child) => child.orbit.equatorial)
+  const ecliptic = children.filter((child) => !child.orbit.equatorial)
 
-  .info-row {
-    margin-bottom: 14px;
-    padding-bottom: 10px;
-    border-bottom: 1px solid rgba(255,255,255,0.05);
-  }
-  .info-row:last-child { border-bottom: none; margin-bottom: 0; padding-bottom: 0; }
-  
-  .info-label {
+  const renderChildren = (list) => list.map((child) => (
+    <React.Fragment key={child.id}>
+      {showOrbits && !child.hidden && <OrbitPath body={child} timeRef={timeRef} scale={scale} />}
+      {showAxes && child.id === 'earth' && !child.hidden && <SeasonMarkers body={child} timeRef={timeRef} scale={scale} />}
+      {simulationMode === 'physics' && Boolean(child.gm) && (
+        <AnalyticGhost body={child} statesRef={statesRef} scale={scale} />
+      )}
+      <Body
+        body={child}
+        timeRef={timeRef}
+        statesRef={statesRef}
+        interaction={interaction}
+        satellites={satellites}
+        physicsRef={physicsRef}
+        simulationMode={simulationMode}
+        showOrbits={showOrbits}
+        showAxes={showAxes}
+        scale={scale}
+        quality={quality}
+        onAssetError={onAssetError}
+      />
+    </React.Fragment>
+  ))
+
+  const hasSatellites = body.id === 'earth' && satellites.length > 0
+
+  return (
+    <>
+      {renderChildren(ecliptic)}
+      {(equatorial.length > 0 || hasSatellites) && (
+        <EquatorFrame body={body} statesRef={statesRef}>
+          {renderChildren(equatorial)}
+          {hasSatellites && (
+            <SatelliteLayer
+              satellites={satellites}
+              timeRef={timeRef}
+              earthRadius={bodyRadius(body, scale)}
+              placement={scale.mode === 'true' ? TRUE_ALTITUDE : COMPRESSED_ALTITUDE}
+              interaction={interaction}
+            />
+          )}
+        </EquatorFrame>
+      )}
+    </>
+  )
+}
+
+function Body({
+  body,
+  timeRef,
+  statesRef,
+  interaction,
+  satellites,
+  physicsRef,
+  simulationMode,
+  showOrbits,
+  showAxes,
+  scale,
+  quality,
+  onAssetError,
+}) {
+  const orbitRef = useRef()
+  const spinRef = useRef()
+  const handlers = useMemo(() => pickHandlers(interaction, () => body.id), [interaction, body.id])
+  const catalog = useCatalog()
+
+  useEffect(() => {
+    interaction.registerBody(body.id, orbitRef.current)
+    return () => interaction.registerBody(body.id, null)
+  }, [body.id, interaction])
+
+  useFrame(() => {
+    const states = statesRef.current
+
+    if (body.orbit && !physicsScenePosition(physicsRef.current, body, scale, orbitRef.current.position, catalog)) {
+      sceneOffset(states, body, scale, orbitRef.current.position)
+    }
+    if (spinRef.current) spinRef.current.rotation.y = states[body.id].rotation
+  })
+
+  return (
+    <group ref={orbitRef} name={body.id}>
+      {!body.hidden && (
+        <group scale={radiusScale(body, scale)} {...handlers}>
+          {body.kind === 'star' && (
+            <Sun
+              radius={body.display.radius}
+              lightScale={distanceRatio('earth', scale, catalog)}
+              lightRange={6 * sceneExtent(scale, catalog)}
+              quality={quality}
+            />
+          )}
+          {body.kind !== 'star' && (
+            <EquatorFrame body={body} statesRef={statesRef}>
+              <group ref={spinRef}>
+                <PlanetSurface body={body} quality={quality} onAssetError={onAssetError} />
+              </group>
+              {body.clouds && <CloudLayer body={body} timeRef={timeRef} quality={quality} onAssetError={onAssetError} />}
+              {body.rings && <Rings body={body} />}
+              {showAxes && <AxisGuide body={body} />}
+            </EquatorFrame>
+          )}
+          {body.atmosphere && <Atmosphere body={body} quality={quality} />}
+        </group>
+      )}
+      <BodyOrbits
+        body={body}
+        timeRef={timeRef}
+        statesRef={statesRef}
+        interaction={interaction}
+        satellites={satellites}
+        physicsRef={physicsRef}
+        simulationMode={simulationMode}
+        showOrbits={showOrbits}
+        showAxes={showAxes}
+        scale={scale}
+        quality={quality}
+        onAssetError={onAssetError}
+      />
+    </group>
+  )
+}
+
+const DEVIATION_BODIES = ['moon', 'earth', 'mars', 'jupiter', 'io']
+const STATUS_INTERVAL = 500
+const FREE_BODY_RADIUS = 0.12
+const scratchGhost = new THREE.Vector3()
+const scratchParentWorld = new THREE.Vector3()
+const scratchPhysicsPole = { tilt: 0, precession: 0 }
+
+function physicsScenePosition(physics, body, scale, out, catalog) {
+  if (!physics.active) return null
+  const index = physics.index[body.id]
+  const parentIndex = physics.index[body.parent]
+  if (index === undefined || parentIndex === undefined) return null
+
+  const { positions } = physics
+  out.x = positions[index * 3] - positions[parentIndex * 3]
+  out.y = positions[index * 3 + 1] - positions[parentIndex * 3 + 1]
+  out.z = positions[index * 3 + 2] - positions[parentIndex * 3 + 2]
+  const pole = poleOrientation(getBody(body.parent, catalog), physics.time, scratchPhysicsPole, catalog)
+  return scaleOffset(body, eclipticToParentFrame(body, out, pole), scale)
+}
+
+function physicsDeviations(physics, catalog) {
+  const analytic = { x: 0, y: 0, z: 0 }
+  const integrated = { x: 0, y: 0, z: 0 }
+
+  return DEVIATION_BODIES.map((id) => getBody(id, catalog)).filter(Boolean).map((body) => {
+    const index = physics.index[body.id]
+    const parentIndex = physics.index[body.parent]
+    const pole = poleOrientation(getBody(body.parent, catalog), physics.time, scratchPhysicsPole, catalog)
+    parentFrameToEcliptic(body, relativePosition(body, physics.time, analytic), pole)
+    for (const [k, axis] of ['x', 'y', 'z'].entries()) {
+      integrated[axis] = physics.positions[index * 3 + k] - physics.positions[parentIndex * 3 + k]
+    }
+    const deviation = Math.hypot(integrated.x - analytic.x, integrated.y - analytic.y, integrated.z - analytic.z)
+    return { id: body.id, name: body.name, deviation }
+  })
+}
+
+function NBodyDriver({ timeRef, physicsRef, freeBodies, timeJumpRef, onStatus }) {
+  const workerRef = useRef(null)
+  const pendingRef = useRef(false)
+  const jumpRef = useRef(0)
+  const sentBodiesRef = useRef([])
+  const statusAtRef = useRef(0)
+  const catalog = useCatalog()
+  // A catalog change restarts the worker, which has to start with the test
+  // bodies already placed; the effect below only sends changes.
+  const readFreeBodies = useEffectEvent(() => freeBodies)
+
+  useEffect(() => {
+    const worker = new Worker(new URL('../workers/nbody.worker.js', import.meta.url), { type: 'module' })
+    const physics = physicsRef.current
+    workerRef.current = worker
+    jumpRef.current = timeJumpRef.current
+    sentBodiesRef.current = readFreeBodies()
+
+    worker.onmessage = ({ data }) => {
+      pendingRef.current = false
+      if (data.type === 'error') {
+        onStatus((status) => ({ ...status, error: data.message }))
+        return
+      }
+
+      const current = physicsRef.current
+      current.active = true
+      current.time = data.time
+      current.positions = data.positions
+      current.index = Object.fromEntries(data.ids.map((id, index) => [id, index]))
+      current.parents = data.parents
+      current.ids = data.ids
+
+      const now = performance.now()
+      if (now - statusAtRef.current > STATUS_INTERVAL) {
+        statusAtRef.current = now
+        onStatus({ step: data.step, lagging: data.lagging, deviations: physicsDeviations(current, catalog), error: null })
+      }
+    }
+
+    pendingRef.current = true
+    worker.postMessage({ type: 'init', time: timeRef.current, bodies: initialPhysicsState(timeRef.current, catalog), extras: sentBodiesRef.current })
+
+    return () => {
+      worker.terminate()
+      workerRef.current = null
+      physics.active = false
+    }
+  }, [timeRef, physicsRef, timeJumpRef, onStatus, catalog])
+
+  useEffect(() => {
+    const worker = workerRef.current
+    if (!worker) return
+    const sent = sentBodiesRef.current
+    freeBodies.filter((body) => !sent.includes(body)).forEach((body) => worker.postMessage({ type: 'add', body }))
+    sent.filter((body) => !freeBodies.includes(body)).forEach((body) => worker.postMessage({ type: 'remove', id: body.id }))
+    sentBodiesRef.current = freeBodies
+  }, [freeBodies])
+
+  useFrame(() => {
+    const worker = workerRef.current
+    if (!worker || pendingRef.current) return
+
+    pendingRef.current = true
+    if (jumpRef.current !== timeJumpRef.current) {
+      jumpRef.current = timeJumpRef.current
+      const time = timeRef.current
+      worker.postMessage({ type: 'init', time, bodies: initialPhysicsState(time, catalog), extras: sentBodiesRef.current })
+    } else {
+      worker.postMessage({ type: 'advance', time: timeRef.current })
+    }
+  })
+
+  return null
+}
+
+function AnalyticGhost({ body, statesRef, scale }) {
+  const ghostRef = useRef()
+  const catalog = useCatalog()
+  const radius = Math.max(bodyRadius(body, scale) * 1.2, 0.08 * radiusScale(getBody(body.parent, catalog), scale))
+
+  useFrame(() => {
+    sceneOffset(statesRef.current, body, scale, ghostRef.current.position)
+  })
+
+  return (
+    <mesh ref={ghostRef}>
+      <sphereGeometry args={[radius, 12, 12]} />
+      <meshBasicMaterial color={body.color} wireframe transparent opacity={0.35} />
+    </mesh>
+  )
+}
+
+function freeBodyRadius(body, scale, catalog) {
+  return FREE_BODY_RADIUS * radiusScale(getBody(body.parent, catalog), scale)
+}
+
+function FreeBody({ body, physicsRef, bodyRefs, interaction, scale }) {
+  const meshRef = useRef()
+  const handlers = useMemo(() => pickHandlers(interaction, () => body.id), [interaction, body.id])
+  const catalog = useCatalog()
+
+  useEffect(() => {
+    interaction.registerBody(body.id, meshRef.current)
+    return () => interaction.registerBody(body.id, null)
+  }, [body.id, interaction])
+
+  useFrame(() => {
+    const physics = physicsRef.current
+    const index = physics.active ? physics.index[body.id] : undefined
+    const parentIndex = physics.active ? physics.index[body.parent] : undefined
+    const parentObject = bodyRefs.current[body.parent]
+    meshRef.current.visible = index !== undefined && parentIndex !== undefined && Boolean(parentObject)
+    if (!meshRef.current.visible) return
+
+    const { positions } = physics
+    scratchGhost.set(
+      positions[index * 3] - positions[parentIndex * 3],
+      positions[index * 3 + 1] - positions[parentIndex * 3 + 1],
+      positions[index * 3 + 2] - positions[parentIndex * 3 + 2],
+    )
+    scratchGhost.multiplyScalar(freeBodyScale(body.parent, scratchGhost.length(), scale, catalog))
+    parentObject.getWorldPosition(scratchParentWorld)
+    meshRef.current.parent.worldToLocal(scratchParentWorld)
+    meshRef.current.position.copy(scratchParentWorld).add(scratchGhost)
+  })
+
+  return (
+    <mesh ref={meshRef} visible={false} scale={freeBodyRadius(body, scale, catalog)} {...handlers}>
+      <sphereGeometry args={[1, 16, 16]} />
+      <meshBasicMaterial color={body.color} />
+    </mesh>
+  )
+}
+
+function FreeBodies({ freeBodies, physicsRef, bodyRefs, interaction, scale }) {
+  return freeBodies.map((body) => (
+    <FreeBody
+      key={body.id}
+      body={body}
+      physicsRef={physicsRef}
+      bodyRefs={bodyRefs}
+      interaction={interaction}
+      scale={scale}
+    />
+  ))
+}
+
+const scratchSelection = new THREE.Vector3()
+// Smallest marker radius as a fraction of the camera distance, so bodies
+// that are sub-pixel at true scale can still be found.
+const MARKER_MIN_SIZE = 0.012
+
+function SelectionMarker({ selection, bodyRefs }) {
+  const markerRef = useRef()
+
+  useFrame(({ camera, clock }) => {
+    const marker = markerRef.current
+    const target = bodyRefs.current[selection.id]
+    marker.visible = Boolean(target)
+    if (!target) return
+
+    target.getWorldPosition(scratchSelection)
+    marker.position.copy(scratchSelection)
+    marker.quaternion.copy(camera.quaternion)
+    const size = Math.max(selection.radius * 1.35, camera.position.distanceTo(scratchSelection) * MARKER_MIN_SIZE)
+    marker.scale.setScalar(size * (1 + 0.06 * Math.sin(clock.elapsedTime * 3)))
+  })
+
+  return (
+    <mesh ref={markerRef} renderOrder={1}>
+      <ringGeometry args={[1, 1.06, 64]} />
+      <meshBasicMaterial color={selection.color} transparent opacity={0.85} depthTest={false} side={THREE.DoubleSide} />
+    </mesh>
+  )
+}
+
+const MEASURE_SIGHT_OPACITY = 0.35
+const scratchMeasureFrom = new THREE.Vector3()
+const scratchMeasureTo = new THREE.Vector3()
+const scratchObserver = new THREE.Vector3()
+
+function createMeasureGeometry(color) {
+  const geometry = new THREE.BufferGeometry()
+  const tint = new THREE.Color(color)
+  const colors = new THREE.BufferAttribute(new Float32Array(6 * 4), 4)
+  for (let i = 0; i < 6; i++) colors.setXYZW(i, tint.r, tint.g, tint.b, i < 2 ? 0.9 : MEASURE_SIGHT_OPACITY)
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6 * 3), 3))
+  geometry.setAttribute('color', colors)
+  geometry.setDrawRange(0, 0)
+  return geometry
+}
+
+function writeMeasurement(geometry, from, to, observer) {
+  const position = geometry.attributes.position
+  from.getWorldPosition(scratchMeasureFrom)
+  to.getWorldPosition(scratchMeasureTo)
+  position.setXYZ(0, scratchMeasureFrom.x, scratchMeasureFrom.y, scratchMeasureFrom.z)
+  position.setXYZ(1, scratchMeasureTo.x, scratchMeasureTo.y, scratchMeasureTo.z)
+  if (observer) {
+    observer.getWorldPosition(scratchObserver)
+    position.setXYZ(2, scratchObserver.x, scratchObserver.y, scratchObserver.z)
+    position.setXYZ(3, scratchMeasureFrom.x, scratchMeasureFrom.y, scratchMeasureFrom.z)
+    position.setXYZ(4, scratchObserver.x, scratchObserver.y, scratchObserver.z)
+    position.setXYZ(5, scratchMeasureTo.x, scratchMeasureTo.y, scratchMeasureTo.z)
+  }
+  position.needsUpdate = true
+  geometry.setDrawRange(0, observer ? 6 : 2)
+}
+
+// The measured segment, plus faint sight lines from the observer to both ends
+// when the measurement has one.
+function MeasurementLine({ measurement, bodyRefs }) {
+  const geometry = useMemo(() => createMeasureGeometry(measurement.color), [measurement.color])
+
+  useEffect(() => () => geometry.dispose(), [geometry])
+
+  useFrame(() => {
+    const from = bodyRefs.current[measurement.from]
+    const to = bodyRefs.current[measurement.to]
+    if (from && to) writeMeasurement(geometry, from, to, measurement.observer && bodyRefs.current[measurement.observer])
+    else geometry.setDrawRange(0, 0)
+  })
+
+  return (
+    <lineSegments geometry={geometry} frustumCulled={false} renderOrder={1}>
+      <lineBasicMaterial vertexColors transparent depthTest={false} depthWrite={false} />
+    </lineSegments>
+  )
+}
+
+const PATH_MODES = [
+  { id: 'orbits', name: 'Orbits' },
+  { id: 'trails', name: 'Trails' },
+  { id: 'both', name: 'Both' },
+]
+const scratchRootInverse = new THREE.Matrix4()
+const scratchInertial = new THREE.Vector3()
+const scratchFrameOrigin = new THREE.Vector3()
+const scratchFrameRotation = new THREE.Euler(0, 0, 0, 'YXZ')
+const scratchFrameSpin = new THREE.Quaternion()
+const SPIN_AXIS = new THREE.Vector3(0, 1, 0)
+const scratchRotation = { tilt: 0, precession: 0, spin: 0 }
+const scratchFloating = new THREE.Vector3()
+const scratchFloatingDelta = new THREE.Vector3()
+
+// Position in the scene's heliocentric inertial axes, i.e. undoing the
+// reference-frame transform on the root group.
+function inertialPosition(object, out) {
+  if (!object) return false
+  object.getWorldPosition(scratchInertial).applyMatrix4(scratchRootInverse)
+  out.x = scratchInertial.x
+  out.y = scratchInertial.y
+  out.z = scratchInertial.z
+  return true
+}
+
+// Moves and turns the root group so the frame origin sits at the world origin
+// with the frame's axes.
+function applyFrame(root, frame, origin, rotation) {
+  scratchFrameRotation.set(-rotation.tilt, rotation.precession, 0)
+  scratchFrameSpin.setFromAxisAngle(SPIN_AXIS, rotation.spin)
+  root.quaternion.setFromEuler(scratchFrameRotation).multiply(scratchFrameSpin).invert()
+  root.position.copy(origin).applyQuaternion(root.quaternion).negate()
+}
+
+// Floating origin: the focused body is kept at the world origin, so the
+// geometry around it keeps full float precision even at true scale. The
+// camera is moved by the same amount when the focus changes, so switching
+// targets does not make the view jump.
+function floatOrigin(root, originShift, originId, target, camera, controls) {
+  if (target) scratchFloating.applyQuaternion(root.quaternion).add(root.position)
+  else scratchFloating.set(0, 0, 0)
+  root.position.sub(scratchFloating)
+
+  if (originShift.id !== originId) {
+    scratchFloatingDelta.set(scratchFloating.x - originShift.x, scratchFloating.y - originShift.y, scratchFloating.z - originShift.z)
+    camera.position.sub(scratchFloatingDelta)
+    controls?.target.sub(scratchFloatingDelta)
+    originShift.id = originId
+  }
+  if (originShift.x !== scratchFloating.x || originShift.y !== scratchFloating.y || originShift.z !== scratchFloating.z) {
+    originShift.x = scratchFloating.x
+    originShift.y = scratchFloating.y
+    originShift.z = scratchFloating.z
+    originShift.version++
+  }
+}
+
+function ReferenceFrame({ rootRef, frame, scale, bodyRefs, history, timeRef, timeJumpRef, originId, originShift }) {
+  const recordedRef = useRef({ jump: null, scale: null })
+  const catalog = useCatalog()
+  const readPosition = useCallback((id, out) => inertialPosition(bodyRefs.current[id], out), [bodyRefs])
+
+  useFrame(({ camera, controls }) => {
+    const root = rootRef.current
+    // Samples are in scene units, so a new scale starts a new history.
+    const recorded = recordedRef.current
+    if (recorded.jump !== timeJumpRef.current || recorded.scale !== scale) {
+      recorded.jump = timeJumpRef.current
+      recorded.scale = scale
+      clearTrailHistory(history)
+    }
+
+    root.updateWorldMatrix(false, false)
+    scratchRootInverse.copy(root.matrixWorld).invert()
+    recordTrailSample(history, timeRef.current, readPosition)
+
+    scratchFrameOrigin.set(0, 0, 0)
+    if (frame.origin) inertialPosition(bodyRefs.current[frame.origin], scratchFrameOrigin)
+    const target = inertialPosition(originId && bodyRefs.current[originId], scratchFloating)
+
+    applyFrame(root, frame, scratchFrameOrigin, frameRotation(frame, timeRef.current, scratchRotation, catalog))
+    floatOrigin(root, originShift, originId, target, camera, controls)
+  })
+
+  return null
+}
+
+function createTrailGeometry(size) {
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(size * 3), 3))
+  geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(size * 4), 4))
+  geometry.setDrawRange(0, 0)
+  return geometry
+}
+
+// Older samples fade out through the per-vertex alpha.
+function writeTrail(geometry, history, id, frame, shift, color, catalog) {
+  const position = geometry.attributes.position
+  const colors = geometry.attributes.color
+  const count = trailInFrame(history, id, frame, position.array, shift, catalog)
+  for (let i = 0; i < count; i++) {
+    colors.setXYZW(i, color.r, color.g, color.b, ((i + 1) / count) ** 2)
+  }
+  position.needsUpdate = true
+  colors.needsUpdate = true
+  geometry.setDrawRange(0, count)
+}
+
+function Trail({ id, color, history, frame, originShift }) {
+  const drawnRef = useRef({ version: -1, frame: null, shift: -1, catalog: null })
+  const geometry = useMemo(() => createTrailGeometry(history.size), [history])
+  const trailColor = useMemo(() => new THREE.Color(color), [color])
+  const catalog = useCatalog()
+
+  useEffect(() => () => geometry.dispose(), [geometry])
+
+  // The Earth-fixed frame turns with the pole, so the precession setting
+  // also redraws the trail.
+  useFrame(() => {
+    const drawn = drawnRef.current
+    if (drawn.version === history.version && drawn.frame === frame && drawn.shift === originShift.version && drawn.catalog === catalog) return
+    drawn.version = history.version
+    drawn.frame = frame
+    drawn.shift = originShift.version
+    drawn.catalog = catalog
+    writeTrail(geometry, history, id, frame, originShift, trailColor, catalog)
+  })
+
+  return (
+    <line geometry={geometry} frustumCulled={false}>
+      <lineBasicMaterial vertexColors transparent depthWrite={false} />
+    </line>
+  )
+}
+
+// Evaluates the ephemeris once per frame for every body; it is mounted ahead
+// of the bodies so their frame callbacks read this frame's states. The states
+// are updated in place and only when the clock has moved.
+// Poles depend on the catalog's precession setting as well as the time.
+function BodyStates({ timeRef, statesRef }) {
+  const computedRef = useRef({ time: null, catalog: null })
+  const catalog = useCatalog()
+
+  useFrame(() => {
+    const computed = computedRef.current
+    if (statesRef.current && computed.time === timeRef.current && computed.catalog === catalog) return
+    computed.time = timeRef.current
+    computed.catalog = catalog
+    statesRef.current = updateBodyStates(statesRef.current ?? {}, timeRef.current, catalog)
+  })
+
+  return null
+}
+
+function trailTargets(satellites, freeBodies, catalog) {
+  return [
+    ...catalog.bodies.map((body) => ({ id: body.id, color: body.orbitColor || body.color, hidden: body.hidden })),
+    ...(satellites.length > SATELLITE_MODEL_LIMIT ? [] : satellites).map(({ id, color }) => ({ id, color })),
+    ...freeBodies.map(({ id, color }) => ({ id, color })),
+  ]
+}
+
+function SolarSystemBodies({
+  timeRef,
+  timeJumpRef,
+  bodyRefs,
+  interaction,
+  focus,
+  selection,
+  satellites,
+  physicsRef,
+  simulationMode,
+  freeBodies,
+  referenceFrame,
+  pathMode,
+  showAxes,
+  scale,
+  quality,
+  measurements,
+  onAssetError,
+}) {
+  const rootRef = useRef()
+  const statesRef = useRef(null)
+  const catalog = useCatalog()
+  const frame = getFrame(referenceFrame)
+  const physics = simulationMode === 'physics'
+  const trails = useMemo(() => trailTargets(satellites, physics ? freeBodies : [], catalog), [satellites, freeBodies, physics, catalog])
+  const history = useMemo(() => createTrailHistory(trails.map((trail) => trail.id)), [trails])
+  const originShift = useMemo(() => ({ x: 0, y: 0, z: 0, id: null, version: 0 }), [])
+
+  return (
+    <>
+      <BodyStates timeRef={timeRef} statesRef={statesRef} />
+      <group ref={rootRef}>
+        {getRootBodies(catalog).map((body) => (
+          <Body
+            key={body.id}
+            body={body}
+            timeRef={timeRef}
+            statesRef={statesRef}
+            interaction={interaction}
+            satellites={satellites}
+            physicsRef={physicsRef}
+            simulationMode={simulationMode}
+            showOrbits={pathMode !== 'trails'}
+            showAxes={showAxes}
+            scale={scale}
+            quality={quality}
+            onAssetError={onAssetError}
+          />
+        ))}
+        {physics && (
+          <FreeBodies
+            freeBodies={freeBodies}
+            physicsRef={physicsRef}
+            bodyRefs={bodyRefs}
+            interaction={interaction}
+            scale={scale}
+          />
+        )}
+      </group>
+      <ReferenceFrame
+        rootRef={rootRef}
+        frame={frame}
+        scale={scale}
+        bodyRefs={bodyRefs}
+        history={history}
+        timeRef={timeRef}
+        timeJumpRef={timeJumpRef}
+        originId={focus?.id ?? null}
+        originShift={originShift}
+      />
+      {pathMode !== 'orbits' && trails.filter((trail) => !trail.hidden).map((trail) => (
+        <Trail
+          key={trail.id}
+          id={trail.id}
+          color={trail.color}
+          history={history}
+          frame={frame}
+          originShift={originShift}
+        />
+      ))}
+      {selection && <SelectionMarker key={selection.id} selection={selection} bodyRefs={bodyRefs} />}
+      {measurements.map((measurement) => (
+        <MeasurementLine key={measurement.id} measurement={measurement} bodyRefs={bodyRefs} />
+      ))}
+    </>
+  )
+}
+
+const scratchFocus = new THREE.Vector3()
+
+const CAMERA_NEAR_RATIO = 1e-3
+const CAMERA_EASE = 0.05
+const STAR_RADIUS = 480
+
+function focusDistance(selection, scale, catalog) {
+  return Math.max(selection.radius * 15, 2.5 * radiusScale(getBody('earth', catalog), scale))
+}
+
+function overviewDistance(frame, scale, catalog) {
+  const body = getBody(frame.overviewBody, catalog)
+  return orbitDistance(body, body.orbit.a, scale) * frame.overviewDistance
+}
+
+const CAMERA_SETTLED = 1e-4
+const scratchCameraOffset = new THREE.Vector3()
+
+// Eases the orbit target toward `goal` and the camera's distance from it
+// toward `distance`, keeping the viewing direction. True once both are there.
+function easeCamera(camera, controls, goal, distance, ease) {
+  const target = controls.target
+  target.lerp(goal, ease)
+  scratchCameraOffset.subVectors(camera.position, target)
+  const current = scratchCameraOffset.length()
+  const next = THREE.MathUtils.lerp(current, distance, ease)
+  camera.position.copy(target).add(scratchCameraOffset.normalize().multiplyScalar(next))
+  controls.update()
+  return target.distanceTo(goal) <= distance * CAMERA_SETTLED && Math.abs(next - distance) <= distance * CAMERA_SETTLED
+}
+
+const scratchTourOffset = [0, 0, 0]
+const scratchTourVector = new THREE.Vector3()
+
+// Flies the camera into the current tour step: the target slides from where
+// it was to the step's goal while the offset from it follows a spline through
+// the neighbouring keyframes. After the transition the camera is left alone,
+// so it can be moved by hand while the caption is read.
+function driveTour(run, camera, controls, goal, distance, delta, reducedMotion) {
+  if (!run.from) {
+    const offset = camera.position.clone().sub(controls.target)
+    run.from = { target: controls.target.clone(), offset: offset.toArray() }
+    run.to = run.step.position ?? offset.setLength(distance).toArray()
+  }
+  if (run.playing) run.elapsed += delta
+  if (run.settled) return
+
+  const progress = reducedMotion ? 1 : transitionProgress(run.step, run.elapsed)
+  controls.target.lerpVectors(run.from.target, goal, progress)
+  catmullRom(run.before, run.from.offset, run.to, run.after, progress, scratchTourOffset)
+  camera.position.copy(controls.target).add(scratchTourVector.fromArray(scratchTourOffset))
+  controls.update()
+  run.settled = progress === 1
+}
+
+function pickHandlers(interaction, getId) {
+  return {
+    onClick: (e) => {
+      const id = getId(e)
+      if (!id) return
+      e.stopPropagation()
+      interaction.select(id)
+    },
+    onDoubleClick: (e) => {
+      const id = getId(e)
+      if (!id) return
+      e.stopPropagation()
+      interaction.focus(id)
+    },
+    onPointerOver: (e) => {
+      e.stopPropagation()
+      document.body.style.cursor = 'pointer'
+    },
+    onPointerOut: () => {
+      document.body.style.cursor = ''
+    },
+  }
+}
+
+const VIDEO_KEYFRAME_SECONDS = 2
+const VIDEO_BITS_PER_PIXEL = 0.1
+const ENCODER_QUEUE_LIMIT = 4
+
+function maxDrawingSize(gl) {
+  const context = gl.getContext()
+  return context.getParameter(context.MAX_RENDERBUFFER_SIZE)
+}
+
+async function videoEncoderConfig(width, height, fps) {
+  for (const option of WEBM_CODECS) {
+    const config = { codec: option.codec, width, height, framerate: fps, bitrate: Math.round(width * height * fps * VIDEO_BITS_PER_PIXEL) }
+    const { supported } = await VideoEncoder.isConfigSupported(config)
+    if (supported) return { config, codecId: option.id }
+  }
+  throw new Error('This browser cannot encode VP9 or VP8 video')
+}
+
+function nextTask() {
+  return new Promise((resolve) => setTimeout(resolve, 0))
+}
+
+// Gives the capture panel, which lives outside the canvas, access to the
+// renderer. Screenshots re-render the current frame at a higher pixel ratio.
+// Recording stops the render loop and steps it by hand: every frame advances
+// the clock by exactly one step and is stamped at n / fps, so the video is
+// smooth however long each frame takes to render and encode.
+function CaptureBridge({ captureRef, timeRef }) {
+  const get = useThree((state) => state.get)
+
+  useEffect(() => {
+    const capture = captureRef.current
+
+    capture.screenshot = (factor) => {
+      const { gl, scene, camera, size } = get()
+      const ratio = gl.getPixelRatio()
+      gl.setPixelRatio(Math.min(factor, maxDrawingSize(gl) / Math.max(size.width, size.height)))
+      gl.render(scene, camera)
+      // The canvas is copied synchronously, before the pixel ratio is restored.
+      const blob = new Promise((resolve) => gl.domElement.toBlob(resolve, 'image/png'))
+      gl.setPixelRatio(ratio)
+      return blob
+    }
+
+    capture.record = async ({ width, height, fps, frames, step }, onProgress, job) => {
+      const { config, codecId } = await videoEncoderConfig(width, height, fps)
+      const writer = createWebMWriter({ width, height, codecId, frameRate: fps })
+      let failure = null
+      const encoder = new VideoEncoder({
+        output: (chunk) => writer.addChunk(chunk),
+        error: (error) => { failure = error },
+      })
+      encoder.configure(config)
+
+      const { gl, camera, setFrameloop } = get()
+      const ratio = gl.getPixelRatio()
+      const aspect = camera.aspect
+      const start = timeRef.current
+      const frameSeconds = 1 / fps
+
+      setFrameloop('never')
+      capture.recording = true
+      gl.setPixelRatio(1)
+      gl.setSize(width, height, false)
+      camera.aspect = width / height
+      camera.updateProjectionMatrix()
+
+      try {
+        for (let n = 0; n < frames && !job.cancelled; n++) {
+          if (failure) throw failure
+          timeRef.current = start + n * step
+          advance((n + 1) * frameSeconds, true, get())
+          const frame = new VideoFrame(gl.domElement, {
+            timestamp: Math.round(n * frameSeconds * 1e6),
+            duration: Math.round(frameSeconds * 1e6),
+          })
+          encoder.encode(frame, { keyFrame: n % (fps * VIDEO_KEYFRAME_SECONDS) === 0 })
+          frame.close()
+          onProgress(n + 1)
+          do await nextTask()
+          while (encoder.encodeQueueSize > ENCODER_QUEUE_LIMIT)
+        }
+        if (job.cancelled) return null
+        await encoder.flush()
+        if (failure) throw failure
+        return writer.finish()
+      } finally {
+        if (encoder.state !== 'closed') encoder.close()
+        const { size } = get()
+        gl.setSize(size.width, size.height, false)
+        gl.setPixelRatio(ratio)
+        camera.aspect = aspect
+        camera.updateProjectionMatrix()
+        capture.recording = false
+        setFrameloop('always')
+      }
+    }
+
+    return () => {
+      capture.screenshot = null
+      capture.record = null
+    }
+  }, [captureRef, timeRef, get])
+
+  return null
+}
+
+const ORBIT_KEYS = { KeyA: [1, 0], KeyD: [-1, 0], KeyW: [0, 1], KeyS: [0, -1] }
+const SHIFT_ORBIT_KEYS = { ArrowLeft: [1, 0], ArrowRight: [-1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] }
+const ORBIT_KEY_SPEED = 1.2
+const scratchOrbitOffset = new THREE.Vector3()
+const scratchSpherical = new THREE.Spherical()
+
+function isEditable(target) {
+  return Boolean(target.closest?.('input, textarea, select, [contenteditable="true"]'))
+}
+
+function orbitDirection(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey || isEditable(e.target)) return null
+  return ORBIT_KEYS[e.code] || (e.shiftKey ? SHIFT_ORBIT_KEYS[e.code] : null)
+}
+
+// While WASD or Shift+arrow keys are held the camera orbits its target, at
+// ORBIT_KEY_SPEED radians per second.
+function KeyboardOrbit() {
+  const heldRef = useRef(new Map())
+
+  useEffect(() => {
+    const held = heldRef.current
+    const press = (e) => {
+      const direction = orbitDirection(e)
+      if (!direction) return
+      held.set(e.code, direction)
+      invalidate()
+      e.preventDefault()
+    }
+    const release = (e) => held.delete(e.code)
+    const releaseAll = () => held.clear()
+
+    window.addEventListener('keydown', press)
+    window.addEventListener('keyup', release)
+    window.addEventListener('blur', releaseAll)
+    return () => {
+      window.removeEventListener('keydown', press)
+      window.removeEventListener('keyup', release)
+      window.removeEventListener('blur', releaseAll)
+    }
+  }, [])
+
+  useFrame(({ camera, controls }, delta) => {
+    const held = heldRef.current
+    if (held.size === 0 || !controls) return
+    invalidate()
+
+    let yaw = 0
+    let pitch = 0
+    for (const [x, y] of held.values()) {
+      yaw += x
+      pitch += y
+    }
+    scratchSpherical.setFromVector3(scratchOrbitOffset.subVectors(camera.position, controls.target))
+    scratchSpherical.theta += yaw * ORBIT_KEY_SPEED * delta
+    scratchSpherical.phi = THREE.MathUtils.clamp(scratchSpherical.phi - pitch * ORBIT_KEY_SPEED * delta, 0.01, Math.PI - 0.01)
+    camera.position.setFromSpherical(scratchSpherical).add(controls.target)
+    controls.update()
+  })
+
+  return null
+}
+
+// Reads the camera for saved scenarios and places it when one is loaded.
+// Positions are relative to the point the camera orbits.
+function CameraBridge({ cameraRef }) {
+  const get = useThree((state) => state.get)
+
+  useEffect(() => {
+    cameraRef.current.read = () => {
+      const { camera, controls } = get()
+      return camera.position.clone().sub(controls.target).toArray()
+    }
+  }, [cameraRef, get])
+
+  useFrame(({ camera, controls }) => {
+    const bridge = cameraRef.current
+    if (!bridge.pending || !controls) return
+    camera.position.fromArray(bridge.pending).add(controls.target)
+    controls.update()
+    bridge.pending = null
+  })
+
+  return null
+}
+
+// Readouts outside the canvas are redrawn from the scene's frame loop rather
+// than rAF loops of their own, so they stop with it when a paused scene
+// renders on demand, and they follow recorded frames one by one.
+function createFrameSignal() {
+  return new Set()
+}
+
+function onFrame(frames, listener) {
+  frames.add(listener)
+  return () => frames.delete(listener)
+}
+
+function Scene({
+  timeRef,
+  isPaused,
+  timeSpeed,
+  focus,
+  selection,
+  setSelectedId,
+  setFocusId,
+  satellites,
+  simulationMode,
+  physicsRef,
+  freeBodies,
+  timeJumpRef,
+  setPhysicsStatus,
+  referenceFrame,
+  pathMode,
+  showAxes,
+  scale,
+  measurements,
+  captureRef,
+  cameraRef,
+  tourRef,
+  onTourAdvance,
+  keyboard,
+  onTick,
+  onAssetError,
+  quality,
+  monitor,
+  adaptQuality,
+  onQualityChange,
+  frames,
+}) {
+  const controlsRef = useRef()
+  const starsRef = useRef()
+  const bodyRefs = useRef({})
+  const catalog = useCatalog()
+  const extent = sceneExtent(scale, catalog)
+  const reducedMotion = useReducedMotion()
+  const ease = reducedMotion ? 1 : CAMERA_EASE
+
+  const registerBody = useCallback((id, object) => {
+    if (object) bodyRefs.current[id] = object
+    else delete bodyRefs.current[id]
+  }, [])
+
+  const interaction = useMemo(() => ({
+    registerBody,
+    select: setSelectedId,
+    focus: (id) => {
+      setSelectedId(id)
+      setFocusId(id)
+    },
+  }), [registerBody, setSelectedId, setFocusId])
+
+  useFrame((state, delta) => {
+    // While recording, the capture loop sets the clock for each frame.
+    if (!isPaused && !captureRef.current.recording) {
+      timeRef.current += delta * timeSpeed
+    }
+    onTick?.(timeRef.current)
+
+    const focusObject = focus && bodyRefs.current[focus.id]
+    // A tour step drives the camera once its focus has taken effect; picking
+    // another body mid-step hands the camera back to the focus easing.
+    const run = tourRef.current
+    const touring = run.step && (focus?.id ?? null) === run.focusId
+
+    if (controlsRef.current) {
+      if (touring) {
+        const goal = focusObject ? focusObject.getWorldPosition(scratchFocus) : (run.step.target ? scratchFocus.fromArray(run.step.target) : scratchFocus.set(0, 0, 0))
+        const distance = focus ? focusDistance(focus, scale, catalog) : overviewDistance(getFrame(referenceFrame), scale, catalog)
+        driveTour(run, state.camera, controlsRef.current, goal, distance, delta, reducedMotion)
+        if (run.playing && run.elapsed >= stepLength(run.step)) onTourAdvance()
+        if (run.playing || !run.settled) state.invalidate()
+      } else if (focusObject) {
+        const settled = easeCamera(state.camera, controlsRef.current, focusObject.getWorldPosition(scratchFocus), focusDistance(focus, scale, catalog), ease)
+        if (!settled) state.invalidate()
+      } else if (!focus) {
+        const settled = easeCamera(state.camera, controlsRef.current, scratchFocus.set(0, 0, 0), overviewDistance(getFrame(referenceFrame), scale, catalog), ease)
+        if (!settled) state.invalidate()
+      }
+
+      // The near plane follows the camera distance so depth precision holds
+      // from a satellite close-up to the whole system at true scale.
+      const near = Math.max(state.camera.position.distanceTo(controlsRef.current.target) * CAMERA_NEAR_RATIO, 1e-7)
+      const far = Math.max(extent * 4, STAR_RADIUS * 2.5)
+      if (state.camera.near !== near || state.camera.far !== far) {
+        state.camera.near = near
+        state.camera.far = far
+        state.camera.updateProjectionMatrix()
+      }
+    } else {
+      // The controls register after the first frame; keep drawing until they do.
+      state.invalidate()
+    }
+
+    // The star field is a backdrop at infinity, so it travels with the camera.
+    starsRef.current.position.copy(state.camera.position)
+
+    // Frame rates are only measured while the clock runs: a paused scene
+    // renders on demand, and a recording runs at the encoder's pace.
+    if (!isPaused && !captureRef.current.recording && recordFrame(monitor, performance.now(), adaptQuality)) {
+      onQualityChange(monitor.level)
+    }
+    for (const listener of frames) listener()
+  })
+
+  return (
+    <>
+      <ambientLight intensity={0.08} />
+      {/* Without the environment map the scene is only a little darker. */}
+      <AssetBoundary fallback={null}>
+        <Environment files={assetUrl('hdri/night.exr')} />
+      </AssetBoundary>
+      <group ref={starsRef}>
+        <Stars radius={STAR_RADIUS} depth={80} count={3500} factor={3.5} fade speed={reducedMotion ? 0 : 0.2} saturation={0} />
+      </group>
+      <SolarSystemBodies
+        timeRef={timeRef}
+        quality={quality}
+        timeJumpRef={timeJumpRef}
+        bodyRefs={bodyRefs}
+        interaction={interaction}
+        focus={focus}
+        selection={selection}
+        satellites={satellites}
+        physicsRef={physicsRef}
+        simulationMode={simulationMode}
+        freeBodies={freeBodies}
+        referenceFrame={referenceFrame}
+        pathMode={pathMode}
+        showAxes={showAxes}
+        scale={scale}
+        measurements={measurements}
+        onAssetError={onAssetError}
+      />
+      <CaptureBridge captureRef={captureRef} timeRef={timeRef} />
+      <CameraBridge cameraRef={cameraRef} />
+      {keyboard && <KeyboardOrbit />}
+      {simulationMode === 'physics' && (
+        <NBodyDriver
+          timeRef={timeRef}
+          physicsRef={physicsRef}
+          freeBodies={freeBodies}
+          timeJumpRef={timeJumpRef}
+          onStatus={setPhysicsStatus}
+        />
+      )}
+      <OrbitControls
+        ref={controlsRef}
+        makeDefault
+        autoRotate={false}
+        target={[0, 0, 0]}
+        minDistance={focus ? focus.radius * 1.2 : 2 * radiusScale(getBody('earth', catalog), scale)}
+        maxDistance={extent * 3}
+        enableDamping={!reducedMotion}
+        dampingFactor={0.06}
+        enableZoom={true}
+        enablePan={true}
+        touches={{
+          ONE: THREE.TOUCH.ROTATE,
+          TWO: THREE.TOUCH.DOLLY_PAN
+        }}
+        mouseButtons={{
+          LEFT: THREE.MOUSE.ROTATE,
+          MIDDLE: THREE.MOUSE.DOLLY,
+          RIGHT: THREE.MOUSE.PAN
+        }}
+      />
+    </>
+  )
+}
+
+const styles = `
+  @font-face {
+    font-family: 'Inter';
+    font-style: normal;
+    font-weight: 300;
+    font-display: swap;
+    src: url('${assetUrl('fonts/inter-latin-300-normal.woff2')}') format('woff2');
+  }
+
+  @font-face {
+    font-family: 'Inter';
+    font-style: normal;
+    font-weight: 400;
+    font-display: swap;
+    src: url('${assetUrl('fonts/inter-latin-400-normal.woff2')}') format('woff2');
+  }
+
+  @font-face {
+    font-family: 'Inter';
+    font-style: normal;
+    font-weight: 600;
+    font-display: swap;
+    src: url('${assetUrl('fonts/inter-latin-600-normal.woff2')}') format('woff2');
+  }
+
+  .solar-system, .solar-system * { margin: 0; padding: 0; box-sizing: border-box; }
+
+  .solar-system canvas {
+    touch-action: pan-x pan-y pinch-zoom;
+  }
+
+  .solar-system {
+    --glass-bg: rgba(15, 15, 20, 0.75);
+    --glass-border: 1px solid rgba(255, 255, 255, 0.1);
+    --accent: #ffd700;
+    --text-muted: #a1a1aa;
+    --text-light: #ffffff;
+  }
+
+  .ui-container {
+    font-family: 'Inter', sans-serif;
+    pointer-events: none;
+    position: absolute;
+    inset: 0;
+    display: flex;
+    flex-direction: column;
+    padding: 20px;
+    gap: 16px;
+  }
+
+  .ui-header {
+    pointer-events: auto;
+    display: flex;
+    justify-content: space-between;
+    align-items: flex-start;
+    gap: 16px;
+    flex-shrink: 0;
+  }
+
+  .title-group h1 {
+    font-size: 24px;
+    font-weight: 600;
+    color: var(--text-light);
+    letter-spacing: -0.02em;
+    margin: 0;
+    text-transform: uppercase;
+  }
+  
+  .title-group p {
+    font-size: 13px;
+    color: var(--text-muted);
+    margin: 4px 0 0 0;
+  }
+
+  .info-toggle {
+    background: var(--glass-bg);
+    border: var(--glass-border);
+    color: var(--text-light);
+    width: 44px;
+    height: 44px;
+    border-radius: 50%;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    backdrop-filter: blur(12px);
+    cursor: pointer;
+    transition: all 0.2s ease;
+    flex-shrink: 0;
+  }
+  .header-buttons { display: flex; gap: 8px; }
+  .help-glyph { font-size: 18px; font-weight: 600; }
+  .info-toggle:hover { background: rgba(255,255,255,0.1); }
+  .info-toggle:active { transform: scale(0.95); }
+
+  .info-section {
+    flex-shrink: 1;
+    min-height: 0;
+    overflow-y: auto;
+    display: flex;
+    flex-direction: column;
+    gap: 12px;
+    max-width: 320px;
+    transition: all 0.3s ease;
+  }
+
+  .map-view {
+    pointer-events: auto;
+    position: absolute;
+    top: 84px;
+    right: 20px;
+    width: min(520px, 42vw);
+    background: var(--glass-bg);
+    backdrop-filter: blur(12px);
+    border: var(--glass-border);
+    border-radius: 16px;
+    padding: 12px;
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+  }
+  .map-view .control-select { padding: 4px 6px; max-width: 140px; }
+  .map-view .panel-meta { text-align: right; font-variant-numeric: tabular-nums; }
+
+  .map-canvas {
+    width: 100%;
+    aspect-ratio: 2 / 1;
+    border-radius: 8px;
+    display: block;
+  }
+
+  .map-legend {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px 12px;
+    font-size: 9px;
+    color: var(--text-muted);
+  }
+  .map-legend span { display: inline-flex; align-items: center; gap: 4px; }
+
+  .asset-warning {
+    pointer-events: auto;
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    max-width: 480px;
+    padding: 10px 14px;
+    border-radius: 12px;
+    background: rgba(60, 40, 10, 0.85);
+    border: 1px solid #ffb74d;
+    color: #ffe0b2;
+    font-size: 11px;
+    line-height: 1.4;
+  }
+
+  .info-section.hidden {
+    opacity: 0;
+    pointer-events: none;
+    transform: translateY(-10px);
+  }
+
+  .info-panel, .camera-modes, .view-panel, .scenario-panel, .satellite-panel, .physics-panel, .details-card,
+  .events-panel, .measure-panel, .export-panel, .capture-panel, .seasons-panel,
+  .moon-panel {
+    pointer-events: auto;
+    background: var(--glass-bg);
+    backdrop-filter: blur(12px);
+    border: var(--glass-border);
+    border-radius: 16px;
+    padding: 16px;
+  }
+
+  .info-row {
+    margin-bottom: 14px;
+    padding-bottom: 10px;
+    border-bottom: 1px solid rgba(255,255,255,0.05);
+  }
+  .info-row:last-child { border-bottom: none; margin-bottom: 0; padding-bottom: 0; }
+  
+  .info-label {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    font-size: 11px;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+    margin-bottom: 6px;
+    color: var(--text-light);
+  }
+  
+  .info-row.child { padding-left: 14px; }
+  .info-row.child .info-label { font-size: 10px; color: var(--text-muted); }
+
+  .body-list {
+    max-height: 35vh;
+    overflow-y: auto;
+    padding-right: 4px;
+  }
+
+  .dot { width: 6px; height: 6px; border-radius: 50%; display: block; flex-shrink: 0; }
+
+  .stat-grid {
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 6px;
+  }
+  .stat-item { font-size: 10px; color: var(--text-muted); line-height: 1.4; }
+
+  .time-display {
+    font-variant-numeric: tabular-nums;
+    font-size: 12px;
+    color: var(--accent);
+    margin-top: 8px;
+    font-weight: 600;
+    letter-spacing: 0.05em;
+  }
+
+  .camera-modes {
+    display: grid;
+    grid-template-columns: repeat(2, 1fr);
+    gap: 8px;
+  }
+
+  .mode-btn {
+    background: transparent;
+    color: var(--text-muted);
+    border: 1px solid rgba(255,255,255,0.15);
+    padding: 10px 12px;
+    border-radius: 10px;
+    font-size: 11px;
+    font-weight: 600;
+    cursor: pointer;
+    transition: all 0.2s;
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+  .mode-btn:hover { 
+    color: var(--text-light); 
+    border-color: var(--text-light); 
+  }
+  .mode-btn.active {
+    background: var(--text-light);
+    color: #000;
+    border-color: var(--text-light);
+  }
+
+  .panel-header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+  }
+
+  .panel-title {
+    font-size: 11px;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+    color: var(--text-light);
+  }
+
+  .panel-meta {
+    flex-grow: 1;
+    font-size: 10px;
+    color: var(--text-muted);
+  }
+
+  .panel-link {
+    background: none;
+    border: none;
+    color: var(--accent);
+    font-size: 10px;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+    cursor: pointer;
+  }
+
+  .tle-input {
+    width: 100%;
+    margin-top: 10px;
+    background: rgba(0,0,0,0.35);
+    border: 1px solid rgba(255,255,255,0.15);
+    border-radius: 10px;
+    color: var(--text-light);
+    font-family: ui-monospace, monospace;
+    font-size: 9px;
+    padding: 8px;
+    resize: vertical;
+    white-space: pre;
+  }
+
+  .panel-actions {
+    display: grid;
+    grid-template-columns: repeat(3, 1fr);
+    gap: 8px;
+    margin-top: 8px;
+  }
+  .panel-actions .mode-btn { text-align: center; }
+  .mode-btn:disabled { opacity: 0.4; cursor: default; }
+
+  .panel-errors {
+    list-style: none;
+    margin-top: 8px;
+    font-size: 10px;
+    color: #ff8a80;
+    line-height: 1.5;
+  }
+
+  .embed-errors {
+    position: fixed;
+    left: 12px;
+    bottom: 12px;
+    list-style: none;
+    padding: 8px 12px;
+    border-radius: 10px;
+    background: rgba(15, 15, 20, 0.85);
+    font-family: 'Inter', sans-serif;
+    font-size: 11px;
+    color: #ff8a80;
+    line-height: 1.5;
+  }
+
+  .details-facts { margin-top: 10px; }
+  .details-value { color: var(--text-light); }
+
+  .event-kinds {
+    display: grid;
+    grid-template-columns: repeat(2, 1fr);
+    gap: 8px;
+    margin-top: 10px;
+  }
+
+  .panel-note {
+    margin-top: 8px;
+    font-size: 10px;
+    color: var(--text-muted);
+  }
+
+  .event-list {
+    list-style: none;
+    margin-top: 10px;
+    max-height: 30vh;
+    overflow-y: auto;
+  }
+
+  .event-row {
+    display: flex;
+    align-items: flex-start;
+    gap: 8px;
+    width: 100%;
+    padding: 6px 4px;
+    background: none;
+    border: none;
+    border-bottom: 1px solid rgba(255,255,255,0.05);
+    color: inherit;
+    font-family: inherit;
+    text-align: left;
+    cursor: pointer;
+  }
+  .event-row:hover { background: rgba(255,255,255,0.05); }
+  .event-row .dot { margin-top: 4px; }
+
+  .moon-phase {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+  }
+  .moon-icon { width: 48px; height: 48px; flex-shrink: 0; margin-top: 10px; }
+  .moon-icon circle { fill: #263238; }
+  .moon-icon path { fill: #eceff1; }
+
+  .event-text { display: flex; flex-direction: column; gap: 2px; }
+  .event-title { font-size: 11px; color: var(--text-light); }
+  .event-detail { font-size: 10px; color: var(--text-muted); font-variant-numeric: tabular-nums; }
+
+  .physics-form {
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 8px;
+    margin-top: 10px;
+  }
+
+  .physics-form label {
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    font-size: 9px;
+    color: var(--text-muted);
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+
+  .physics-form input, .physics-form select {
+    background: rgba(0,0,0,0.35);
+    border: 1px solid rgba(255,255,255,0.15);
+    border-radius: 8px;
+    color: var(--text-light);
+    font-size: 11px;
+    padding: 6px 8px;
+  }
+
+  .physics-form .mode-btn { grid-column: span 2; }
+
+  .measure-list {
+    list-style: none;
+    margin-top: 10px;
+    max-height: 30vh;
+    overflow-y: auto;
+  }
+  .measure-list li {
+    display: flex;
+    align-items: flex-start;
+    gap: 8px;
+    padding: 6px 0;
+    border-bottom: 1px solid rgba(255,255,255,0.05);
+  }
+  .measure-list .dot { margin-top: 4px; }
+  .measure-list .panel-link { margin-left: auto; }
+  .measure-readout { white-space: pre-line; line-height: 1.5; }
+
+  .export-bodies {
+    display: grid;
+    grid-template-columns: repeat(3, 1fr);
+    gap: 6px;
+    margin-top: 10px;
+    max-height: 20vh;
+    overflow-y: auto;
+  }
+  .export-bodies .mode-btn { padding: 6px 4px; text-align: center; }
+
+  .physics-list {
+    list-style: none;
+    margin-top: 10px;
+    font-size: 10px;
+    color: var(--text-muted);
+    line-height: 1.7;
+  }
+  .physics-list li { display: flex; align-items: center; gap: 8px; }
+  .physics-list .panel-link { margin-left: auto; }
+  .physics-warning { color: #ffb74d; }
+
+  .spacer { flex-grow: 1; }
+
+  .drop-overlay {
+    position: absolute;
+    inset: 16px;
+    z-index: 30;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    border: 2px dashed var(--accent);
+    border-radius: 20px;
+    background: rgba(5,5,5,0.6);
+    color: var(--text-light);
+    font-size: 14px;
+    letter-spacing: 0.05em;
+    pointer-events: none;
+  }
+
+  .tour-bar {
+    pointer-events: auto;
+    flex-shrink: 0;
+    align-self: center;
+    max-width: 720px;
+    width: 100%;
+    background: var(--glass-bg);
+    backdrop-filter: blur(12px);
+    border: var(--glass-border);
+    border-radius: 16px;
+    padding: 12px 16px;
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+  }
+
+  .tour-caption {
+    margin: 0;
+    min-height: 2.8em;
+    font-size: 13px;
+    line-height: 1.4;
+    color: var(--text-light);
+  }
+
+  .tour-controls {
     display: flex;
     align-items: center;
     gap: 8px;
+  }
+
+  .quality-indicator {
+    position: absolute;
+    top: 20px;
+    left: 50%;
+    transform: translateX(-50%);
+    display: flex;
+    gap: 8px;
+    padding: 5px 12px;
+    background: var(--glass-bg);
+    border: var(--glass-border);
+    border-radius: 999px;
+    font-size: 11px;
+    color: var(--text-muted);
+    font-variant-numeric: tabular-nums;
+    white-space: nowrap;
+  }
+
+  .quality-indicator span:first-child { color: var(--text-light); }
+
+  .controls-bar {
+    pointer-events: auto;
+    flex-shrink: 0;
+    background: var(--glass-bg);
+    backdrop-filter: blur(12px);
+    border: var(--glass-border);
+    border-radius: 20px;
+    padding: 14px 18px;
+    display: flex;
+    flex-direction: column;
+    gap: 12px;
+    box-shadow: 0 10px 40px rgba(0,0,0,0.3);
+    align-self: center;
+    max-width: 720px;
+    width: 100%;
+  }
+
+  .controls-row {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+  }
+
+  .timeline-label {
+    font-size: 10px;
+    color: var(--text-muted);
+    font-variant-numeric: tabular-nums;
+    white-space: nowrap;
+  }
+
+  .step-controls, .date-jump {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+  }
+  .date-jump { flex-grow: 1; }
+  .date-jump input { flex-grow: 1; min-width: 0; }
+
+  .control-select {
+    background: rgba(0,0,0,0.35);
+    border: 1px solid rgba(255,255,255,0.15);
+    border-radius: 8px;
+    color: var(--text-light);
     font-size: 11px;
+    padding: 8px;
+    color-scheme: dark;
+  }
+  .control-select.invalid { border-color: #ff8a80; }
+  .frame-select { width: 100%; margin-top: 10px; }
+  .view-slider { margin-top: 12px; }
+
+  .btn-compact { padding: 10px 12px; }
+  .btn-secondary.active { color: var(--accent); border-color: var(--accent); }
+  .btn-secondary:disabled { opacity: 0.4; cursor: default; }
+
+  .btn-primary {
+    background: var(--text-light);
+    color: #000;
+    border: none;
+    padding: 10px 20px;
+    border-radius: 10px;
+    font-size: 12px;
     font-weight: 600;
+    cursor: pointer;
+    transition: transform 0.1s;
+    white-space: nowrap;
+  }
+  .btn-primary:active { transform: scale(0.96); }
+
+  .btn-secondary {
+    background: transparent;
+    color: var(--text-muted);
+    border: 1px solid rgba(255,255,255,0.2);
+    padding: 10px 16px;
+    border-radius: 10px;
+    font-size: 12px;
+    cursor: pointer;
+    transition: all 0.2s;
+    white-space: nowrap;
+  }
+  .btn-secondary:hover { color: var(--text-light); border-color: var(--text-light); }
+
+  .slider-group {
+    display: flex;
+    flex-direction: column;
+    flex-grow: 1;
+    gap: 6px;
+    transition: opacity 0.2s;
+  }
+
+  .slider-group.disabled {
+    opacity: 0.4;
+    pointer-events: none;
+  }
+  
+  .slider-label {
+    display: flex;
+    justify-content: space-between;
+    font-size: 10px;
+    color: var(--text-muted);
     text-transform: uppercase;
-    letter-spacing: 0.05em;
-    margin-bottom: 6px;
+    font-weight: 600;
+  }
+
+  .solar-system input[type=range] {
+    -webkit-appearance: none;
+    width: 100%;
+    background: transparent;
+    cursor: pointer;
+    height: 20px;
+  }
+  .solar-system input[type=range]:focus { outline: none; }
+  
+  .solar-system input[type=range]::-webkit-slider-runnable-track {
+    width: 100%;
+    height: 4px;
+    background: rgba(255,255,255,0.15);
+    border-radius: 2px;
+  }
+  
+  .solar-system input[type=range]::-webkit-slider-thumb {
+    -webkit-appearance: none;
+    height: 16px;
+    width: 16px;
+    border-radius: 50%;
+    background: var(--text-light);
+    margin-top: -6px;
+    box-shadow: 0 0 10px rgba(255,255,255,0.5);
+  }
+  
+  .solar-system input[type=range]::-moz-range-thumb {
+    height: 16px;
+    width: 16px;
+    border-radius: 50%;
+    background: var(--text-light);
+    border: none;
+  }
+
+  .help-backdrop {
+    pointer-events: auto;
+    position: absolute;
+    inset: 0;
+    background: rgba(0,0,0,0.5);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-family: 'Inter', sans-serif;
+  }
+
+  .help-dialog {
+    background: var(--glass-bg);
+    backdrop-filter: blur(12px);
+    border: var(--glass-border);
+    border-radius: 16px;
+    padding: 16px;
+    width: min(420px, calc(100vw - 24px));
+  }
+
+  .help-list {
+    display: grid;
+    grid-template-columns: auto 1fr;
+    gap: 8px 16px;
+    margin-top: 12px;
+    font-size: 11px;
+    color: var(--text-muted);
+  }
+  .help-list div { display: contents; }
+  .help-list dd { margin: 0; }
+
+  .solar-system kbd {
+    font-family: inherit;
+    font-size: 10px;
     color: var(--text-light);
+    white-space: pre;
+    padding: 2px 6px;
+    border: 1px solid rgba(255,255,255,0.2);
+    border-radius: 4px;
+  }
+
+  .sr-only {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    margin: -1px;
+    padding: 0;
+    overflow: hidden;
+    clip: rect(0, 0, 0, 0);
+    white-space: nowrap;
+    border: 0;
+  }
+
+  .ui-container :focus-visible, .help-dialog :focus-visible {
+    outline: 2px solid var(--accent);
+    outline-offset: 2px;
+  }
+
+  @media (prefers-reduced-motion: reduce) {
+    .ui-container *, .help-dialog * { transition: none !important; animation: none !important; }
+  }
+
+  @media (max-width: 768px) {
+    .ui-container { 
+      padding: 12px; 
+      gap: 10px; 
+    }
+    
+    .title-group h1 { font-size: 18px; }
+    .title-group p { font-size: 11px; }
+
+    .info-section {
+      max-width: 100%;
+    }
+
+    .map-view {
+      top: 72px;
+      left: 12px;
+      right: 12px;
+      width: auto;
+    }
+
+    .controls-bar {
+      position: fixed;
+      bottom: 12px;
+      left: 12px;
+      right: 12px;
+      margin: 0;
+      padding: 12px 16px;
+      gap: 12px;
+      max-width: none;
+      width: auto;
+    }
+    
+    .slider-group { 
+      width: 100%; 
+      min-width: 0;
+    }
+    
+    .btn-primary, .btn-secondary { 
+      padding: 10px 14px;
+      font-size: 11px;
+      min-width: 70px;
+    }
+  }
+
+  @media (max-width: 480px) {
+    .controls-bar {
+      padding: 10px 12px;
+      gap: 10px;
+    }
+
+    .controls-row { flex-wrap: wrap; gap: 10px; }
+    .date-jump { order: 3; width: 100%; }
+    
+    .slider-group { 
+      order: 1;
+      width: 100%;
+    }
+    
+    .btn-primary, .btn-secondary { 
+      order: 2;
+      flex: 1;
+      min-width: 0;
+    }
+
+    .tour-controls { flex-wrap: wrap; }
+    .tour-controls .btn-secondary { order: 0; }
+
+    .quality-indicator { top: 72px; }
+  }
+`
+
+function flattenBodies(catalog, parentId, depth = 0) {
+  return getChildren(parentId, catalog).flatMap((body) => [{ body, depth }, ...flattenBodies(catalog, body.id, depth + 1)])
+}
+
+function infoBodies(catalog) {
+  return getRootBodies(catalog).flatMap((root) => flattenBodies(catalog, root.id, 1)).filter(({ body }) => !body.hidden)
+}
+
+const SATELLITE_INFO_LIMIT = 6
+
+function bodyStats(body) {
+  const orbit = `Orbit: ${formatPeriod(body.orbit.period)}`
+  if (body.kind === 'planet') return [orbit, `Tilt: ${(body.tilt || 0).toFixed(1)}°`]
+  return [orbit, `Dist: ${formatDistance(body.orbit.a)}`]
+}
+
+const KIND_LABELS = { star: 'Star', planet: 'Planet', moon: 'Moon', minor: 'Minor body' }
+
+function bodyFacts(body, catalog) {
+  const facts = [['Radius', formatDistance(body.radius)]]
+  if (body.orbit) {
+    facts.push(
+      ['Orbits', getBody(body.parent, catalog).name],
+      ['Period', formatPeriod(body.orbit.period)],
+      ['Distance', formatDistance(body.orbit.a)],
+      ['Eccentricity', body.orbit.e.toFixed(4)],
+      ['Inclination', `${body.orbit.i.toFixed(2)}°`],
+    )
+  }
+  if (body.rotationPeriod) {
+    facts.push(['Day', `${formatPeriod(body.rotationPeriod)}${body.rotationPeriod < 0 ? ' (retrograde)' : ''}`])
+  }
+  if (body.tilt !== undefined) facts.push(['Axial tilt', `${body.tilt.toFixed(1)}°`])
+  if (body.gm) facts.push(['GM', `${body.gm.toExponential(3)} km³/s²`])
+  return facts
+}
+
+// Resolves a picked id (catalog body, satellite or N-body test body) to what
+// the details card, selection marker and focus camera need.
+function describeSelection(id, satellites, freeBodies, scale, catalog) {
+  if (!id) return null
+
+  const body = getBody(id, catalog)
+  if (body) {
+    return { id, name: body.name, kind: KIND_LABELS[body.kind], color: body.color, radius: bodyRadius(body, scale), facts: bodyFacts(body, catalog) }
+  }
+
+  const satellite = satellites.find((candidate) => candidate.id === id)
+  if (satellite) {
+    return {
+      id,
+      name: satellite.name,
+      kind: 'Satellite',
+      color: satellite.color,
+      radius: 0.16 * radiusScale(getBody('earth', catalog), scale),
+      facts: [
+        ['Orbits', 'Earth'],
+        ['Period', formatPeriod(satellite.period)],
+        ['Inclination', `${satellite.inclination.toFixed(1)}°`],
+        ['Catalog', satellite.satrec.satnum],
+        ['Epoch', formatDate(satellite.epoch)],
+      ],
+    }
+  }
+
+  const free = freeBodies.find((candidate) => candidate.id === id)
+  if (free) {
+    return {
+      id,
+      name: free.name,
+      kind: 'Test body',
+      color: free.color,
+      radius: freeBodyRadius(free, scale, catalog),
+      facts: [
+        ['Orbits', getBody(free.parent, catalog).name],
+        ['Start distance', formatDistance(free.distance)],
+        ['Prograde', `${free.tangentialSpeed} km/s`],
+        ['Radial', `${free.radialSpeed} km/s`],
+        ['GM', free.gm ? `${free.gm} km³/s²` : 'Massless'],
+      ],
+    }
+  }
+
+  return null
+}
+
+function DetailsCard({ selection, focus, setSelectedId, setFocusId }) {
+  const focused = focus?.id === selection.id
+
+  return (
+    <div className="details-card">
+      <div className="panel-header">
+        <span className="dot" style={{ background: selection.color, boxShadow: `0 0 8px ${selection.color}` }}></span>
+        <span className="panel-title">{selection.name}</span>
+        <span className="panel-meta">{selection.kind}</span>
+        <button className="panel-link" onClick={() => setSelectedId(null)}>Close</button>
+      </div>
+      <div className="stat-grid details-facts">
+        {selection.facts.map(([label, value]) => (
+          <span key={label} className="stat-item">{label}: <span className="details-value">{value}</span></span>
+        ))}
+      </div>
+      <div className="panel-actions" style={{ gridTemplateColumns: '1fr' }}>
+        <button
+          className={`mode-btn ${focused ? 'active' : ''}`}
+          aria-pressed={focused}
+          onClick={() => setFocusId(focused ? null : selection.id)}
+        >
+          {focused ? 'Following' : 'Focus'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+function ViewPanel({ referenceFrame, setReferenceFrame, pathMode, setPathMode, scale, setScale, qualityMode, setQualityMode }) {
+  const frame = getFrame(referenceFrame)
+  const maxExaggeration = getScaleMode(scale.mode).maxExaggeration
+  const catalog = useCatalog()
+
+  return (
+    <div className="view-panel">
+      <div className="panel-header">
+        <span className="panel-title">View</span>
+        <span className="panel-meta">{frame.origin ? `Centered on ${getBody(frame.origin, catalog).name}` : 'Centered on Sun'}</span>
+      </div>
+
+      <select
+        className="control-select frame-select"
+        value={referenceFrame}
+        onChange={(e) => setReferenceFrame(e.target.value)}
+        aria-label="Reference frame"
+      >
+        {REFERENCE_FRAMES.map((option) => (
+          <option key={option.id} value={option.id}>{option.name}</option>
+        ))}
+      </select>
+
+      <div className="panel-actions">
+        {PATH_MODES.map((mode) => (
+          <button
+            key={mode.id}
+            className={`mode-btn ${pathMode === mode.id ? 'active' : ''}`}
+            aria-pressed={pathMode === mode.id}
+            onClick={() => setPathMode(mode.id)}
+          >
+            {mode.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="panel-actions">
+        {SCALE_MODES.map((mode) => (
+          <button
+            key={mode.id}
+            className={`mode-btn ${scale.mode === mode.id ? 'active' : ''}`}
+            aria-pressed={scale.mode === mode.id}
+            onClick={() => setScale({ mode: mode.id, exaggeration: 1 })}
+          >
+            {mode.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="slider-group view-slider">
+        <div className="slider-label">
+          <span>Body Size</span>
+          <span>×{scale.exaggeration < 10 ? scale.exaggeration.toFixed(1) : Math.round(scale.exaggeration)}</span>
+        </div>
+        <input
+          type="range"
+          min={0}
+          max={Math.log10(maxExaggeration)}
+          step="0.01"
+          value={Math.log10(scale.exaggeration)}
+          onChange={(e) => setScale({ ...scale, exaggeration: 10 ** parseFloat(e.target.value) })}
+          aria-label="Body size exaggeration"
+        />
+      </div>
+
+      <div className="panel-actions" role="group" aria-label="Rendering quality">
+        {QUALITY_MODES.map((mode) => (
+          <button
+            key={mode.id}
+            className={`mode-btn ${qualityMode === mode.id ? 'active' : ''}`}
+            aria-pressed={qualityMode === mode.id}
+            onClick={() => setQualityMode(mode.id)}
+          >
+            {mode.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="panel-note">
+        Trails are recorded from the last few seconds of motion and redrawn in the chosen frame. Jumping in time or
+        changing the scale clears them. Auto quality lowers the resolution, shadows and sphere detail while the frame
+        rate falls short.
+      </div>
+    </div>
+  )
+}
+
+const DEFAULT_DAY_LATITUDE = 45
+
+function formatLatitude(lat, digits = 1) {
+  return `${Math.abs(lat).toFixed(digits)}° ${lat >= 0 ? 'N' : 'S'}`
+}
+
+function formatHours(hours) {
+  const minutes = Math.round(hours * 60)
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`
+}
+
+// Readouts follow the clock like the date does. The next equinox or solstice
+// is searched for again once the clock passes it or runs back before the time
+// it was found from.
+function SeasonsPanel({ timeRef, frames, jumpTo, showAxes, setShowAxes, precession, setPrecession }) {
+  const [latitude, setLatitude] = useState(DEFAULT_DAY_LATITUDE)
+  const subsolarRef = useRef()
+  const dayRef = useRef()
+  const obliquityRef = useRef()
+  const nextRef = useRef()
+  const nextSeasonRef = useRef(null)
+  const catalog = useCatalog()
+
+  useEffect(() => {
+    nextSeasonRef.current = null
+    const earth = getBody('earth', catalog)
+    const draw = () => {
+      const time = timeRef.current
+      const { lat } = sunSubpoint(time, catalog)
+      subsolarRef.current.textContent = formatLatitude(lat, 2)
+      dayRef.current.textContent = formatHours(dayLength(latitude, lat))
+      obliquityRef.current.textContent = `${(poleOrientation(earth, time, { tilt: 0, precession: 0 }, catalog).tilt / DEG).toFixed(3)}°`
+
+      const next = nextSeasonRef.current
+      if (!next || time >= next.time || time < next.from) {
+        const [season] = findSeasons(time, time + DAYS_PER_YEAR / 2, catalog).sort((a, b) => a.time - b.time)
+        nextSeasonRef.current = { ...season, from: time }
+        nextRef.current.textContent = `${season.title} · ${formatDate(season.time)} ${formatTime(season.time).slice(0, 5)} UTC`
+      }
+    }
+    draw()
+    return onFrame(frames, draw)
+  }, [timeRef, frames, latitude, catalog])
+
+  return (
+    <div className="seasons-panel">
+      <div className="panel-header">
+        <span className="panel-title">Seasons</span>
+        <span className="panel-meta">Tilt, sunlight and day length</span>
+      </div>
+
+      <div className="stat-grid details-facts">
+        <span className="stat-item">Subsolar lat: <span className="details-value" ref={subsolarRef}></span></span>
+        <span className="stat-item">Obliquity: <span className="details-value" ref={obliquityRef}></span></span>
+        <span className="stat-item">Day at {formatLatitude(latitude, 0)}: <span className="details-value" ref={dayRef}></span></span>
+      </div>
+
+      <div className="slider-group view-slider">
+        <div className="slider-label">
+          <span>Latitude</span>
+          <span>{formatLatitude(latitude, 0)}</span>
+        </div>
+        <input
+          type="range"
+          min={-90}
+          max={90}
+          step="1"
+          value={latitude}
+          onChange={(e) => setLatitude(Number(e.target.value))}
+          aria-label="Latitude for day length"
+        />
+      </div>
+
+      <button className="event-row" onClick={() => jumpTo(nextSeasonRef.current.time)}>
+        <span className="event-text">
+          <span className="event-title">Next equinox or solstice</span>
+          <span className="event-detail" ref={nextRef}></span>
+        </span>
+      </button>
+
+      <div className="panel-actions" style={{ gridTemplateColumns: '1fr 1fr' }}>
+        <button className={`mode-btn ${showAxes ? 'active' : ''}`} aria-pressed={showAxes} onClick={() => setShowAxes(!showAxes)}>
+          Axes & Seasons
+        </button>
+        <button className={`mode-btn ${precession ? 'active' : ''}`} aria-pressed={precession} onClick={() => setPrecession(!precession)}>
+          Precession
+        </button>
+      </div>
+
+      <div className="panel-note">
+        Axes & Seasons draws the rotation axis and equator of each planet and marks the equinoxes (green) and
+        solstices (orange) on the orbit of Earth. The axis keeps its direction among the stars; with precession on
+        it circles the ecliptic pole once in about 25,800 years and the equinoxes move with it.
+      </div>
+    </div>
+  )
+}
+
+const MOON_ICON_RADIUS = 18
+
+function formatLongitude(lon, digits = 1) {
+  return `${Math.abs(lon).toFixed(digits)}° ${lon >= 0 ? 'E' : 'W'}`
+}
+
+// Like the seasons, the surrounding new and full moons are searched for again
+// once the clock leaves the stretch they were found for, so the readout keeps
+// up at any speed and while scrubbing.
+function MoonPanel({ timeRef, frames, jumpTo }) {
+  const iconRef = useRef()
+  const nameRef = useRef()
+  const illuminationRef = useRef()
+  const ageRef = useRef()
+  const librationRef = useRef()
+  const nextNewRef = useRef()
+  const nextFullRef = useRef()
+  const cycleRef = useRef(null)
+
+  useEffect(() => {
+    cycleRef.current = null
+    let previousTime = timeRef.current
+    let searchedAt = -Infinity
+    const draw = () => {
+      const time = timeRef.current
+      const step = Math.abs(time - previousTime)
+      previousTime = time
+      const phase = moonPhase(time)
+      iconRef.current.setAttribute('d', phasePath(phase, MOON_ICON_RADIUS))
+      nameRef.current.textContent = phase.name
+      illuminationRef.current.textContent = `${(phase.illumination * 100).toFixed(1)}%`
+      const { longitude, latitude } = moonLibration(time)
+      librationRef.current.textContent = `${formatLongitude(longitude)}, ${formatLatitude(latitude)}`
+
+      // The cycle is a search over two months. When a frame covers half a
+      // month or more it would be stale by the next frame anyway, so it is
+      // searched at most once per STATUS_INTERVAL and the age is taken
+      // modulo a mean month in between.
+      const cycle = cycleRef.current
+      const now = performance.now()
+      const stale = !cycle || time < cycle.previousNew || time >= Math.min(cycle.nextNew, cycle.nextFull)
+      if (stale && (step < SYNODIC_MONTH / 2 || now - searchedAt > STATUS_INTERVAL)) {
+        searchedAt = now
+        cycleRef.current = lunarCycle(time)
+        const { nextNew, nextFull } = cycleRef.current
+        nextNewRef.current.textContent = `${formatDate(nextNew)} ${formatTime(nextNew).slice(0, 5)} UTC`
+        nextFullRef.current.textContent = `${formatDate(nextFull)} ${formatTime(nextFull).slice(0, 5)} UTC`
+      } else if (stale) {
+        // A paused scene only draws on demand, so a jump still gets its search.
+        invalidate()
+      }
+      const { previousNew, nextNew } = cycleRef.current
+      const age = time >= previousNew && time < nextNew ? time - previousNew : THREE.MathUtils.euclideanModulo(time - previousNew, SYNODIC_MONTH)
+      ageRef.current.textContent = `${age.toFixed(1)} days`
+    }
+    draw()
+    return onFrame(frames, draw)
+  }, [timeRef, frames])
+
+  return (
+    <div className="moon-panel">
+      <div className="panel-header">
+        <span className="panel-title">Moon</span>
+        <span className="panel-meta">Phase and libration</span>
+      </div>
+
+      <div className="moon-phase">
+        <svg className="moon-icon" viewBox="-20 -20 40 40" aria-hidden="true">
+          <circle r={MOON_ICON_RADIUS} />
+          <path ref={iconRef} />
+        </svg>
+        <div className="stat-grid details-facts">
+          <span className="stat-item">Phase: <span className="details-value" ref={nameRef}></span></span>
+          <span className="stat-item">Lit: <span className="details-value" ref={illuminationRef}></span></span>
+          <span className="stat-item">Age: <span className="details-value" ref={ageRef}></span></span>
+          <span className="stat-item">Libration: <span className="details-value" ref={librationRef}></span></span>
+        </div>
+      </div>
+
+      <button className="event-row" onClick={() => jumpTo(lunarCycle(timeRef.current).nextNew)}>
+        <span className="dot" style={{ background: EVENT_COLORS['new-moon'] }}></span>
+        <span className="event-text">
+          <span className="event-title">Next new moon</span>
+          <span className="event-detail" ref={nextNewRef}></span>
+        </span>
+      </button>
+      <button className="event-row" onClick={() => jumpTo(lunarCycle(timeRef.current).nextFull)}>
+        <span className="dot" style={{ background: EVENT_COLORS['full-moon'] }}></span>
+        <span className="event-text">
+          <span className="event-title">Next full moon</span>
+          <span className="event-detail" ref={nextFullRef}></span>
+        </span>
+      </button>
+
+      <div className="panel-note">
+        The Moon turns once per orbit, so it keeps the same face toward Earth. Libration is the point of its
+        surface that faces Earth: it rocks by up to 8° in longitude and 7° in latitude over a month.
+      </div>
+    </div>
+  )
+}
+
+const QUALITY_READOUT_INTERVAL = 500
+
+// The frame rate is only measured while the clock runs, so a paused scene
+// shows that it is rendering on demand instead.
+function QualityIndicator({ monitor, quality, auto }) {
+  const rateRef = useRef()
+
+  useEffect(() => {
+    const update = () => {
+      const fps = frameRate(monitor, performance.now())
+      rateRef.current.textContent = fps === null ? 'On demand' : `${Math.round(fps)} fps`
+    }
+    update()
+    const timer = setInterval(update, QUALITY_READOUT_INTERVAL)
+    return () => clearInterval(timer)
+  }, [monitor])
+
+  return (
+    <div className="quality-indicator" title="Frame rate and rendering quality">
+      <span ref={rateRef}></span>
+      <span>{quality.name}{auto ? ' · Auto' : ''}</span>
+    </div>
+  )
+}
+
+function TourBar({ tour, steps, onStep, onToggle, onExit }) {
+  const { index, playing } = tour
+  return (
+    <div className="tour-bar" role="group" aria-label="Guided tour">
+      <p className="tour-caption" aria-live="polite">{steps[index].caption}</p>
+      <div className="tour-controls">
+        <button className="btn-secondary btn-compact" onClick={() => onStep(index - 1)} disabled={index === 0} aria-label="Previous step">
+          ‹
+        </button>
+        <button className="btn-secondary btn-compact" onClick={onToggle} aria-pressed={playing}>
+          {playing ? 'PAUSE TOUR' : 'PLAY TOUR'}
+        </button>
+        <button className="btn-secondary btn-compact" onClick={() => onStep(index + 1)} disabled={index === steps.length - 1} aria-label="Next step">
+          ›
+        </button>
+        <span className="panel-meta">Step {index + 1} of {steps.length}</span>
+        <span className="spacer"></span>
+        <button className="panel-link" onClick={onExit}>Exit</button>
+      </div>
+    </div>
+  )
+}
+
+const SCENARIO_INDEX = 'scenarios/index.json'
+const SCENARIO_ERROR_LIMIT = 6
+
+async function fetchAsset(path) {
+  const response = await fetch(assetUrl(path))
+  if (!response.ok) throw new Error(`${path} returned HTTP ${response.status}`)
+  return response.text()
+}
+
+// Prepared scenarios are listed in public/scenarios/index.json, so shipping a
+// new one only takes a JSON file and an index entry.
+function ScenarioPanel({ scenario, errors, expanded, setExpanded, onOpen, onSave, onReset, onPlayTour }) {
+  const [presets, setPresets] = useState(null)
+  const [fetchError, setFetchError] = useState(null)
+
+  useEffect(() => {
+    if (!expanded || presets) return
+    fetchAsset(SCENARIO_INDEX)
+      .then((text) => setPresets(JSON.parse(text)))
+      .catch((error) => {
+        setPresets([])
+        setFetchError(`Could not load the scenario list: ${error.message}`)
+      })
+  }, [expanded, presets])
+
+  const openPreset = async (preset) => {
+    setFetchError(null)
+    try {
+      onOpen(await fetchAsset(`scenarios/${preset.file}`))
+    } catch (error) {
+      setFetchError(error.message)
+    }
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    setFetchError(null)
+    onOpen(await file.text())
+  }
+
+  const problems = fetchError ? [fetchError, ...errors] : errors
+
+  return (
+    <div className="scenario-panel">
+      <div className="panel-header">
+        <span className="panel-title">Scenario</span>
+        <span className="panel-meta">{scenario ? scenario.name : 'Built-in solar system'}</span>
+        <button className="panel-link" onClick={() => setExpanded(!expanded)} aria-expanded={expanded}>
+          {expanded ? 'Hide' : 'Open'}
+        </button>
+      </div>
+
+      {expanded && (
+        <>
+          {scenario?.description && <p className="panel-note">{scenario.description}</p>}
+
+          {scenario?.tour && (
+            <button className="mode-btn" onClick={onPlayTour}>
+              Play Tour · {scenario.tour.steps.length} steps
+            </button>
+          )}
+
+          {presets?.length > 0 && (
+            <div className="event-kinds">
+              {presets.map((preset) => (
+                <button
+                  key={preset.file}
+                  className={`mode-btn ${scenario?.name === preset.name ? 'active' : ''}`}
+                  aria-pressed={scenario?.name === preset.name}
+                  onClick={() => openPreset(preset)}
+                >
+                  {preset.name}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="panel-actions">
+            <label className="mode-btn">
+              File
+              <input type="file" accept=".json,application/json" onChange={handleFile} hidden />
+            </label>
+            <button className="mode-btn" onClick={onSave}>Save</button>
+            <button className="mode-btn" onClick={onReset} disabled={!scenario}>Reset</button>
+          </div>
+
+          <p className="panel-note">Drop a scenario file anywhere on the page to load it. Save writes the current time, view, camera and satellites.</p>
+        </>
+      )}
+
+      {problems.length > 0 && (
+        <ul className="panel-errors" role="alert">
+          {problems.slice(0, SCENARIO_ERROR_LIMIT).map((problem) => <li key={problem}>{problem}</li>)}
+          {problems.length > SCENARIO_ERROR_LIMIT && <li>+{problems.length - SCENARIO_ERROR_LIMIT} more</li>}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+function SatellitePanel({ satellites, setSatellites }) {
+  const [expanded, setExpanded] = useState(false)
+  const [tleText, setTleText] = useState('')
+  const [errors, setErrors] = useState([])
+
+  const applyTLE = (text) => {
+    const result = loadSatellites(text)
+    setErrors(result.errors)
+    if (result.satellites.length > 0) setSatellites(result.satellites)
+    else if (result.errors.length === 0) setErrors(['No TLE sets found'])
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    const text = await file.text()
+    setTleText(text)
+    applyTLE(text)
+  }
+
+  return (
+    <div className="satellite-panel">
+      <div className="panel-header">
+        <span className="panel-title">Satellites</span>
+        <span className="panel-meta">{satellites.length} loaded</span>
+        <button className="panel-link" onClick={() => setExpanded(!expanded)} aria-expanded={expanded}>
+          {expanded ? 'Hide' : 'Load TLE'}
+        </button>
+      </div>
+
+      {expanded && (
+        <>
+          <textarea
+            className="tle-input"
+            placeholder={'Paste two- or three-line element sets\n\n' + DEFAULT_TLE}
+            value={tleText}
+            onChange={(e) => setTleText(e.target.value)}
+            spellCheck={false}
+            rows={5}
+          />
+          <div className="panel-actions">
+            <button className="mode-btn" onClick={() => applyTLE(tleText)} disabled={!tleText.trim()}>
+              Apply
+            </button>
+            <label className="mode-btn">
+              File
+              <input type="file" accept=".tle,.txt,.3le" onChange={handleFile} hidden />
+            </label>
+            <button className="mode-btn" onClick={() => { setErrors([]); applyTLE(DEFAULT_TLE) }}>
+              Default
+            </button>
+          </div>
+        </>
+      )}
+
+      {errors.length > 0 && (
+        <ul className="panel-errors">
+          {errors.slice(0, 4).map((error) => <li key={error}>{error}</li>)}
+          {errors.length > 4 && <li>+{errors.length - 4} more</li>}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+const FREE_BODY_COLORS = ['#ff80ab', '#b9f6ca', '#80d8ff', '#ffe57f', '#ea80fc']
+const DEFAULT_FREE_BODY = { name: '', parent: 'earth', distance: 100000, tangentialSpeed: 2, radialSpeed: 0, gm: 0 }
+
+function formatDeviation(km) {
+  return km < 1 ? `${(km * 1000).toFixed(0)} m` : formatDistance(km)
+}
+
+const EVENT_WINDOWS = [
+  { label: '1 month', days: 30 },
+  { label: '3 months', days: 91 },
+  { label: '1 year', days: DAYS_PER_YEAR },
+  { label: '5 years', days: 5 * DAYS_PER_YEAR },
+]
+
+const EVENT_KINDS = [
+  { key: 'eclipses', label: 'Eclipses' },
+  { key: 'phases', label: 'Phases' },
+  { key: 'conjunctions', label: 'Conjunctions' },
+  { key: 'seasons', label: 'Seasons' },
+  { key: 'shadows', label: 'Sat. Shadow' },
+]
+
+const EVENT_COLORS = {
+  'solar-eclipse': '#ffd700',
+  'lunar-eclipse': '#ff7043',
+  'new-moon': '#78909c',
+  'full-moon': '#eceff1',
+  conjunction: '#64b5f6',
+  ...SEASON_COLORS,
+  'shadow-entry': '#ba68c8',
+  'shadow-exit': '#ba68c8',
+}
+
+// The worker rebuilds this scene's catalog from its bodies and precession
+// setting, so scenario orbits are searched.
+function EventsPanel({ timeRef, satellites, jumpTo, setIsPaused, setSelectedId, setFocusId }) {
+  const [expanded, setExpanded] = useState(false)
+  const [windowIndex, setWindowIndex] = useState(2)
+  const [kinds, setKinds] = useState({ eclipses: true, phases: true, conjunctions: false, seasons: false, shadows: false })
+  const [events, setEvents] = useState(null)
+  const [searching, setSearching] = useState(false)
+  const [error, setError] = useState(null)
+  const workerRef = useRef(null)
+  const catalog = useCatalog()
+
+  useEffect(() => () => workerRef.current?.terminate(), [])
+
+  const search = () => {
+    workerRef.current?.terminate()
+    const worker = new Worker(new URL('../workers/events.worker.js', import.meta.url), { type: 'module' })
+    workerRef.current = worker
+    setSearching(true)
+    setError(null)
+
+    worker.onmessage = ({ data }) => {
+      worker.terminate()
+      workerRef.current = null
+      setSearching(false)
+      if (data.type === 'error') setError(data.message)
+      else setEvents(data.events)
+    }
+
+    const start = timeRef.current
+    worker.postMessage({
+      start,
+      end: start + EVENT_WINDOWS[windowIndex].days,
+      options: kinds,
+      bodies: catalog.bodies,
+      precession: catalog.precession,
+      satellites: satellites.slice(0, SATELLITE_EVENT_LIMIT).map(({ name, line1, line2 }, index) => ({ name, line1, line2, index })),
+    })
+  }
+
+  const openEvent = (event) => {
+    setIsPaused(true)
+    jumpTo(event.time)
+    setSelectedId(event.focus)
+    setFocusId(event.focus)
+  }
+
+  return (
+    <div className="events-panel">
+      <div className="panel-header">
+        <span className="panel-title">Events</span>
+        <span className="panel-meta">
+          {searching ? 'Searching…' : events ? `${events.length} found` : 'Eclipses, phases, conjunctions'}
+        </span>
+        <button className="panel-link" onClick={() => setExpanded(!expanded)} aria-expanded={expanded}>
+          {expanded ? 'Hide' : 'Find'}
+        </button>
+      </div>
+
+      {expanded && (
+        <>
+          <div className="event-kinds">
+            {EVENT_KINDS.map(({ key, label }) => (
+              <button
+                key={key}
+                className={`mode-btn ${kinds[key] ? 'active' : ''}`}
+                aria-pressed={kinds[key]}
+                onClick={() => setKinds({ ...kinds, [key]: !kinds[key] })}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="panel-actions" style={{ gridTemplateColumns: '1fr 1fr' }}>
+            <select
+              className="control-select"
+              value={windowIndex}
+              onChange={(e) => setWindowIndex(Number(e.target.value))}
+              aria-label="Search window"
+            >
+              {EVENT_WINDOWS.map((option, index) => <option key={option.label} value={index}>Next {option.label}</option>)}
+            </select>
+            <button className="mode-btn" onClick={search} disabled={searching || !Object.values(kinds).some(Boolean)}>
+              Search
+            </button>
+          </div>
+          {kinds.shadows && (
+            <p className="panel-note">
+              Shadow crossings cover the first {SATELLITE_EVENT_LIMIT} satellites over {SATELLITE_EVENT_DAYS} days.
+            </p>
+          )}
+        </>
+      )}
+
+      {error && <ul className="panel-errors"><li>{error}</li></ul>}
+
+      {expanded && events && (
+        <ul className="event-list">
+          {events.length === 0 && <li className="panel-note">No events in this window</li>}
+          {events.map((event) => (
+            <li key={event.id}>
+              <button className="event-row" onClick={() => openEvent(event)}>
+                <span className="dot" style={{ background: EVENT_COLORS[event.type] }}></span>
+                <span className="event-text">
+                  <span className="event-title">{event.title}</span>
+                  <span className="event-detail">{formatDate(event.time)} {formatTime(event.time).slice(0, 5)} UTC · {event.detail}</span>
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+const MEASURE_COLORS = ['#80d8ff', '#ffd180', '#b9f6ca', '#ff80ab', '#ea80fc', '#ffff8d']
+const DEFAULT_MEASURE = { from: 'sun', to: 'moon', observer: 'earth' }
+
+// Adds a measurement with the first line color not already in use; repeats
+// of an existing measurement are ignored.
+function addMeasurement(measurements, measurement) {
+  if (measurements.some((other) => other.id === measurement.id)) return measurements
+  const color = MEASURE_COLORS.find((candidate) => !measurements.some((other) => other.color === candidate))
+  return [...measurements, { ...measurement, color: color || MEASURE_COLORS[measurements.length % MEASURE_COLORS.length] }]
+}
+
+function formatMeasurement(result, observer, catalog) {
+  const km = `${Math.round(result.distance).toLocaleString('en-US')} km · ${result.distanceAu.toPrecision(4)} AU`
+  const rate = `${result.rangeRate >= 0 ? '+' : ''}${result.rangeRate.toFixed(2)}`
+  const lines = [
+    km,
+    `Light ${formatLightTime(result.lightTime)} · ${result.relativeSpeed.toFixed(2)} km/s (${rate} radial)`,
+  ]
+  if (observer) lines.push(`${result.separation.toFixed(2)}° apart from ${getBody(observer, catalog).name}`)
+  return lines.join('\n')
+}
+
+// Readouts are rewritten on every scene frame from the simulation clock, like
+// the date display, so they follow pause, speed and jumps without re-rendering.
+function MeasurePanel({ timeRef, frames, measurements, setMeasurements, measurePick, setMeasurePick }) {
+  const [expanded, setExpanded] = useState(false)
+  const [form, setForm] = useState(DEFAULT_MEASURE)
+  const [error, setError] = useState(null)
+  const readoutRefs = useRef({})
+  const catalog = useCatalog()
+
+  useEffect(() => {
+    if (measurements.length === 0) return
+    const draw = () => {
+      const states = statesById(getBodyStates(timeRef.current, { catalog }))
+      for (const measurement of measurements) {
+        const node = readoutRefs.current[measurement.id]
+        if (node) node.innerText = formatMeasurement(measure(states, measurement), measurement.observer, catalog)
+      }
+    }
+    draw()
+    return onFrame(frames, draw)
+  }, [timeRef, frames, measurements, catalog])
+
+  const update = (key) => (e) => setForm({ ...form, [key]: e.target.value })
+
+  const add = () => {
+    try {
+      setMeasurements(addMeasurement(measurements, createMeasurement(form.from, form.to, form.observer || null, catalog)))
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
   }
-  
-  .dot { width: 6px; height: 6px; border-radius: 50%; display: block; }
-  .dot.earth { background: #4a90d9; box-shadow: 0 0 8px #4a90d9; }
-  .dot.moon { background: #aaaaaa; }
-  .dot.sat { background: #ff4444; box-shadow: 0 0 8px #ff4444; }
 
-  .stat-grid {
-    display: grid;
-    grid-template-columns: 1fr 1fr;
-    gap: 6px;
+  const togglePick = () => {
+    setMeasurePick(measurePick ? null : { from: null, observer: form.observer || null })
+    setError(null)
   }
-  .stat-item { font-size: 10px; color: var(--text-muted); line-height: 1.4; }
 
-  .time-display {
-    font-variant-numeric: tabular-nums;
-    font-size: 12px;
-    color: var(--accent);
-    margin-top: 8px;
-    font-weight: 600;
-    letter-spacing: 0.05em;
+  const meta = measurePick
+    ? measurePick.from
+      ? `${getBody(measurePick.from, catalog).name} → click the second body`
+      : 'Click the first body'
+    : measurements.length
+      ? `${measurements.length} active`
+      : 'Distance, light time, angles'
+
+  return (
+    <div className="measure-panel">
+      <div className="panel-header">
+        <span className="panel-title">Measure</span>
+        <span className="panel-meta" aria-live="polite">{meta}</span>
+        <button className="panel-link" onClick={() => setExpanded(!expanded)} aria-expanded={expanded}>
+          {expanded ? 'Hide' : 'Add'}
+        </button>
+      </div>
+
+      {expanded && (
+        <>
+          <div className="physics-form">
+            <label>
+              From
+              <select value={form.from} onChange={update('from')}>
+                {catalog.bodies.map((body) => <option key={body.id} value={body.id}>{body.name}</option>)}
+              </select>
+            </label>
+            <label>
+              To
+              <select value={form.to} onChange={update('to')}>
+                {catalog.bodies.map((body) => <option key={body.id} value={body.id}>{body.name}</option>)}
+              </select>
+            </label>
+            <label style={{ gridColumn: 'span 2' }}>
+              Angle seen from
+              <select value={form.observer} onChange={update('observer')}>
+                <option value="">None</option>
+                {catalog.bodies.map((body) => <option key={body.id} value={body.id}>{body.name}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="panel-actions" style={{ gridTemplateColumns: '1fr 1fr' }}>
+            <button className="mode-btn" onClick={add}>Measure</button>
+            <button className={`mode-btn ${measurePick ? 'active' : ''}`} aria-pressed={Boolean(measurePick)} onClick={togglePick}>
+              {measurePick ? 'Cancel Pick' : 'Pick in Scene'}
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && <ul className="panel-errors"><li>{error}</li></ul>}
+
+      {measurements.length > 0 && (
+        <ul className="measure-list">
+          {measurements.map((measurement) => (
+            <li key={measurement.id}>
+              <span className="dot" style={{ background: measurement.color }}></span>
+              <span className="event-text">
+                <span className="event-title">
+                  {getBody(measurement.from, catalog).name} → {getBody(measurement.to, catalog).name}
+                </span>
+                <span className="event-detail measure-readout" ref={(node) => { readoutRefs.current[measurement.id] = node }}></span>
+              </span>
+              <button
+                className="panel-link"
+                onClick={() => setMeasurements(measurements.filter((other) => other !== measurement))}
+                aria-label={`Remove ${getBody(measurement.from, catalog).name} to ${getBody(measurement.to, catalog).name}`}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+const EXPORT_STEP_UNITS = [
+  { id: 'm', name: 'Minutes', days: 1 / 1440 },
+  { id: 'h', name: 'Hours', days: 1 / 24 },
+  { id: 'd', name: 'Days', days: 1 },
+]
+const EXPORT_DEFAULT_DAYS = 30
+
+function downloadFile(content, mimeType, filename) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+function ExportPanel({ timeRef, referenceFrame, scale }) {
+  const [expanded, setExpanded] = useState(false)
+  const [form, setForm] = useState({ start: '', end: '', step: 1, stepUnit: 'd', frame: referenceFrame, unit: 'km' })
+  const [bodies, setBodies] = useState([])
+  const [error, setError] = useState(null)
+  const catalog = useCatalog()
+
+  const start = parseDateTime(form.start)
+  const end = parseDateTime(form.end)
+  const stepDays = form.step * EXPORT_STEP_UNITS.find((unit) => unit.id === form.stepUnit).days
+  let rowCount = null
+  let problem = start === null || end === null ? 'Enter a start and end time' : null
+  if (!problem) {
+    try {
+      rowCount = sampleCount(start, end, stepDays) * (bodies.length || catalog.bodies.length)
+      if (rowCount > MAX_EXPORT_ROWS) problem = `${rowCount.toLocaleString('en-US')} rows; the limit is ${MAX_EXPORT_ROWS.toLocaleString('en-US')}`
+    } catch (e) {
+      problem = e.message
+    }
   }
 
-  .camera-modes {
-    display: grid;
-    grid-template-columns: repeat(2, 1fr);
-    gap: 8px;
+  const query = new URLSearchParams({
+    start: form.start,
+    end: form.end,
+    step: `${form.step}${form.stepUnit}`,
+    frame: form.frame,
+    unit: form.unit,
+    ...(bodies.length ? { bodies: bodies.join(',') } : {}),
+    ...(form.unit === 'scene' ? { scale: scale.mode } : {}),
+  })
+
+  const toggle = () => {
+    if (!expanded && !form.start) {
+      setForm({
+        ...form,
+        frame: referenceFrame,
+        start: formatDateTimeInput(timeRef.current),
+        end: formatDateTimeInput(timeRef.current + EXPORT_DEFAULT_DAYS),
+      })
+    }
+    setExpanded(!expanded)
   }
 
-  .mode-btn {
-    background: transparent;
-    color: var(--text-muted);
-    border: 1px solid rgba(255,255,255,0.15);
-    padding: 10px 12px;
-    border-radius: 10px;
-    font-size: 11px;
-    font-weight: 600;
-    cursor: pointer;
-    transition: all 0.2s;
-    text-transform: uppercase;
-    letter-spacing: 0.05em;
+  const update = (key) => (e) => setForm({ ...form, [key]: key === 'step' ? parseFloat(e.target.value) : e.target.value })
+
+  const toggleBody = (id) => setBodies(bodies.includes(id) ? bodies.filter((other) => other !== id) : [...bodies, id])
+
+  const download = (format) => {
+    try {
+      const { content, mimeType, filename } = exportEphemeris(
+        { start, end, step: stepDays, bodies, frame: form.frame, unit: form.unit, scale, catalog },
+        format,
+      )
+      downloadFile(content, mimeType, filename)
+      setError(null)
+    } catch (e) {
+      setError(e.message)
+    }
   }
-  .mode-btn:hover { 
-    color: var(--text-light); 
-    border-color: var(--text-light); 
+
+  return (
+    <div className="export-panel">
+      <div className="panel-header">
+        <span className="panel-title">Export</span>
+        <span className="panel-meta">{expanded && rowCount && !problem ? `${rowCount.toLocaleString('en-US')} rows` : 'Ephemeris table'}</span>
+        <button className="panel-link" onClick={toggle} aria-expanded={expanded}>{expanded ? 'Hide' : 'Open'}</button>
+      </div>
+
+      {expanded && (
+        <>
+          <div className="physics-form">
+            <label>
+              From (UTC)
+              <input type="datetime-local" value={form.start} onChange={update('start')} />
+            </label>
+            <label>
+              To (UTC)
+              <input type="datetime-local" value={form.end} onChange={update('end')} />
+            </label>
+            <label>
+              Step
+              <input type="number" min="0" step="any" value={form.step} onChange={update('step')} />
+            </label>
+            <label>
+              Step unit
+              <select value={form.stepUnit} onChange={update('stepUnit')}>
+                {EXPORT_STEP_UNITS.map((unit) => <option key={unit.id} value={unit.id}>{unit.name}</option>)}
+              </select>
+            </label>
+            <label>
+              Frame
+              <select value={form.frame} onChange={update('frame')}>
+                {REFERENCE_FRAMES.map((frame) => <option key={frame.id} value={frame.id}>{frame.name}</option>)}
+              </select>
+            </label>
+            <label>
+              Unit
+              <select value={form.unit} onChange={update('unit')}>
+                {EXPORT_UNITS.map((unit) => <option key={unit.id} value={unit.id}>{unit.name}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <div className="export-bodies">
+            <button className={`mode-btn ${bodies.length ? '' : 'active'}`} aria-pressed={!bodies.length} onClick={() => setBodies([])}>All</button>
+            {catalog.bodies.map((body) => (
+              <button
+                key={body.id}
+                className={`mode-btn ${bodies.includes(body.id) ? 'active' : ''}`}
+                aria-pressed={bodies.includes(body.id)}
+                onClick={() => toggleBody(body.id)}
+              >
+                {body.name}
+              </button>
+            ))}
+          </div>
+
+          <div className="panel-actions" style={{ gridTemplateColumns: 'repeat(2, 1fr)' }}>
+            {EXPORT_FORMATS.map((format) => (
+              <button key={format.id} className="mode-btn" onClick={() => download(format.id)} disabled={Boolean(problem)}>
+                Download {format.name}
+              </button>
+            ))}
+          </div>
+
+          {(problem || error) && <ul className="panel-errors"><li>{problem || error}</li></ul>}
+
+          <p className="panel-note">
+            Position, velocity, distance to parent and Sun–body–Earth phase angle.{' '}
+            {form.unit === 'scene' && `Scene units follow the ${getScaleMode(scale.mode).name} scale. `}
+            Scripts can fetch the same table from{' '}
+            <a className="panel-link" href={`/api/ephemeris?${query}`} target="_blank" rel="noreferrer">/api/ephemeris</a>.
+          </p>
+        </>
+      )}
+    </div>
+  )
+}
+
+const SCREENSHOT_SCALES = [1, 2, 3, 4]
+const VIDEO_RESOLUTIONS = [
+  { label: '720p', width: 1280, height: 720 },
+  { label: '1080p', width: 1920, height: 1080 },
+  { label: '1440p', width: 2560, height: 1440 },
+  { label: '4K', width: 3840, height: 2160 },
+]
+const VIDEO_SPANS = [
+  { label: '1 day', days: 1 },
+  { label: '1 week', days: 7 },
+  { label: '1 month', days: 30 },
+  { label: '1 year', days: DAYS_PER_YEAR },
+  { label: '10 years', days: 10 * DAYS_PER_YEAR },
+]
+const VIDEO_FRAME_RATES = [24, 30, 60]
+const DEFAULT_VIDEO = { resolution: 1, span: 3, seconds: 20, fps: 30 }
+
+function CapturePanel({ timeRef, captureRef, capturing, setCapturing }) {
+  const [expanded, setExpanded] = useState(false)
+  const [screenshotScale, setScreenshotScale] = useState(2)
+  const [video, setVideo] = useState(DEFAULT_VIDEO)
+  const [progress, setProgress] = useState(null)
+  const [error, setError] = useState(null)
+  const jobRef = useRef(null)
+  const canRecord = typeof VideoEncoder !== 'undefined'
+
+  const frames = Math.max(Math.round(video.seconds * video.fps), 1)
+  const { width, height } = VIDEO_RESOLUTIONS[video.resolution]
+
+  const update = (key) => (e) => setVideo({ ...video, [key]: parseFloat(e.target.value) })
+
+  const screenshot = async () => {
+    const blob = await captureRef.current.screenshot(screenshotScale)
+    if (blob) downloadFile(blob, 'image/png', `solar-system-${formatDate(timeRef.current)}.png`)
+    else setError('The screenshot could not be encoded')
   }
-  .mode-btn.active {
-    background: var(--text-light);
-    color: #000;
-    border-color: var(--text-light);
+
+  const record = async () => {
+    const job = { cancelled: false }
+    jobRef.current = job
+    setError(null)
+    setProgress(0)
+    setCapturing(true)
+    try {
+      const start = timeRef.current
+      const blob = await captureRef.current.record(
+        { width, height, fps: video.fps, frames, step: VIDEO_SPANS[video.span].days / frames },
+        setProgress,
+        job,
+      )
+      if (blob) downloadFile(blob, 'video/webm', `solar-system-${formatDate(start)}-${VIDEO_SPANS[video.span].label.replace(' ', '')}.webm`)
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      jobRef.current = null
+      setProgress(null)
+      setCapturing(false)
+    }
   }
 
-  .spacer { flex-grow: 1; }
+  return (
+    <div className="capture-panel">
+      <div className="panel-header">
+        <span className="panel-title">Capture</span>
+        <span className="panel-meta">{capturing && progress !== null ? `Frame ${progress} / ${frames}` : 'PNG and WebM'}</span>
+        <button className="panel-link" onClick={() => setExpanded(!expanded)} aria-expanded={expanded}>{expanded ? 'Hide' : 'Open'}</button>
+      </div>
 
-  .controls-bar {
-    pointer-events: auto;
-    flex-shrink: 0;
-    background: var(--glass-bg);
-    backdrop-filter: blur(12px);
-    border: var(--glass-border);
-    border-radius: 20px;
-    padding: 14px 18px;
-    display: flex;
-    align-items: center;
-    gap: 18px;
-    box-shadow: 0 10px 40px rgba(0,0,0,0.3);
-    align-self: center;
-    max-width: 600px;
-    width: 100%;
+      {expanded && (
+        <>
+          <div className="panel-actions" style={{ gridTemplateColumns: '1fr 1fr' }}>
+            <select
+              className="control-select"
+              value={screenshotScale}
+              onChange={(e) => setScreenshotScale(Number(e.target.value))}
+              aria-label="Screenshot resolution"
+            >
+              {SCREENSHOT_SCALES.map((factor) => (
+                <option key={factor} value={factor}>
+                  {factor}× · {Math.round(window.innerWidth * factor)}×{Math.round(window.innerHeight * factor)}
+                </option>
+              ))}
+            </select>
+            <button className="mode-btn" onClick={screenshot} disabled={capturing}>Save PNG</button>
+          </div>
+
+          <div className="physics-form">
+            <label>
+              Simulated span
+              <select value={video.span} onChange={update('span')}>
+                {VIDEO_SPANS.map((span, index) => <option key={span.label} value={index}>{span.label}</option>)}
+              </select>
+            </label>
+            <label>
+              Length (s)
+              <input type="number" min="1" step="1" value={video.seconds} onChange={update('seconds')} />
+            </label>
+            <label>
+              Frame rate
+              <select value={video.fps} onChange={update('fps')}>
+                {VIDEO_FRAME_RATES.map((fps) => <option key={fps} value={fps}>{fps} fps</option>)}
+              </select>
+            </label>
+            <label>
+              Resolution
+              <select value={video.resolution} onChange={update('resolution')}>
+                {VIDEO_RESOLUTIONS.map((option, index) => <option key={option.label} value={index}>{option.label}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <div className="panel-actions" style={{ gridTemplateColumns: '1fr' }}>
+            {capturing ? (
+              <button className="mode-btn" onClick={() => { jobRef.current.cancelled = true }}>Cancel</button>
+            ) : (
+              <button className="mode-btn" onClick={record} disabled={!canRecord || !(video.seconds > 0)}>Record WebM</button>
+            )}
+          </div>
+
+          {error && <ul className="panel-errors"><li>{error}</li></ul>}
+
+          <p className="panel-note">
+            {canRecord
+              ? `${frames.toLocaleString('en-US')} frames, ${formatDuration(VIDEO_SPANS[video.span].days / frames)} per frame. Frames are rendered one at a time at a fixed step, so the video stays smooth under load; the view on screen is stretched and does not respond while recording.`
+              : 'Video recording needs a browser with WebCodecs, such as current Chrome, Edge or Firefox.'}
+          </p>
+        </>
+      )}
+    </div>
+  )
+}
+
+function PhysicsPanel({ simulationMode, setSimulationMode, physicsStatus, freeBodies, setFreeBodies }) {
+  const [form, setForm] = useState(DEFAULT_FREE_BODY)
+  const [counter, setCounter] = useState(1)
+  const catalog = useCatalog()
+  const physics = simulationMode === 'physics'
+
+  const update = (key) => (e) => {
+    const value = key === 'name' || key === 'parent' ? e.target.value : parseFloat(e.target.value)
+    setForm({ ...form, [key]: value })
   }
 
-  .btn-primary {
-    background: var(--text-light);
-    color: #000;
-    border: none;
-    padding: 10px 20px;
-    border-radius: 10px;
-    font-size: 12px;
-    font-weight: 600;
-    cursor: pointer;
-    transition: transform 0.1s;
-    white-space: nowrap;
+  const addFreeBody = (e) => {
+    e.preventDefault()
+    if (!(form.distance > 0)) return
+    setFreeBodies([
+      ...freeBodies,
+      {
+        ...form,
+        id: `free-${counter}`,
+        name: form.name.trim() || `Body ${counter}`,
+        tangentialSpeed: form.tangentialSpeed || 0,
+        radialSpeed: form.radialSpeed || 0,
+        gm: Math.max(form.gm || 0, 0),
+        color: FREE_BODY_COLORS[(counter - 1) % FREE_BODY_COLORS.length],
+      },
+    ])
+    setCounter(counter + 1)
   }
-  .btn-primary:active { transform: scale(0.96); }
 
-  .btn-secondary {
-    background: transparent;
-    color: var(--text-muted);
-    border: 1px solid rgba(255,255,255,0.2);
-    padding: 10px 16px;
-    border-radius: 10px;
-    font-size: 12px;
-    cursor: pointer;
-    transition: all 0.2s;
-    white-space: nowrap;
+  return (
+    <div className="physics-panel">
+      <div className="panel-header">
+        <span className="panel-title">Gravity</span>
+        <span className="panel-meta">
+          {physics && physicsStatus.step
+            ? `${physicsBodies(catalog).length + freeBodies.length} bodies · step ${(physicsStatus.step * 1440).toFixed(1)} min`
+            : 'Keplerian ephemeris'}
+        </span>
+      </div>
+
+      <div className="panel-actions" style={{ gridTemplateColumns: 'repeat(2, 1fr)' }}>
+        <button className={`mode-btn ${physics ? '' : 'active'}`} aria-pressed={!physics} onClick={() => setSimulationMode('analytic')}>
+          Analytic
+        </button>
+        <button className={`mode-btn ${physics ? 'active' : ''}`} aria-pressed={physics} onClick={() => setSimulationMode('physics')}>
+          N-Body
+        </button>
+      </div>
+
+      {physics && (
+        <>
+          {physicsStatus.error && <ul className="panel-errors"><li>{physicsStatus.error}</li></ul>}
+          {physicsStatus.lagging && (
+            <ul className="physics-list"><li className="physics-warning">Integrator lagging behind the clock</li></ul>
+          )}
+
+          <ul className="physics-list">
+            {physicsStatus.deviations.map(({ id, name, deviation }) => (
+              <li key={id}>{name} drift from ephemeris: {formatDeviation(deviation)}</li>
+            ))}
+          </ul>
+
+          <form className="physics-form" onSubmit={addFreeBody}>
+            <label>
+              Name
+              <input value={form.name} placeholder={`Body ${counter}`} onChange={update('name')} />
+            </label>
+            <label>
+              Orbiting
+              <select value={form.parent} onChange={update('parent')}>
+                {physicsBodies(catalog).map((body) => <option key={body.id} value={body.id}>{body.name}</option>)}
+              </select>
+            </label>
+            <label>
+              Distance (km)
+              <input type="number" min="1" value={form.distance} onChange={update('distance')} />
+            </label>
+            <label>
+              Prograde (km/s)
+              <input type="number" step="0.1" value={form.tangentialSpeed} onChange={update('tangentialSpeed')} />
+            </label>
+            <label>
+              Radial (km/s)
+              <input type="number" step="0.1" value={form.radialSpeed} onChange={update('radialSpeed')} />
+            </label>
+            <label>
+              GM (km³/s²)
+              <input type="number" min="0" value={form.gm} onChange={update('gm')} />
+            </label>
+            <button className="mode-btn" type="submit">Add Body</button>
+          </form>
+
+          {freeBodies.length > 0 && (
+            <ul className="physics-list">
+              {freeBodies.map((body) => (
+                <li key={body.id}>
+                  <span className="dot" style={{ background: body.color }}></span>
+                  {body.name} · {getBody(body.parent, catalog).name}
+                  <button
+                    className="panel-link"
+                    onClick={() => setFreeBodies(freeBodies.filter((other) => other !== body))}
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+const MAP_OCEAN = '#0b1d33'
+const MAP_TRACK_PAST = 1
+const MAP_TRACK_AHEAD = 2
+
+function mapPoint(point, width, height) {
+  return [((point.lon + 180) / 360) * width, ((90 - point.lat) / 180) * height]
+}
+
+function strokeSegments(ctx, segments, width, height) {
+  for (const segment of segments) {
+    ctx.beginPath()
+    segment.forEach((point, index) => {
+      const [x, y] = mapPoint(point, width, height)
+      if (index === 0) ctx.moveTo(x, y)
+      else ctx.lineTo(x, y)
+    })
+    ctx.stroke()
   }
-  .btn-secondary:hover { color: var(--text-light); border-color: var(--text-light); }
+}
 
-  .slider-group {
-    display: flex;
-    flex-direction: column;
-    flex-grow: 1;
-    gap: 6px;
-    transition: opacity 0.2s;
+function drawMarker(ctx, point, width, height, radius, color) {
+  const [x, y] = mapPoint(point, width, height)
+  ctx.beginPath()
+  ctx.arc(x, y, radius, 0, 2 * Math.PI)
+  ctx.fillStyle = color
+  ctx.fill()
+}
+
+function drawGroundTrack(ctx, width, height, image, time, satellite, satellites, catalog) {
+  if (image) ctx.drawImage(image, 0, 0, width, height)
+  else {
+    ctx.fillStyle = MAP_OCEAN
+    ctx.fillRect(0, 0, width, height)
+  }
+
+  ctx.strokeStyle = 'rgba(255,255,255,0.08)'
+  ctx.lineWidth = 1
+  for (let lon = -150; lon < 180; lon += 30) strokeSegments(ctx, [[{ lat: 90, lon }, { lat: -90, lon }]], width, height)
+  for (let lat = -60; lat <= 60; lat += 30) strokeSegments(ctx, [[{ lat, lon: -180 }, { lat, lon: 180 }]], width, height)
+
+  // Night side: between the terminator and the pole facing away from the Sun.
+  const sun = sunSubpoint(time, catalog)
+  const curve = terminator(sun)
+  const poleY = sun.lat >= 0 ? height : 0
+  ctx.beginPath()
+  ctx.moveTo(0, poleY)
+  curve.forEach((point) => ctx.lineTo(...mapPoint(point, width, height)))
+  ctx.lineTo(width, poleY)
+  ctx.closePath()
+  ctx.fillStyle = 'rgba(0, 0, 20, 0.55)'
+  ctx.fill()
+
+  satellites.forEach((other) => {
+    if (other === satellite) return
+    const point = satelliteSubpoint(other, time)
+    if (point) drawMarker(ctx, point, width, height, 1.5, other.color)
+  })
+
+  if (satellite) {
+    const point = satelliteSubpoint(satellite, time)
+    const period = satellite.period
+
+    ctx.lineWidth = 1.5
+    ctx.strokeStyle = satellite.color
+    ctx.globalAlpha = 0.35
+    ctx.setLineDash([4, 4])
+    strokeSegments(ctx, groundTrack(satellite, time - MAP_TRACK_PAST * period, time), width, height)
+    ctx.setLineDash([])
+    ctx.globalAlpha = 1
+    strokeSegments(ctx, groundTrack(satellite, time, time + MAP_TRACK_AHEAD * period), width, height)
+
+    if (point) {
+      ctx.strokeStyle = 'rgba(255,255,255,0.7)'
+      ctx.lineWidth = 1
+      strokeSegments(ctx, footprint(point), width, height)
+      drawMarker(ctx, point, width, height, 4, satellite.color)
+    }
+  }
+
+  drawMarker(ctx, moonSubpoint(time, catalog), width, height, 5, '#cfd8dc')
+  drawMarker(ctx, sun, width, height, 6, '#ffd54f')
+}
+
+function formatSubpoint(point) {
+  const lat = `${Math.abs(point.lat).toFixed(1)}°${point.lat >= 0 ? 'N' : 'S'}`
+  const lon = `${Math.abs(point.lon).toFixed(1)}°${point.lon >= 0 ? 'E' : 'W'}`
+  return `${lat} ${lon} · ${Math.round(point.altitude).toLocaleString('en-US')} km`
+}
+
+// Equirectangular map redrawn from the simulation clock on every scene frame,
+// like the date readout, so it follows pause, speed and jumps without
+// re-rendering.
+function GroundTrackMap({ timeRef, frames, satellites, selectedId, onClose }) {
+  const canvasRef = useRef()
+  const readoutRef = useRef()
+  const imageRef = useRef(null)
+  const [chosenId, setChosenId] = useState(null)
+  const catalog = useCatalog()
+  const texture = getBody('earth', catalog).texture.url
+  const selected = satellites.find((satellite) => satellite.id === selectedId)
+  const satellite = selected || satellites.find((candidate) => candidate.id === chosenId) || satellites[0]
+
+  useEffect(() => {
+    const image = new Image()
+    image.onload = () => {
+      imageRef.current = image
+      invalidate()
+    }
+    image.src = assetUrl(texture)
+    return () => { image.onload = null }
+  }, [texture])
+
+  useEffect(() => {
+    const draw = () => {
+      const canvas = canvasRef.current
+      const ratio = window.devicePixelRatio || 1
+      const width = Math.round(canvas.clientWidth * ratio)
+      const height = Math.round(canvas.clientHeight * ratio)
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width
+        canvas.height = height
+      }
+
+      const ctx = canvas.getContext('2d')
+      drawGroundTrack(ctx, width, height, imageRef.current, timeRef.current, satellite, satellites, catalog)
+      const point = satellite && satelliteSubpoint(satellite, timeRef.current)
+      readoutRef.current.innerText = point ? formatSubpoint(point) : satellite ? 'Not in orbit' : 'No satellites loaded'
+    }
+    draw()
+    return onFrame(frames, draw)
+  }, [timeRef, frames, satellite, satellites, catalog])
+
+  return (
+    <div className="map-view">
+      <div className="panel-header">
+        <span className="panel-title">Ground Track</span>
+        <select
+          className="control-select"
+          value={satellite?.id || ''}
+          onChange={(e) => setChosenId(e.target.value)}
+          disabled={satellites.length === 0 || Boolean(selected)}
+          aria-label="Satellite"
+        >
+          {satellites.map((candidate) => <option key={candidate.id} value={candidate.id}>{candidate.name}</option>)}
+        </select>
+        <span className="panel-meta" ref={readoutRef}></span>
+        <button className="panel-link" onClick={onClose}>Close</button>
+      </div>
+      <canvas ref={canvasRef} className="map-canvas" />
+      <div className="map-legend">
+        <span><span className="dot" style={{ background: '#ffd54f' }}></span> Subsolar</span>
+        <span><span className="dot" style={{ background: '#cfd8dc' }}></span> Sublunar</span>
+        <span>Dashed: last orbit · Solid: next {MAP_TRACK_AHEAD} orbits · Circle: visibility</span>
+      </div>
+    </div>
+  )
+}
+
+const MIN_TIME_SPEED = 1 / 86400
+const MAX_TIME_SPEED = 10 * DAYS_PER_YEAR
+
+function clampTimeSpeed(speed) {
+  return Math.sign(speed) * THREE.MathUtils.clamp(Math.abs(speed), MIN_TIME_SPEED, MAX_TIME_SPEED)
+}
+
+const TIMELINE_SPANS = [
+  { label: 'Day', days: 1 },
+  { label: 'Month', days: 30 },
+  { label: 'Year', days: DAYS_PER_YEAR },
+  { label: 'Decade', days: 10 * DAYS_PER_YEAR },
+]
+
+const STEP_SIZES = [
+  { label: '1 min', days: 1 / 1440 },
+  { label: '1 h', days: 1 / 24 },
+  { label: '1 d', days: 1 },
+  { label: '1 wk', days: 7 },
+  { label: 'Lunar month', days: 29.530589 },
+  { label: '1 yr', days: DAYS_PER_YEAR },
+]
+
+// The scrubber covers a window of the chosen span and re-centres on the clock
+// whenever time runs out of it. The thumb is written on every scene frame so
+// the overlay does not re-render every frame.
+function Timeline({ timeRef, frames, jumpTo }) {
+  const [spanIndex, setSpanIndex] = useState(2)
+  const sliderRef = useRef()
+  const startLabelRef = useRef()
+  const endLabelRef = useRef()
+  const windowStartRef = useRef(null)
+  const scrubbingRef = useRef(false)
+  const span = TIMELINE_SPANS[spanIndex].days
+
+  useEffect(() => {
+    const draw = () => {
+      const time = timeRef.current
+      let start = windowStartRef.current
+      if (start === null || time < start || time > start + span) {
+        start = time - span / 2
+        windowStartRef.current = start
+        startLabelRef.current.innerText = formatDate(start)
+        endLabelRef.current.innerText = formatDate(start + span)
+      }
+      if (!scrubbingRef.current) sliderRef.current.value = (time - start) / span
+    }
+    draw()
+    return onFrame(frames, draw)
+  }, [timeRef, frames, span])
+
+  const changeSpan = (e) => {
+    windowStartRef.current = null
+    setSpanIndex(Number(e.target.value))
+  }
+
+  return (
+    <div className="controls-row timeline">
+      <span className="timeline-label" ref={startLabelRef}></span>
+      <input
+        ref={sliderRef}
+        type="range"
+        min="0"
+        max="1"
+        step="any"
+        defaultValue="0.5"
+        aria-label="Timeline"
+        onPointerDown={() => { scrubbingRef.current = true }}
+        onPointerUp={() => { scrubbingRef.current = false }}
+        onPointerCancel={() => { scrubbingRef.current = false }}
+        onBlur={() => { scrubbingRef.current = false }}
+        onChange={(e) => jumpTo(windowStartRef.current + parseFloat(e.target.value) * span)}
+      />
+      <span className="timeline-label" ref={endLabelRef}></span>
+      <select className="control-select" value={spanIndex} onChange={changeSpan} aria-label="Timeline span">
+        {TIMELINE_SPANS.map((option, index) => <option key={option.label} value={index}>{option.label}</option>)}
+      </select>
+    </div>
+  )
+}
+
+function StepControls({ timeRef, jumpTo }) {
+  const [stepIndex, setStepIndex] = useState(2)
+  const step = STEP_SIZES[stepIndex].days
+
+  return (
+    <div className="step-controls">
+      <button className="btn-secondary btn-compact" onClick={() => jumpTo(timeRef.current - step)} title="Step back" aria-label="Step back">
+        ◀
+      </button>
+      <select
+        className="control-select"
+        value={stepIndex}
+        onChange={(e) => setStepIndex(Number(e.target.value))}
+        aria-label="Step size"
+      >
+        {STEP_SIZES.map((option, index) => <option key={option.label} value={index}>{option.label}</option>)}
+      </select>
+      <button className="btn-secondary btn-compact" onClick={() => jumpTo(timeRef.current + step)} title="Step forward" aria-label="Step forward">
+        ▶
+      </button>
+    </div>
+  )
+}
+
+function DateJump({ timeRef, jumpTo }) {
+  const [value, setValue] = useState('')
+  const [invalid, setInvalid] = useState(false)
+
+  const submit = (e) => {
+    e.preventDefault()
+    const time = parseDateTime(value)
+    setInvalid(time === null)
+    if (time !== null) jumpTo(time)
+  }
+
+  return (
+    <form className="date-jump" onSubmit={submit}>
+      <input
+        type="datetime-local"
+        className={`control-select ${invalid ? 'invalid' : ''}`}
+        value={value}
+        onFocus={() => { if (!value) setValue(formatDateTimeInput(timeRef.current)) }}
+        onChange={(e) => setValue(e.target.value)}
+        aria-label="Jump to date (UTC)"
+        title="Jump to date (UTC)"
+      />
+      <button className="btn-secondary btn-compact" type="submit" disabled={!value}>GO</button>
+    </form>
+  )
+}
+
+function shortcutBodies(catalog) {
+  return catalog.bodies.filter((body) => !body.hidden && (body.kind === 'star' || body.kind === 'planet')).slice(0, 9)
+}
+
+const SPEED_KEY_FACTOR = 2
+const ANNOUNCE_INTERVAL = 1000
+const CLOCK_ANNOUNCE_INTERVAL = 15000
+
+const SHORTCUTS = [
+  ['Space', 'Pause or resume'],
+  ['↑ ↓', 'Double or halve the time speed'],
+  ['← →', 'Step back or forward by one second of playback'],
+  ['1 – 9', 'Focus the Sun, then the planets in order'],
+  ['0  Esc', 'Back to the overview'],
+  ['W A S D', 'Orbit the camera (also Shift + arrows)'],
+  ['?', 'Show or hide this list'],
+]
+
+function HelpOverlay({ reducedMotion, onClose }) {
+  const closeRef = useRef()
+
+  useEffect(() => {
+    const opener = document.activeElement
+    closeRef.current.focus()
+    return () => opener?.focus?.()
+  }, [])
+
+  return (
+    <div className="help-backdrop" onClick={onClose}>
+      <div
+        className="help-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="help-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => { if (e.key === 'Tab') e.preventDefault() }}
+      >
+        <div className="panel-header">
+          <span className="panel-title" id="help-title">Keyboard Shortcuts</span>
+          <button ref={closeRef} className="panel-link" onClick={onClose}>Close</button>
+        </div>
+        <dl className="help-list">
+          {SHORTCUTS.map(([keys, action]) => (
+            <div key={keys}>
+              <dt><kbd>{keys}</kbd></dt>
+              <dd>{action}</dd>
+            </div>
+          ))}
+        </dl>
+        <p className="panel-note">
+          {reducedMotion
+            ? 'Reduced motion is on: the camera jumps to its target and nothing pulses.'
+            : 'Turn on your system\'s reduce-motion setting to stop camera easing and pulsing markers.'}
+        </p>
+      </div>
+    </div>
+  )
+}
+
+function UIOverlay({
+  timeRef,
+  startTime,
+  jumpTo,
+  isPaused,
+  setIsPaused,
+  timeSpeed,
+  setTimeSpeed,
+  focus,
+  setFocusId,
+  selection,
+  setSelectedId,
+  satellites,
+  setSatellites,
+  simulationMode,
+  setSimulationMode,
+  physicsStatus,
+  freeBodies,
+  setFreeBodies,
+  assetErrors,
+  setAssetErrors,
+  referenceFrame,
+  setReferenceFrame,
+  pathMode,
+  setPathMode,
+  scale,
+  setScale,
+  measurements,
+  setMeasurements,
+  measurePick,
+  setMeasurePick,
+  scenario,
+  scenarioErrors,
+  scenarioOpen,
+  setScenarioOpen,
+  openScenario,
+  saveScenario,
+  resetScenario,
+  tour,
+  tourSteps,
+  playTourStep,
+  toggleTour,
+  stopTour,
+  captureRef,
+  capturing,
+  setCapturing,
+  panels,
+  keyboard,
+  linkUrl,
+  frames,
+  monitor,
+  quality,
+  qualityMode,
+  setQualityMode,
+  showAxes,
+  setShowAxes,
+  precession,
+  setPrecession,
+}) {
+  const catalog = useCatalog()
+  const dateRef = useRef()
+  const clockRef = useRef()
+  const statusRef = useRef()
+  const clockStatusRef = useRef()
+  const announcerRef = useRef({ at: 0, timer: null })
+  const [showInfo, setShowInfo] = useState(true)
+  const [showMap, setShowMap] = useState(false)
+  const [showHelp, setShowHelp] = useState(false)
+  const [linkCopied, setLinkCopied] = useState(false)
+  const reducedMotion = useReducedMotion()
+  const shown = (id) => panels.includes(id)
+  const infoPanels = OVERLAY_PANELS.some((id) => !['header', 'controls', 'quality'].includes(id) && shown(id))
+  // Without the header there is no button to bring hidden panels back.
+  const panelsOpen = showInfo || !shown('header')
+
+  useEffect(() => {
+    if (window.innerWidth < 768) setShowInfo(false)
+  }, [])
+
+  // The readout is rewritten every frame, which screen readers can't follow,
+  // so a separate live region announces the date at most every 15 s.
+  useEffect(() => {
+    let announcedAt = performance.now()
+    let announcedDate = formatDate(timeRef.current)
+    const draw = () => {
+      const date = formatDate(timeRef.current)
+      if (dateRef.current && clockRef.current) {
+        dateRef.current.innerText = date
+        clockRef.current.innerText = `${formatTime(timeRef.current)} UTC`
+      }
+      const now = performance.now()
+      if (date !== announcedDate && now - announcedAt > CLOCK_ANNOUNCE_INTERVAL) {
+        clockStatusRef.current.textContent = `Simulation date ${date}`
+        announcedAt = now
+        announcedDate = date
+      }
+    }
+    draw()
+    return onFrame(frames, draw)
+  }, [timeRef, frames])
+
+  useEffect(() => {
+    const announcer = announcerRef.current
+    return () => clearTimeout(announcer.timer)
+  }, [])
+
+  // Announcements closer together than ANNOUNCE_INTERVAL collapse into the
+  // latest one.
+  const announce = (message) => {
+    const announcer = announcerRef.current
+    const write = () => {
+      announcer.at = performance.now()
+      statusRef.current.textContent = message
+    }
+    clearTimeout(announcer.timer)
+    const wait = announcer.at + ANNOUNCE_INTERVAL - performance.now()
+    if (wait <= 0) write()
+    else announcer.timer = setTimeout(write, wait)
   }
 
-  .slider-group.disabled {
-    opacity: 0.4;
-    pointer-events: none;
-  }
-  
-  .slider-label {
-    display: flex;
-    justify-content: space-between;
-    font-size: 10px;
-    color: var(--text-muted);
-    text-transform: uppercase;
-    font-weight: 600;
+  const togglePause = () => {
+    setIsPaused(!isPaused)
+    announce(isPaused ? 'Playing' : 'Paused')
   }
 
-  input[type=range] {
-    -webkit-appearance: none;
-    width: 100%;
-    background: transparent;
-    cursor: pointer;
-    height: 20px;
-  }
-  input[type=range]:focus { outline: none; }
-  
-  input[type=range]::-webkit-slider-runnable-track {
-    width: 100%;
-    height: 4px;
-    background: rgba(255,255,255,0.15);
-    border-radius: 2px;
-  }
-  
-  input[type=range]::-webkit-slider-thumb {
-    -webkit-appearance: none;
-    height: 16px;
-    width: 16px;
-    border-radius: 50%;
-    background: var(--text-light);
-    margin-top: -6px;
-    box-shadow: 0 0 10px rgba(255,255,255,0.5);
-  }
-  
-  input[type=range]::-moz-range-thumb {
-    height: 16px;
-    width: 16px;
-    border-radius: 50%;
-    background: var(--text-light);
-    border: none;
+  const changeSpeed = (speed) => {
+    setTimeSpeed(speed)
+    announce(`${speed < 0 ? 'Reverse, ' : ''}${formatDuration(Math.abs(speed))} per second`)
   }
 
-  @media (max-width: 768px) {
-    .ui-container { 
-      padding: 12px; 
-      gap: 10px; 
-    }
-    
-    .title-group h1 { font-size: 18px; }
-    .title-group p { font-size: 11px; }
+  const scaleSpeed = (factor) => {
+    changeSpeed(Math.sign(timeSpeed) * THREE.MathUtils.clamp(Math.abs(timeSpeed) * factor, MIN_TIME_SPEED, MAX_TIME_SPEED))
+  }
 
-    .info-section {
-      max-width: 100%;
-    }
+  const scrub = (direction) => {
+    const time = timeRef.current + direction * Math.abs(timeSpeed)
+    jumpTo(time)
+    announce(formatDateTime(time))
+  }
 
-    .controls-bar {
-      position: fixed;
-      bottom: 12px;
-      left: 12px;
-      right: 12px;
-      margin: 0;
-      padding: 12px 16px;
-      gap: 12px;
-      max-width: none;
-      width: auto;
-    }
-    
-    .slider-group { 
-      width: 100%; 
-      min-width: 0;
-    }
-    
-    .btn-primary, .btn-secondary { 
-      padding: 10px 14px;
-      font-size: 11px;
-      min-width: 70px;
-    }
+  const focusBody = (body) => {
+    if (body) setSelectedId(body.id)
+    setFocusId(body?.id || null)
+    announce(body ? `Following ${body.name}` : 'Overview')
   }
 
-  @media (max-width: 480px) {
-    .controls-bar {
-      flex-wrap: wrap;
-      padding: 10px 12px;
-      gap: 10px;
-    }
-    
-    .slider-group { 
-      order: 1;
-      width: 100%;
-    }
-    
-    .btn-primary, .btn-secondary { 
-      order: 2;
-      flex: 1;
-      min-width: 0;
+  // Without clipboard access (an insecure origin, or a denied permission) the
+  // link is shown to copy by hand.
+  const copyLink = async () => {
+    const url = linkUrl()
+    try {
+      await navigator.clipboard.writeText(url)
+    } catch {
+      window.prompt('Copy this link', url)
+      return
     }
+    setLinkCopied(true)
+    announce('Link copied')
   }
-`
-
-function UIOverlay({ timeRef, isPaused, setIsPaused, timeSpeed, setTimeSpeed, cameraMode, setCameraMode }) {
-  const dayRef = useRef()
-  const yearRef = useRef()
-  const [showInfo, setShowInfo] = useState(true)
 
   useEffect(() => {
-    if (window.innerWidth < 768) setShowInfo(false)
-  }, [])
+    if (!linkCopied) return
+    const timer = setTimeout(() => setLinkCopied(false), 2000)
+    return () => clearTimeout(timer)
+  }, [linkCopied])
 
   useEffect(() => {
-    let requestId
-    const loop = () => {
-      if (dayRef.current && yearRef.current) {
-        dayRef.current.innerText = `DAY ${Math.floor(timeRef.current)}`
-        yearRef.current.innerText = `YEAR ${Math.floor(timeRef.current / 365) + 1}`
+    if (!keyboard) return
+    const handleKey = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isEditable(e.target)) return
+      if (e.key === 'Escape') {
+        if (showHelp) setShowHelp(false)
+        else if (measurePick) setMeasurePick(null)
+        else focusBody(null)
+        return
+      }
+      if (e.key === '?') {
+        setShowHelp(!showHelp)
+        return
       }
-      requestId = requestAnimationFrame(loop)
+      if (showHelp || (e.shiftKey && e.key.startsWith('Arrow'))) return
+
+      const digit = /^[0-9]$/.test(e.key) ? Number(e.key) : null
+      const shortcut = digit ? shortcutBodies(catalog)[digit - 1] : null
+      if (e.key === ' ' && e.target.tagName !== 'BUTTON') togglePause()
+      else if (e.key === 'ArrowUp') scaleSpeed(SPEED_KEY_FACTOR)
+      else if (e.key === 'ArrowDown') scaleSpeed(1 / SPEED_KEY_FACTOR)
+      else if (e.key === 'ArrowLeft') scrub(-1)
+      else if (e.key === 'ArrowRight') scrub(1)
+      else if (digit === 0) focusBody(null)
+      else if (shortcut) focusBody(shortcut)
+      else return
+      e.preventDefault()
     }
-    loop()
-    return () => cancelAnimationFrame(requestId)
-  }, [timeRef])
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  })
 
-  const currentSpeed = cameraMode === 'earth' ? 0.1 : timeSpeed
 
   return (
     <>
       <style>{styles}</style>
       <div className="ui-container">
         
-        <div className="ui-header">
-          <div className="title-group">
-            <h1>Orbital System</h1>
-            <p>{cameraMode === 'earth' ? 'Earth Focus - 0.1 Days/s' : 'Overview Mode'}</p>
+        {shown('header') && (
+          <div className="ui-header">
+            <div className="title-group">
+              <h1>Orbital System</h1>
+              <p>{focus ? `${focus.name} Focus` : 'Overview Mode'}</p>
+            </div>
+            
+            <div className="header-buttons">
+              <button
+                className="info-toggle"
+                onClick={() => setShowHelp(true)}
+                aria-label="Keyboard shortcuts"
+                aria-haspopup="dialog"
+              >
+                <span className="help-glyph" aria-hidden="true">?</span>
+              </button>
+              <button
+                className="info-toggle"
+                onClick={() => setShowInfo(!showInfo)}
+                aria-label={showInfo ? 'Hide panels' : 'Show panels'}
+                aria-expanded={showInfo}
+                aria-controls="info-section"
+              >
+                {showInfo ? (
+                  <svg width="20" height="20" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                ) : (
+                  <svg width="20" height="20" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                  </svg>
+                )}
+              </button>
+            </div>
           </div>
-          
-          <button 
-            className="info-toggle" 
-            onClick={() => setShowInfo(!showInfo)}
+        )}
+
+        {assetErrors.length > 0 && (
+          <div className="asset-warning" role="alert">
+            <span>
+              Textures for {assetErrors.join(', ')} could not be loaded from {ASSET_BASE_URL}; showing plain colors instead.
+            </span>
+            <button className="panel-link" onClick={() => setAssetErrors([])}>Dismiss</button>
+          </div>
+        )}
+
+        {infoPanels && (
+          <div
+            id="info-section"
+            className={`info-section ${panelsOpen ? '' : 'hidden'}`}
+            role="region"
+            aria-label="Panels"
+            inert={!panelsOpen}
           >
-            {showInfo ? (
-              <svg width="20" height="20" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-              </svg>
-            ) : (
-              <svg width="20" height="20" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-              </svg>
+            {selection && shown('details') && (
+              <DetailsCard selection={selection} focus={focus} setSelectedId={setSelectedId} setFocusId={setFocusId} />
             )}
-          </button>
-        </div>
 
-        <div className={`info-section ${showInfo ? '' : 'hidden'}`}>
-          <div className="info-panel">
-            <div className="info-row">
-              <div className="info-label">
-                <span className="dot earth"></span> Earth
-              </div>
-              <div className="stat-grid">
-                <span className="stat-item">Orbit: 365.25 d</span>
-                <span className="stat-item">Tilt: 23.5°</span>
+            {shown('bodies') && (
+              <div className="info-panel">
+                <div className="body-list">
+                  {infoBodies(catalog).map(({ body, depth }) => (
+                    <div key={body.id} className={`info-row ${depth > 1 ? 'child' : ''}`}>
+                      <div className="info-label">
+                        <span className="dot" style={{ background: body.color, boxShadow: `0 0 8px ${body.color}` }}></span> {body.name}
+                      </div>
+                      <div className="stat-grid">
+                        {bodyStats(body).map((stat) => (
+                          <span key={stat} className="stat-item">{stat}</span>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                  {satellites.slice(0, SATELLITE_INFO_LIMIT).map((satellite) => (
+                    <div key={satellite.id} className="info-row child">
+                      <div className="info-label">
+                        <span className="dot" style={{ background: satellite.color, boxShadow: `0 0 8px ${satellite.color}` }}></span> {satellite.name}
+                      </div>
+                      <div className="stat-grid">
+                        <span className="stat-item">Orbit: {formatPeriod(satellite.period)}</span>
+                        <span className="stat-item">Inc: {satellite.inclination.toFixed(1)}°</span>
+                      </div>
+                    </div>
+                  ))}
+                  {satellites.length > SATELLITE_INFO_LIMIT && (
+                    <div className="info-row child">
+                      <div className="info-label">+{satellites.length - SATELLITE_INFO_LIMIT} more satellites</div>
+                    </div>
+                  )}
+                </div>
+  
+                <div className="time-display" role="timer" aria-label="Simulation time">
+                  <span ref={dateRef}></span> <span style={{opacity:0.3, margin:'0 4px'}} aria-hidden="true">|</span> <span ref={clockRef}></span>
+                </div>
               </div>
-            </div>
+            )}
 
-            <div className="info-row">
-              <div className="info-label">
-                <span className="dot moon"></span> Moon
+            {shown('camera') && (
+              <div className="camera-modes">
+                <button 
+                  className={`mode-btn ${focus ? '' : 'active'}`}
+                  aria-pressed={!focus}
+                  onClick={() => setFocusId(null)}
+                >
+                  Overview
+                </button>
+                <button 
+                  className={`mode-btn ${focus?.id === 'earth' ? 'active' : ''}`}
+                  aria-pressed={focus?.id === 'earth'}
+                  onClick={() => setFocusId('earth')}
+                >
+                  Earth Focus
+                </button>
+                <button
+                  className={`mode-btn ${showMap ? 'active' : ''}`}
+                  aria-pressed={showMap}
+                  style={{ gridColumn: 'span 2' }}
+                  onClick={() => setShowMap(!showMap)}
+                >
+                  Ground Track Map
+                </button>
               </div>
-              <div className="stat-grid">
-                <span className="stat-item">Orbit: 27.3 d</span>
-                <span className="stat-item">Dist: 384k km</span>
-              </div>
-            </div>
+            )}
 
-            <div className="info-row">
-              <div className="info-label">
-                <span className="dot sat"></span> ISS Satellite
-              </div>
-              <div className="stat-grid">
-                <span className="stat-item">Orbit: ~12 hours</span>
-                <span className="stat-item">Inc: 51.6°</span>
-              </div>
-            </div>
+            {shown('view') && (
+              <ViewPanel
+                referenceFrame={referenceFrame}
+                setReferenceFrame={setReferenceFrame}
+                pathMode={pathMode}
+                setPathMode={setPathMode}
+                scale={scale}
+                setScale={setScale}
+                qualityMode={qualityMode}
+                setQualityMode={setQualityMode}
+              />
+            )}
 
-            <div className="time-display">
-              <span ref={dayRef}>DAY 0</span> <span style={{opacity:0.3, margin:'0 4px'}}>|</span> <span ref={yearRef}>YEAR 1</span>
-            </div>
-          </div>
+            {shown('seasons') && (
+              <SeasonsPanel
+                timeRef={timeRef}
+                frames={frames}
+                jumpTo={jumpTo}
+                showAxes={showAxes}
+                setShowAxes={setShowAxes}
+                precession={precession}
+                setPrecession={setPrecession}
+              />
+            )}
 
-          <div className="camera-modes">
-            <button 
-              className={`mode-btn ${cameraMode === 'overview' ? 'active' : ''}`}
-              onClick={() => setCameraMode('overview')}
-            >
-              Overview
-            </button>
-            <button 
-              className={`mode-btn ${cameraMode === 'earth' ? 'active' : ''}`}
-              onClick={() => setCameraMode('earth')}
-            >
-              Earth Focus
-            </button>
+            {shown('moon') && <MoonPanel timeRef={timeRef} frames={frames} jumpTo={jumpTo} />}
+
+            {shown('scenario') && (
+              <ScenarioPanel
+                scenario={scenario}
+                errors={scenarioErrors}
+                expanded={scenarioOpen}
+                setExpanded={setScenarioOpen}
+                onOpen={openScenario}
+                onSave={saveScenario}
+                onReset={resetScenario}
+                onPlayTour={() => playTourStep(0, true)}
+              />
+            )}
+
+            {shown('satellites') && <SatellitePanel satellites={satellites} setSatellites={setSatellites} />}
+
+            {shown('events') && (
+              <EventsPanel
+                timeRef={timeRef}
+                satellites={satellites}
+                jumpTo={jumpTo}
+                setIsPaused={setIsPaused}
+                setSelectedId={setSelectedId}
+                setFocusId={setFocusId}
+              />
+            )}
+
+            {shown('measure') && (
+              <MeasurePanel
+                timeRef={timeRef}
+                frames={frames}
+                measurements={measurements}
+                setMeasurements={setMeasurements}
+                measurePick={measurePick}
+                setMeasurePick={setMeasurePick}
+              />
+            )}
+
+            {shown('export') && <ExportPanel timeRef={timeRef} referenceFrame={referenceFrame} scale={scale} />}
+
+            {shown('capture') && (
+              <CapturePanel timeRef={timeRef} captureRef={captureRef} capturing={capturing} setCapturing={setCapturing} />
+            )}
+
+            {shown('physics') && (
+              <PhysicsPanel
+                simulationMode={simulationMode}
+                setSimulationMode={setSimulationMode}
+                physicsStatus={physicsStatus}
+                freeBodies={freeBodies}
+                setFreeBodies={setFreeBodies}
+              />
+            )}
           </div>
-        </div>
+        )}
+
+        {showMap && (
+          <GroundTrackMap
+            timeRef={timeRef}
+            frames={frames}
+            satellites={satellites}
+            selectedId={selection?.id}
+            onClose={() => setShowMap(false)}
+          />
+        )}
 
         <div className="spacer"></div>
 
-        <div className="controls-bar">
-          <div className={`slider-group ${cameraMode === 'earth' ? 'disabled' : ''}`}>
-            <div className="slider-label">
-              <span>Time Speed</span>
-              <span>{currentSpeed.toFixed(1)} Days/s</span>
+        {tour && (
+          <TourBar
+            tour={tour}
+            steps={tourSteps}
+            onStep={(index) => playTourStep(index, tour.playing)}
+            onToggle={toggleTour}
+            onExit={stopTour}
+          />
+        )}
+
+        {shown('controls') && (
+          <div className="controls-bar" role="group" aria-label="Playback">
+            <Timeline timeRef={timeRef} frames={frames} jumpTo={jumpTo} />
+
+            <div className="controls-row">
+              <button
+                className={`btn-secondary btn-compact ${timeSpeed < 0 ? 'active' : ''}`}
+                onClick={() => changeSpeed(-timeSpeed)}
+                title="Reverse playback"
+                aria-label="Reverse playback"
+                aria-pressed={timeSpeed < 0}
+              >
+                {timeSpeed < 0 ? '◀◀' : '▶▶'}
+              </button>
+
+              <div className="slider-group">
+                <div className="slider-label">
+                  <span>Time Speed</span>
+                  <span>{formatDuration(timeSpeed)}/s</span>
+                </div>
+                <input
+                  type="range"
+                  min={Math.log10(MIN_TIME_SPEED)}
+                  max={Math.log10(MAX_TIME_SPEED)}
+                  step="0.01"
+                  value={Math.log10(Math.abs(timeSpeed))}
+                  onChange={(e) => setTimeSpeed(Math.sign(timeSpeed) * 10 ** parseFloat(e.target.value))}
+                  aria-label="Time speed"
+                  aria-valuetext={`${formatDuration(Math.abs(timeSpeed))} per second`}
+                />
+              </div>
+
+              <button 
+                className="btn-primary" 
+                onClick={togglePause}
+              >
+                {isPaused ? 'RESUME' : 'PAUSE'}
+              </button>
+            </div>
+
+            <div className="controls-row">
+              <StepControls timeRef={timeRef} jumpTo={jumpTo} />
+
+              <DateJump timeRef={timeRef} jumpTo={jumpTo} />
+
+              <button 
+                className="btn-secondary"
+                onClick={() => jumpTo(nowSimTime())}
+              >
+                NOW
+              </button>
+
+              <button 
+                className="btn-secondary"
+                onClick={() => jumpTo(startTime)}
+              >
+                RESET
+              </button>
+
+              {linkUrl && (
+                <button className="btn-secondary" onClick={copyLink} title="Copy a link to this view">
+                  {linkCopied ? 'COPIED' : 'LINK'}
+                </button>
+              )}
             </div>
-            <input
-              type="range"
-              min="0.1"
-              max="2"
-              step="0.1"
-              value={timeSpeed}
-              onChange={(e) => setTimeSpeed(parseFloat(e.target.value))}
-              disabled={cameraMode === 'earth'}
-            />
           </div>
+        )}
 
-          <button 
-            className="btn-primary" 
-            onClick={() => setIsPaused(!isPaused)}
-          >
-            {isPaused ? 'RESUME' : 'PAUSE'}
-          </button>
-          
-          <button 
-            className="btn-secondary"
-            onClick={() => { timeRef.current = 0 }}
-          >
-            RESET
-          </button>
-        </div>
+        {shown('quality') && <QualityIndicator monitor={monitor} quality={quality} auto={qualityMode === 'auto'} />}
+
+        <div className="sr-only" role="status" ref={statusRef}></div>
+        <div className="sr-only" aria-live="polite" ref={clockStatusRef}></div>
       </div>
+
+      {showHelp && <HelpOverlay reducedMotion={reducedMotion} onClose={() => setShowHelp(false)} />}
     </>
   )
 }
 
-export default function SolarSystem() {
-  const timeRef = useRef(0)
-  const [isPaused, setIsPaused] = useState(false)
-  const [timeSpeed, setTimeSpeed] = useState(1)
-  const [cameraMode, setCameraMode] = useState('overview')
-  const [cameraTarget, setCameraTarget] = useState(null)
+const INITIAL_PHYSICS_STATUS = { step: 0, lagging: false, deviations: [], error: null }
+
+const WATCHED_EVENTS = { eclipses: true, phases: true, conjunctions: true }
+const WATCH_MIN_DAYS = 30
+const WATCH_MAX_DAYS = 5 * DAYS_PER_YEAR
+const WATCH_SECONDS = 120
+const WATCH_CHUNK_MS = 250
+const WATCH_RETRY_MS = 5000
+
+// Reports events as the clock passes them, for the `onEvent` prop. One
+// worker searches ahead of the clock in the direction of play, a chunk at a
+// time, until a couple of minutes of play are covered. Chunks are sized from
+// how fast the last one was searched, so each takes about WATCH_CHUNK_MS.
+// Jumps move the clock without reporting what they skip. So does a clock that
+// outruns the search at the highest speeds: the next chunk then starts where
+// the clock will be once it is searched.
+function EventWatcher({ timeRef, timeJumpRef, frames, timeSpeed, onEvent }) {
+  const report = useEffectEvent((event) => onEvent({ ...event, date: simTimeToDate(event.time) }))
+  const readSpeed = useEffectEvent(() => timeSpeed)
+  const catalog = useCatalog()
+
+  // A new catalog starts the search over.
+  useEffect(() => {
+    const watch = {
+      jump: timeJumpRef.current,
+      request: 0,
+      pending: null,
+      busy: null,
+      latency: WATCH_CHUNK_MS,
+      daysPerMs: WATCH_MIN_DAYS / WATCH_CHUNK_MS,
+      retryAt: 0,
+    }
+    let worker = null
+
+    // A reply to a search from before a restart is dropped.
+    const restart = (time) => {
+      Object.assign(watch, { last: time, start: time, end: time, events: [], pending: null })
+    }
+
+    const receive = ({ data }) => {
+      const { pending, busy } = watch
+      // Every reply, even one from before a restart, times the search.
+      watch.latency = performance.now() - busy.sent
+      watch.daysPerMs = busy.span / Math.max(watch.latency, 1)
+      watch.busy = null
+      if (data.id !== pending?.id) return
+      watch.pending = null
+      // A failed chunk still counts as searched, so it isn't retried every frame.
+      const found = data.type === 'events' ? data.events.filter((event) => event.time > watch.end || event.time < watch.start) : []
+      const forward = pending.start === watch.end
+      // Events the clock passed while the chunk was searched are reported late.
+      found.filter((event) => (forward ? event.time <= watch.last : event.time >= watch.last)).forEach(report)
+      const start = forward ? Math.max(watch.start, watch.last) : pending.start
+      const end = forward ? pending.end : Math.min(watch.end, watch.last)
+      const events = forward ? [...watch.events, ...found] : [...found, ...watch.events]
+      Object.assign(watch, { start, end, events: events.filter((event) => event.time >= start && event.time <= end) })
+    }
+
+    const fail = (event) => {
+      event.preventDefault()
+      worker.terminate()
+      worker = null
+      Object.assign(watch, { pending: null, busy: null, retryAt: performance.now() + WATCH_RETRY_MS })
+    }
+
+    const search = (speed, time) => {
+      if (!worker) {
+        worker = new Worker(new URL('../workers/events.worker.js', import.meta.url), { type: 'module' })
+        worker.onmessage = receive
+        worker.onerror = fail
+      }
+      const days = Math.max(watch.daysPerMs * WATCH_CHUNK_MS, (Math.abs(speed) * 2 * watch.latency) / 1000)
+      const span = THREE.MathUtils.clamp(days, WATCH_MIN_DAYS, WATCH_MAX_DAYS)
+      // After a restart the search begins at the clock, or where the clock will
+      // be if it would pass a whole chunk while that is searched.
+      if (watch.start === watch.end) {
+        const travel = (speed * watch.latency) / 1000
+        watch.start = watch.end = time + (Math.abs(travel) > span ? travel : 0)
+      }
+      const [start, end] = speed < 0 ? [watch.start - span, watch.start] : [watch.end, watch.end + span]
+      watch.pending = { id: ++watch.request, start, end }
+      watch.busy = { sent: performance.now(), span }
+      worker.postMessage({ id: watch.pending.id, start, end, options: WATCHED_EVENTS, satellites: [], bodies: catalog.bodies, precession: catalog.precession })
+    }
+
+    const check = () => {
+      const time = timeRef.current
+      const speed = readSpeed()
+      // The clock may run into the chunk being searched before it comes back.
+      const from = Math.min(watch.start, watch.pending?.start ?? watch.start)
+      const to = Math.max(watch.end, watch.pending?.end ?? watch.end)
+      if (watch.jump !== timeJumpRef.current || (speed < 0 ? time < from : time > to)) {
+        watch.jump = timeJumpRef.current
+        restart(time)
+      }
+      const [low, high] = watch.last <= time ? [watch.last, time] : [time, watch.last]
+      watch.events.filter((event) => event.time > low && event.time <= high).forEach(report)
+      watch.last = time
+
+      const ahead = speed < 0 ? time - watch.start : watch.end - time
+      const wanted = Math.max(Math.abs(speed) * WATCH_SECONDS, WATCH_MIN_DAYS)
+      if (ahead < wanted && !watch.busy && performance.now() >= watch.retryAt) search(speed, time)
+    }
+    restart(timeRef.current)
+    check()
+    const unsubscribe = onFrame(frames, check)
+
+    return () => {
+      unsubscribe()
+      worker?.terminate()
+    }
+  }, [timeRef, timeJumpRef, frames, catalog])
+
+  return null
+}
+
+const VIEW_STORAGE_KEY = 'solar-system:view'
+const LINK_INTERVAL = 1000
+
+// A link in the address bar wins over the settings saved last time, which
+// leave out the time so a fresh visit starts now.
+function readLinkedQuery() {
+  const params = new URLSearchParams(window.location.search)
+  if (VIEW_KEYS.some((key) => params.has(key))) return params
+  try {
+    const saved = localStorage.getItem(VIEW_STORAGE_KEY)
+    return saved ? new URLSearchParams(saved) : null
+  } catch {
+    return null
+  }
+}
+
+function themeStyle(theme) {
+  const variables = { '--accent': theme.accent, '--text-light': theme.text, '--text-muted': theme.muted }
+  return Object.fromEntries(Object.entries(variables).filter(([, value]) => value))
+}
+
+// Every prop is optional. The `initial*` props seed state that the overlay
+// and the ref handle change afterwards; the others can change at any time.
+// Times are Dates, date strings or days since J2000, speeds days per second.
+// With `deepLink` the view is kept in the page URL and in localStorage, and
+// either one overrides the `initial*` props on the next visit.
+export default function SolarSystem({
+  ref,
+  initialTime,
+  initialSpeed = 1,
+  initialPaused = false,
+  initialFocus = null,
+  initialSelection,
+  initialCamera = null,
+  initialFrame = DEFAULT_FRAME,
+  initialPaths = 'both',
+  initialScale = DEFAULT_SCALE,
+  visibleBodies = null,
+  panels = OVERLAY_PANELS,
+  theme = {},
+  keyboard = true,
+  deepLink = false,
+  className = '',
+  style,
+  onTick,
+  onSelect,
+  onEvent,
+}) {
+  const [linkQuery] = useState(() => (deepLink ? readLinkedQuery() : null))
+  const [linked] = useState(() => (linkQuery ? parseViewQuery(linkQuery).view : null))
+  // A linked body the built-in catalog lacks may be a scenario's; the link is
+  // read again with each scenario until one has it.
+  const pendingLinkRef = useRef(
+    linkQuery && ((linkQuery.has('focus') && !linked.focus) || (linkQuery.has('select') && !linked.selected)) ? linkQuery : null,
+  )
+  const [startTime] = useState(() => linked?.time ?? toSimTime(initialTime) ?? nowSimTime())
+  const timeRef = useRef(startTime)
+  const [isPaused, setIsPaused] = useState(linked?.paused ?? initialPaused)
+  const [timeSpeed, setTimeSpeed] = useState(() => clampTimeSpeed(linked?.speed ?? initialSpeed))
+  const [focusId, setFocusId] = useState(linked ? linked.focus ?? null : initialFocus)
+  const [selectedId, setSelectedId] = useState(linked ? linked.selected ?? null : initialSelection ?? initialFocus)
+  const [satellites, setSatellites] = useState(() => loadSatellites(DEFAULT_TLE).satellites)
+  const [simulationMode, setSimulationMode] = useState('analytic')
+  const [freeBodies, setFreeBodies] = useState([])
+  const [physicsStatus, setPhysicsStatus] = useState(INITIAL_PHYSICS_STATUS)
+  const [assetErrors, setAssetErrors] = useState([])
+  const [referenceFrame, setReferenceFrame] = useState(linked?.frame ?? initialFrame)
+  const [pathMode, setPathMode] = useState(linked?.paths ?? initialPaths)
+  const [scale, setScale] = useState(linked?.scale ?? initialScale)
+  const [showAxes, setShowAxes] = useState(false)
+  const [precession, setPrecession] = useState(false)
+  const physicsRef = useRef({ active: false })
+  const timeJumpRef = useRef(0)
+  const captureRef = useRef({ recording: false })
+  const [capturing, setCapturing] = useState(false)
+  const [measurements, setMeasurements] = useState([])
+  const [measurePick, setMeasurePick] = useState(null)
+  const cameraRef = useRef({ pending: linked?.camera ?? initialCamera })
+  const [scenario, setScenario] = useState(null)
+  const [scenarioErrors, setScenarioErrors] = useState([])
+  const [scenarioOpen, setScenarioOpen] = useState(false)
+  const [bodies, setBodies] = useState(BODIES)
+  const [catalogVersion, setCatalogVersion] = useState(0)
+  const [dropping, setDropping] = useState(false)
+  const tourRef = useRef({ step: null })
+  const [tour, setTour] = useState(null)
+
+  const [frames] = useState(createFrameSignal)
+  const [monitor] = useState(createFrameMonitor)
+  const [qualityMode, setQualityMode] = useState('auto')
+  const [autoQuality, setAutoQuality] = useState(monitor.level)
+  const quality = getQualityLevel(qualityMode, autoQuality)
+
+  // Jumping the clock re-seeds the N-body state from the ephemeris instead of
+  // integrating across the gap. A paused scene renders on demand, so it is
+  // asked for a frame showing the new time.
+  const jumpTo = useCallback((time) => {
+    timeRef.current = time
+    timeJumpRef.current++
+    invalidate()
+  }, [])
+
+  // Any state change can alter what a paused scene shows.
+  useEffect(() => {
+    invalidate()
+  })
+
+  // Hidden bodies and the precession setting are part of the catalog, so it
+  // is rebuilt from the scenario's bodies when either changes. The key keeps
+  // a new array with the same ids from rebuilding it.
+  const visibleKey = visibleBodies ? visibleBodies.join(',') : null
+  const catalog = useMemo(
+    () => createCatalog(withVisibleBodies(bodies, visibleKey === null ? null : visibleKey.split(',')), { precession }),
+    [bodies, visibleKey, precession],
+  )
+
+  const notifySelect = useEffectEvent((id) => onSelect?.(id))
+  const reportedSelectionRef = useRef(selectedId)
+  useEffect(() => {
+    if (reportedSelectionRef.current === selectedId) return
+    reportedSelectionRef.current = selectedId
+    notifySelect(selectedId)
+  }, [selectedId])
+
+  // The camera target always eases back to the focus, so the focus and the
+  // camera's offset from it are enough to restore the view.
+  const currentView = () => ({
+    time: timeRef.current,
+    speed: timeSpeed,
+    paused: isPaused,
+    focus: focusId,
+    selected: selectedId,
+    camera: cameraRef.current.read?.(),
+    frame: referenceFrame,
+    paths: pathMode,
+    scale,
+  })
+  const linkUrl = () => `${window.location.origin}${window.location.pathname}?${viewQuery(currentView())}`
+
+  // replaceState keeps the address bar current without adding history
+  // entries, and nothing is written while the view stays the same.
+  const readView = useEffectEvent(currentView)
+  useEffect(() => {
+    if (!deepLink) return
+    let written = window.location.search.slice(1)
+    const write = () => {
+      const view = readView()
+      const query = viewQuery(view)
+      if (query === written) return
+      written = query
+      window.history.replaceState(null, '', `?${query}`)
+      try {
+        localStorage.setItem(VIEW_STORAGE_KEY, viewQuery({ ...view, time: undefined, paused: undefined }))
+      } catch {
+        // Storage may be full or disabled; the link still works.
+      }
+    }
+    const timer = setInterval(write, LINK_INTERVAL)
+    window.addEventListener('pagehide', write)
+    return () => {
+      clearInterval(timer)
+      window.removeEventListener('pagehide', write)
+    }
+  }, [deepLink])
+
+  // The payload is reused from frame to frame, so ticking allocates nothing.
+  const tickRef = useRef(null)
+  const tick = onTick && ((time) => {
+    const payload = (tickRef.current ??= { time, date: new Date(0), speed: timeSpeed, paused: isPaused })
+    payload.time = time
+    simTimeToDate(time, payload.date)
+    payload.speed = timeSpeed
+    payload.paused = isPaused
+    onTick(payload)
+  })
+
+  const reportAssetError = useCallback((body) => {
+    setAssetErrors((errors) => (errors.includes(body.name) ? errors : [...errors, body.name]))
+  }, [])
+
+  const selection = describeSelection(selectedId, satellites, freeBodies, scale, catalog)
+  const focus = describeSelection(focusId, satellites, freeBodies, scale, catalog)
+
+  // While picking a measurement, clicks on catalog bodies fill in its two ends
+  // instead of changing the selection.
+  const selectBody = (id) => {
+    if (!measurePick || !getBody(id, catalog)) {
+      setSelectedId(id)
+    } else if (!measurePick.from) {
+      setMeasurePick({ ...measurePick, from: id })
+    } else if (id !== measurePick.from) {
+      setMeasurements(addMeasurement(measurements, createMeasurement(measurePick.from, id, measurePick.observer, catalog)))
+      setMeasurePick(null)
+    }
+  }
+
+  const changeSimulationMode = (mode) => {
+    setSimulationMode(mode)
+    setPhysicsStatus(INITIAL_PHYSICS_STATUS)
+  }
+
+  // Swapping the catalog remounts the scene and the overlay (see the keys
+  // below) and drops anything that pointed at a body that is gone. Returns
+  // the new catalog, for lookups before it renders.
+  const swapCatalog = (next) => {
+    const swapped = createCatalog(next)
+    setBodies(next)
+    setCatalogVersion((version) => version + 1)
+    setMeasurements((list) => list.filter((m) => [m.from, m.to, m.observer].every((id) => !id || getBody(id, swapped))))
+    setFreeBodies((list) => list.filter((body) => getBody(body.parent, swapped)))
+    setMeasurePick(null)
+    return swapped
+  }
+
+  // The frame loop reads the step from tourRef and calls advanceTour when
+  // its transition and hold are over; `tour` mirrors it for the caption bar.
+  const playTourStep = (index, playing) => {
+    const steps = scenario.tour.steps
+    const step = steps[index]
+    if (step.time !== undefined) jumpTo(step.time)
+    if (step.speed !== undefined) setTimeSpeed(clampTimeSpeed(step.speed))
+    if (step.paused !== undefined) setIsPaused(step.paused)
+    if (step.focus !== undefined) {
+      setFocusId(step.focus)
+      setSelectedId(step.focus)
+    }
+    tourRef.current = {
+      step,
+      index,
+      playing,
+      elapsed: 0,
+      focusId: step.focus !== undefined ? step.focus : focusId,
+      from: null,
+      settled: false,
+      ...pathNeighbours(steps, index),
+    }
+    setTour({ index, playing })
+  }
+
+  const setTourPlaying = (playing) => {
+    tourRef.current.playing = playing
+    setTour({ index: tourRef.current.index, playing })
+  }
+
+  const advanceTour = () => {
+    const run = tourRef.current
+    if (run.index + 1 < scenario.tour.steps.length) playTourStep(run.index + 1, true)
+    else setTourPlaying(false)
+  }
+
+  // Play at the end of the last step starts the tour over.
+  const toggleTour = () => {
+    const run = tourRef.current
+    if (run.playing) setTourPlaying(false)
+    else if (run.index === scenario.tour.steps.length - 1 && run.elapsed >= stepLength(run.step)) playTourStep(0, true)
+    else setTourPlaying(true)
+  }
+
+  const stopTour = () => {
+    tourRef.current = { step: null }
+    setTour(null)
+  }
+
+  // Sections a scenario leaves out keep their current settings.
+  const applyScenario = (next) => {
+    const { time, view, camera } = next
+    stopTour()
+    const swapped = swapCatalog(buildCatalog(next))
+    const relinked = pendingLinkRef.current ? parseViewQuery(pendingLinkRef.current, swapped).view : null
+    const linkedFocus = relinked && !linked.focus ? relinked.focus : undefined
+    const linkedSelection = relinked && !linked.selected ? relinked.selected : undefined
+    if (linkedFocus || linkedSelection) pendingLinkRef.current = null
+    if (time.start !== undefined) jumpTo(time.start)
+    if (time.speed !== undefined) setTimeSpeed(clampTimeSpeed(time.speed))
+    if (time.paused !== undefined) setIsPaused(time.paused)
+    if (view.frame) setReferenceFrame(view.frame)
+    if (view.paths) setPathMode(view.paths)
+    if (view.scale) setScale({ ...scale, ...view.scale })
+    if (next.satellites) setSatellites(next.satellites)
+    if (camera.focus !== undefined) {
+      setFocusId(camera.focus)
+      setSelectedId(camera.focus)
+    } else if (linkedFocus) {
+      setFocusId(linkedFocus)
+      setSelectedId(linkedSelection ?? linkedFocus)
+    } else {
+      if (focusId && !getBody(focusId, swapped) && !satellites.some((satellite) => satellite.id === focusId)) setFocusId(null)
+      if (linkedSelection) setSelectedId(linkedSelection)
+    }
+    cameraRef.current.pending = camera.position || null
+    setScenario(next)
+  }
+
+  const openScenario = (text) => {
+    const { scenario: next, errors } = parseScenario(text)
+    setScenarioErrors(errors)
+    if (next) applyScenario(next)
+  }
+
+  const saveScenario = () => {
+    const name = scenario?.name || `Solar system ${formatDate(timeRef.current)}`
+    const content = createScenario({
+      name,
+      description: scenario?.description,
+      time: timeRef.current,
+      speed: timeSpeed,
+      paused: isPaused,
+      frame: referenceFrame,
+      paths: pathMode,
+      scale,
+      focus: getBody(focusId, catalog) ? focusId : null,
+      cameraPosition: cameraRef.current.read?.(),
+      satellites,
+      bodies: scenario?.bodies,
+      overrides: scenario?.overrides,
+      tour: scenario?.tour,
+    })
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+    downloadFile(`${JSON.stringify(content, null, 2)}\n`, 'application/json', `${slug || 'scenario'}.json`)
+  }
+
+  const resetScenario = () => {
+    stopTour()
+    const swapped = swapCatalog(BODIES)
+    if (focusId && !getBody(focusId, swapped) && !satellites.some((satellite) => satellite.id === focusId)) setFocusId(null)
+    setScenario(null)
+    setScenarioErrors([])
+  }
+
+  // getState reflects the last render, so it lags a call made just before it.
+  useImperativeHandle(ref, () => ({
+    play: () => setIsPaused(false),
+    pause: () => setIsPaused(true),
+    setTime: (value) => {
+      const time = toSimTime(value)
+      if (time === null) throw new Error(`Invalid time "${value}"`)
+      jumpTo(time)
+    },
+    setSpeed: (speed) => {
+      if (!Number.isFinite(speed) || speed === 0) throw new Error('Speed must be a non-zero number of days per second')
+      setTimeSpeed(clampTimeSpeed(speed))
+    },
+    focus: (id) => {
+      if (id !== null && !describeSelection(id, satellites, freeBodies, scale, catalog)) throw new Error(`Unknown body "${id}"`)
+      if (id !== null) setSelectedId(id)
+      setFocusId(id)
+    },
+    getState: () => ({
+      time: timeRef.current,
+      date: simTimeToDate(timeRef.current),
+      speed: timeSpeed,
+      paused: isPaused,
+      focus: focusId,
+      selected: selectedId,
+      frame: referenceFrame,
+      paths: pathMode,
+      scale: { ...scale },
+      camera: cameraRef.current.read?.() ?? null,
+    }),
+  }))
+
+  const dragScenario = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return
+    e.preventDefault()
+    setDropping(true)
+  }
+
+  const dropScenario = async (e) => {
+    e.preventDefault()
+    setDropping(false)
+    const file = e.dataTransfer.files[0]
+    if (!file) return
+    setScenarioOpen(true)
+    openScenario(await file.text())
+  }
 
   return (
-    <div style={{ width: '100vw', height: '100vh', background: '#050505', position: 'relative', touchAction: 'pan-x pan-y pinch-zoom', overflow: 'hidden' }}>
-      <Canvas
-        shadows
-        camera={{ position: [0, 40, 60], fov: 45 }}
-        dpr={[1, 2]}
-        gl={{
-          antialias: true,
-          toneMapping: THREE.ACESFilmicToneMapping,
-          toneMappingExposure: 1.0,
+    <CatalogContext value={catalog}>
+      <div
+        className={`solar-system ${className}`}
+        style={{
+          width: '100vw',
+          height: '100vh',
+          background: theme.background || '#050505',
+          position: 'relative',
+          touchAction: 'pan-x pan-y pinch-zoom',
+          overflow: 'hidden',
+          ...themeStyle(theme),
+          ...style,
         }}
+        onDragOver={dragScenario}
+        onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setDropping(false)}
+        onDrop={dropScenario}
       >
-        <Suspense fallback={null}>
-          <Scene 
-            timeRef={timeRef} 
-            isPaused={isPaused}
-            timeSpeed={timeSpeed}
-            cameraMode={cameraMode}
-            setCameraTarget={setCameraTarget}
-          />
-          <Preload all />
-        </Suspense>
-      </Canvas>
-      <Loader 
-        containerStyles={{ background: '#050505' }}
-        innerStyles={{ background: '#333', width: 200 }}
-        barStyles={{ background: '#fff', height: 2 }}
-        dataStyles={{ color: '#fff', fontSize: '12px', fontFamily: 'Inter, sans-serif' }}
-      />
-      
-      <UIOverlay 
-        timeRef={timeRef} 
-        isPaused={isPaused} 
-        setIsPaused={setIsPaused}
-        timeSpeed={timeSpeed}
-        setTimeSpeed={setTimeSpeed}
-        cameraMode={cameraMode}
-        setCameraMode={setCameraMode}
-      />
-    </div>
+        <Canvas
+          shadows
+          camera={{ position: [0, 90, 130], fov: 45 }}
+          dpr={canvasDpr(quality)}
+          frameloop={capturing ? 'never' : isPaused ? 'demand' : 'always'}
+          role="img"
+          aria-label="3D view of the solar system. Press question mark for keyboard shortcuts."
+          onPointerMissed={() => setSelectedId(null)}
+          gl={{
+            antialias: true,
+            toneMapping: THREE.ACESFilmicToneMapping,
+            toneMappingExposure: 1.0,
+          }}
+        >
+          <Suspense fallback={null}>
+            <Scene 
+              key={`${catalogVersion}-${visibleKey}`}
+              timeRef={timeRef} 
+              isPaused={isPaused}
+              timeSpeed={timeSpeed}
+              focus={focus}
+              selection={selection}
+              setSelectedId={selectBody}
+              setFocusId={setFocusId}
+              satellites={satellites}
+              simulationMode={simulationMode}
+              physicsRef={physicsRef}
+              freeBodies={freeBodies}
+              timeJumpRef={timeJumpRef}
+              setPhysicsStatus={setPhysicsStatus}
+              referenceFrame={referenceFrame}
+              pathMode={pathMode}
+              showAxes={showAxes}
+              scale={scale}
+              measurements={measurements}
+              captureRef={captureRef}
+              cameraRef={cameraRef}
+              tourRef={tourRef}
+              onTourAdvance={advanceTour}
+              keyboard={keyboard}
+              onTick={tick}
+              onAssetError={reportAssetError}
+              quality={quality}
+              monitor={monitor}
+              adaptQuality={qualityMode === 'auto'}
+              onQualityChange={setAutoQuality}
+              frames={frames}
+            />
+            <Preload all />
+          </Suspense>
+        </Canvas>
+        <Loader 
+          containerStyles={{ background: theme.background || '#050505' }}
+          innerStyles={{ background: '#333', width: 200 }}
+          barStyles={{ background: '#fff', height: 2 }}
+          dataStyles={{ color: '#fff', fontSize: '12px', fontFamily: 'Inter, sans-serif' }}
+        />
+        
+        <UIOverlay 
+          key={`${catalogVersion}-${visibleKey}`}
+          timeRef={timeRef} 
+          startTime={startTime}
+          jumpTo={jumpTo}
+          isPaused={isPaused} 
+          setIsPaused={setIsPaused}
+          timeSpeed={timeSpeed}
+          setTimeSpeed={setTimeSpeed}
+          focus={focus}
+          setFocusId={setFocusId}
+          selection={selection}
+          setSelectedId={setSelectedId}
+          satellites={satellites}
+          setSatellites={setSatellites}
+          simulationMode={simulationMode}
+          setSimulationMode={changeSimulationMode}
+          physicsStatus={physicsStatus}
+          freeBodies={freeBodies}
+          setFreeBodies={setFreeBodies}
+          assetErrors={assetErrors}
+          setAssetErrors={setAssetErrors}
+          referenceFrame={referenceFrame}
+          setReferenceFrame={setReferenceFrame}
+          pathMode={pathMode}
+          setPathMode={setPathMode}
+          scale={scale}
+          setScale={setScale}
+          measurements={measurements}
+          setMeasurements={setMeasurements}
+          measurePick={measurePick}
+          setMeasurePick={setMeasurePick}
+          scenario={scenario}
+          scenarioErrors={scenarioErrors}
+          scenarioOpen={scenarioOpen}
+          setScenarioOpen={setScenarioOpen}
+          openScenario={openScenario}
+          saveScenario={saveScenario}
+          resetScenario={resetScenario}
+          tour={tour}
+          tourSteps={scenario?.tour?.steps}
+          playTourStep={playTourStep}
+          toggleTour={toggleTour}
+          stopTour={stopTour}
+          captureRef={captureRef}
+          capturing={capturing}
+          setCapturing={setCapturing}
+          panels={panels}
+          keyboard={keyboard}
+          linkUrl={deepLink ? linkUrl : null}
+          frames={frames}
+          monitor={monitor}
+          quality={quality}
+          qualityMode={qualityMode}
+          setQualityMode={setQualityMode}
+          showAxes={showAxes}
+          setShowAxes={setShowAxes}
+          precession={precession}
+          setPrecession={setPrecession}
+        />
+
+        {onEvent && <EventWatcher timeRef={timeRef} timeJumpRef={timeJumpRef} frames={frames} timeSpeed={timeSpeed} onEvent={onEvent} />}
+
+        {dropping && <div className="drop-overlay">Drop a scenario file to load it</div>}
+      </div>
+    </CatalogContext>
   )
 }
\ No newline at end of file
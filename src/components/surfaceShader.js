@@ -0,0 +1,109 @@
+// Surface shader for bodies that need more than a lit diffuse map: Earth's
+// day/night blend, ocean glint and atmosphere rim, and the Moon's earthshine.
+// Lighting is computed in world space from the Sun's position, so it does not
+// depend on the scene's light objects. Optional terms are switched on with
+// defines.
+
+export const surfaceVertexShader = /* glsl */ `
+  varying vec2 vUv;
+  varying vec3 vWorldNormal;
+  varying vec3 vWorldPosition;
+
+  void main() {
+    vUv = uv;
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    vWorldNormal = normalize(mat3(modelMatrix) * normal);
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+  }
+`
+
+export const surfaceFragmentShader = /* glsl */ `
+  uniform sampler2D dayMap;
+  uniform vec3 sunPosition;
+
+  #ifdef USE_NIGHT_MAP
+    uniform sampler2D nightMap;
+    uniform float nightIntensity;
+  #endif
+
+  #ifdef USE_SPECULAR_MAP
+    uniform sampler2D specularMap;
+  #endif
+
+  #ifdef USE_ATMOSPHERE
+    uniform vec3 atmosphereColor;
+  #endif
+
+  #ifdef USE_EARTHSHINE
+    uniform vec3 earthPosition;
+    uniform float earthshine;
+  #endif
+
+  varying vec2 vUv;
+  varying vec3 vWorldNormal;
+  varying vec3 vWorldPosition;
+
+  void main() {
+    vec3 normal = normalize(vWorldNormal);
+    vec3 toSun = normalize(sunPosition - vWorldPosition);
+    vec3 toCamera = normalize(cameraPosition - vWorldPosition);
+    float cosSun = dot(normal, toSun);
+
+    vec3 albedo = texture2D(dayMap, vUv).rgb;
+    vec3 color = albedo * max(cosSun, 0.0);
+
+    #ifdef USE_NIGHT_MAP
+      // City lights fade in across a soft terminator rather than a hard edge.
+      float night = 1.0 - smoothstep(-0.2, 0.1, cosSun);
+      color += texture2D(nightMap, vUv).rgb * night * nightIntensity;
+    #endif
+
+    #ifdef USE_SPECULAR_MAP
+      vec3 halfway = normalize(toSun + toCamera);
+      float water = texture2D(specularMap, vUv).r;
+      float glint = pow(max(dot(normal, halfway), 0.0), 64.0) * water * smoothstep(0.0, 0.15, cosSun);
+      color += vec3(1.0, 0.93, 0.8) * glint * 0.8;
+    #endif
+
+    #ifdef USE_ATMOSPHERE
+      float rim = pow(1.0 - max(dot(normal, toCamera), 0.0), 3.0);
+      color += atmosphereColor * rim * smoothstep(-0.35, 0.35, cosSun);
+    #endif
+
+    #ifdef USE_EARTHSHINE
+      // Sunlight reflected off the Earth lights the Moon's night side; the
+      // uniform already includes the Earth's phase as seen from the Moon.
+      vec3 toEarth = normalize(earthPosition - vWorldPosition);
+      color += albedo * earthshine * max(dot(normal, toEarth), 0.0) * (1.0 - smoothstep(-0.1, 0.1, cosSun));
+    #endif
+
+    gl_FragColor = vec4(color, 1.0);
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`
+
+export const atmosphereVertexShader = surfaceVertexShader
+
+// Back faces of a slightly larger shell, brightest just outside the limb.
+export const atmosphereFragmentShader = /* glsl */ `
+  uniform vec3 sunPosition;
+  uniform vec3 atmosphereColor;
+
+  varying vec2 vUv;
+  varying vec3 vWorldNormal;
+  varying vec3 vWorldPosition;
+
+  void main() {
+    vec3 normal = normalize(vWorldNormal);
+    vec3 toCamera = normalize(cameraPosition - vWorldPosition);
+    float sunlit = smoothstep(-0.4, 0.3, dot(normal, normalize(sunPosition - vWorldPosition)));
+    float limb = pow(clamp(1.0 + dot(normal, toCamera), 0.0, 1.0), 4.0);
+    gl_FragColor = vec4(atmosphereColor * limb * sunlit, limb * sunlit);
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`
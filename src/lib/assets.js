@@ -0,0 +1,9 @@
+// Textures ship in public/ so the scene works offline. Set
+// NEXT_PUBLIC_ASSET_BASE_URL to serve them from another host instead, such
+// as a CDN or an intranet server with the same directory layout.
+export const ASSET_BASE_URL = process.env.NEXT_PUBLIC_ASSET_BASE_URL || '/'
+
+export function assetUrl(path, base = ASSET_BASE_URL) {
+  if (/^([a-z]+:|\/\/)/i.test(path)) return path
+  return `${base.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`
+}
@@ -0,0 +1,353 @@
+export const AU_KM = 149597870.7
+
+// Texture paths are relative to the asset base URL (see assets.js).
+const EARTH_DAY_MAP = 'textures/earth-day.jpg'
+const EARTH_NIGHT_MAP = 'textures/earth-night.jpg'
+const EARTH_WATER_MASK = 'textures/earth-water.png'
+const EARTH_CLOUDS = 'textures/earth-clouds.webp'
+const MOON_DIFFUSE = 'textures/lunar-surface.jpg'
+
+// Physical values are in km, days and degrees; `gm` is in km^3/s^2 and
+// marks the bodies that take part in the N-body simulation. Planetary
+// elements and their per-century `rates` are JPL's approximate Keplerian
+// elements (valid 1800-2050) at J2000; Earth uses the Earth-Moon barycenter.
+// `display` holds the stylized scene radius and orbit distance used to lay
+// the scene out. Bodies with `model: 'lunar'` are positioned by the truncated
+// lunar theory in ephemeris.js, and turned by Cassini's laws with `tilt` to the
+// ecliptic; their elements only describe the drawn path.
+// A texture with `night` or `specular` maps, an `atmosphere` or an
+// `earthshine` strength switches a body to the custom surface shader.
+// `precession` gives the drift of a body's pole in degrees per century, in
+// ecliptic longitude and in `tilt`, applied while axial precession is on.
+export const BODIES = [
+  {
+    id: 'sun',
+    name: 'Sun',
+    kind: 'star',
+    parent: null,
+    radius: 695700,
+    gm: 132712440018,
+    rotationPeriod: 25.38,
+    color: '#ffcc66',
+    display: { radius: 3 },
+  },
+  {
+    id: 'mercury',
+    name: 'Mercury',
+    kind: 'planet',
+    parent: 'sun',
+    radius: 2439.7,
+    gm: 22031.78,
+    rotationPeriod: 58.646,
+    tilt: 0.03,
+    color: '#9e9e9e',
+    orbit: { a: 0.38709927 * AU_KM, e: 0.20563593, i: 7.00497902, node: 48.33076593, peri: 29.12703035, M0: 174.79252722, period: 87.9694, rates: { a: 0.00000037 * AU_KM, e: 0.00001906, i: -0.00594749, node: -0.12534081, peri: 0.2858177 } },
+    display: { radius: 0.38, distance: 9, orbitOpacity: 0.15, showApsides: true },
+  },
+  {
+    id: 'venus',
+    name: 'Venus',
+    kind: 'planet',
+    parent: 'sun',
+    radius: 6051.8,
+    gm: 324858.59,
+    rotationPeriod: -243.025,
+    tilt: 177.36,
+    color: '#e8cda2',
+    orbit: { a: 0.72333566 * AU_KM, e: 0.00677672, i: 3.39467605, node: 76.67984255, peri: 54.92262463, M0: 50.37663232, period: 224.7008, rates: { a: 0.0000039 * AU_KM, e: -0.00004107, i: -0.0007889, node: -0.27769418, peri: 0.28037747 } },
+    display: { radius: 0.95, distance: 16, orbitOpacity: 0.15, showApsides: true },
+  },
+  {
+    id: 'earth',
+    name: 'Earth',
+    kind: 'planet',
+    parent: 'sun',
+    radius: 6371,
+    gm: 398600.435,
+    rotationPeriod: 0.99726957,
+    meridianAtEpoch: 280.46061837,
+    tilt: 23.44,
+    precession: { longitude: 1.396971, tilt: -0.0130042 },
+    color: '#4a90d9',
+    texture: { url: EARTH_DAY_MAP, night: EARTH_NIGHT_MAP, specular: EARTH_WATER_MASK, anisotropy: 16 },
+    clouds: { url: EARTH_CLOUDS, rotationPeriod: 0.985, opacity: 0.85 },
+    atmosphere: { color: '#6fb3ff', thickness: 0.04 },
+    roughness: 0.8,
+    metalness: 0.1,
+    orbit: { a: 1.00000261 * AU_KM, e: 0.01671123, i: 0, node: 0, peri: 102.93768193, M0: 357.52688973, period: 365.2596, rates: { a: 0.00000562 * AU_KM, e: -0.00004392, i: -0.01294668, peri: 0.32327364 } },
+    display: { radius: 1, distance: 25, segments: 96, orbitOpacity: 0.18, showApsides: true },
+  },
+  {
+    id: 'moon',
+    name: 'Moon',
+    kind: 'moon',
+    parent: 'earth',
+    radius: 1737.4,
+    gm: 4902.8,
+    rotationPeriod: 27.3217,
+    tilt: 1.54,
+    color: '#aaaaaa',
+    orbitColor: '#888888',
+    texture: { url: MOON_DIFFUSE, anisotropy: 8 },
+    earthshine: 0.15,
+    roughness: 1,
+    metalness: 0,
+    orbit: { model: 'lunar', a: 384400, e: 0.0549, i: 5.145, node: 125.0434, peri: 318.3099, M0: 134.9629, period: 27.3217, rates: { node: -1934.1378, peri: 6003.1484 } },
+    display: { radius: 0.27, distance: 2.5, segments: 48, orbitOpacity: 0.35, showApsides: true },
+  },
+  {
+    id: 'mars',
+    name: 'Mars',
+    kind: 'planet',
+    parent: 'sun',
+    radius: 3389.5,
+    gm: 42828.37,
+    rotationPeriod: 1.02596,
+    tilt: 25.19,
+    color: '#c1440e',
+    orbit: { a: 1.52371034 * AU_KM, e: 0.0933941, i: 1.84969142, node: 49.55953891, peri: 286.4968315, M0: 19.39019754, period: 686.9957, rates: { a: 0.00001847 * AU_KM, e: 0.00007882, i: -0.00813131, node: -0.29257343, peri: 0.73698431 } },
+    display: { radius: 0.53, distance: 34, orbitOpacity: 0.15, showApsides: true },
+  },
+  {
+    id: 'phobos',
+    name: 'Phobos',
+    kind: 'moon',
+    parent: 'mars',
+    radius: 11.27,
+    rotationPeriod: 0.31891,
+    color: '#8a7f74',
+    orbit: { a: 9376, e: 0.0151, i: 1.08, node: 0, peri: 0, M0: 91, period: 0.31891, equatorial: true },
+    display: { radius: 0.05, distance: 0.8, orbitOpacity: 0.25 },
+  },
+  {
+    id: 'deimos',
+    name: 'Deimos',
+    kind: 'moon',
+    parent: 'mars',
+    radius: 6.2,
+    rotationPeriod: 1.263,
+    color: '#a39585',
+    orbit: { a: 23463, e: 0.0003, i: 1.79, node: 0, peri: 0, M0: 325, period: 1.263, equatorial: true },
+    display: { radius: 0.04, distance: 1.1, orbitOpacity: 0.25 },
+  },
+  {
+    id: 'jupiter',
+    name: 'Jupiter',
+    kind: 'planet',
+    parent: 'sun',
+    radius: 69911,
+    gm: 126686531.9,
+    rotationPeriod: 0.41354,
+    tilt: 3.13,
+    color: '#d8ca9d',
+    orbit: { a: 5.202887 * AU_KM, e: 0.04838624, i: 1.30439695, node: 100.47390909, peri: 274.25457074, M0: 19.66796068, period: 4333.1206, rates: { a: -0.00011607 * AU_KM, e: -0.00013253, i: -0.00183714, node: 0.20469106, peri: 0.00783562 } },
+    display: { radius: 2.2, distance: 52, segments: 64, orbitOpacity: 0.15, showApsides: true },
+  },
+  {
+    id: 'io',
+    name: 'Io',
+    kind: 'moon',
+    parent: 'jupiter',
+    radius: 1821.6,
+    gm: 5959.9,
+    rotationPeriod: 1.769,
+    color: '#e6d36b',
+    orbit: { a: 421700, e: 0.0041, i: 0.05, node: 0, peri: 0, M0: 200, period: 1.769, equatorial: true },
+    display: { radius: 0.24, distance: 3.2, orbitOpacity: 0.25 },
+  },
+  {
+    id: 'europa',
+    name: 'Europa',
+    kind: 'moon',
+    parent: 'jupiter',
+    radius: 1560.8,
+    gm: 3202.7,
+    rotationPeriod: 3.551,
+    color: '#c9b99a',
+    orbit: { a: 671034, e: 0.009, i: 0.47, node: 0, peri: 0, M0: 80, period: 3.551, equatorial: true },
+    display: { radius: 0.21, distance: 4, orbitOpacity: 0.25 },
+  },
+  {
+    id: 'ganymede',
+    name: 'Ganymede',
+    kind: 'moon',
+    parent: 'jupiter',
+    radius: 2634.1,
+    gm: 9887.8,
+    rotationPeriod: 7.155,
+    color: '#9c9184',
+    orbit: { a: 1070412, e: 0.0013, i: 0.2, node: 0, peri: 0, M0: 320, period: 7.155, equatorial: true },
+    display: { radius: 0.35, distance: 5, orbitOpacity: 0.25 },
+  },
+  {
+    id: 'callisto',
+    name: 'Callisto',
+    kind: 'moon',
+    parent: 'jupiter',
+    radius: 2410.3,
+    gm: 7179.3,
+    rotationPeriod: 16.689,
+    color: '#6f6459',
+    orbit: { a: 1882709, e: 0.0074, i: 0.2, node: 0, peri: 0, M0: 140, period: 16.689, equatorial: true },
+    display: { radius: 0.32, distance: 6.3, orbitOpacity: 0.25 },
+  },
+  {
+    id: 'saturn',
+    name: 'Saturn',
+    kind: 'planet',
+    parent: 'sun',
+    radius: 58232,
+    gm: 37931206.2,
+    rotationPeriod: 0.44401,
+    tilt: 26.73,
+    color: '#ead6a4',
+    rings: { inner: 74500, outer: 140220, color: '#d8c8a0', opacity: 0.6 },
+    orbit: { a: 9.53667594 * AU_KM, e: 0.05386179, i: 2.48599187, node: 113.66242448, peri: 338.93645383, M0: 317.35536592, period: 10752.1993, rates: { a: -0.0012506 * AU_KM, e: -0.00050991, i: 0.00193609, node: -0.28867794, peri: -0.13029422 } },
+    display: { radius: 1.9, distance: 72, segments: 64, orbitOpacity: 0.15, showApsides: true },
+  },
+  {
+    id: 'rhea',
+    name: 'Rhea',
+    kind: 'moon',
+    parent: 'saturn',
+    radius: 763.8,
+    rotationPeriod: 4.518,
+    color: '#bdb8b0',
+    orbit: { a: 527108, e: 0.0013, i: 0.35, node: 0, peri: 0, M0: 45, period: 4.518, equatorial: true },
+    display: { radius: 0.1, distance: 4.8, orbitOpacity: 0.25 },
+  },
+  {
+    id: 'titan',
+    name: 'Titan',
+    kind: 'moon',
+    parent: 'saturn',
+    radius: 2574.7,
+    gm: 8978.1,
+    rotationPeriod: 15.945,
+    color: '#d9a54a',
+    orbit: { a: 1221870, e: 0.0288, i: 0.35, node: 0, peri: 0, M0: 250, period: 15.945, equatorial: true },
+    display: { radius: 0.34, distance: 6, orbitOpacity: 0.25 },
+  },
+  {
+    id: 'iapetus',
+    name: 'Iapetus',
+    kind: 'moon',
+    parent: 'saturn',
+    radius: 734.5,
+    rotationPeriod: 79.32,
+    color: '#8f8578',
+    orbit: { a: 3560820, e: 0.0286, i: 15.47, node: 0, peri: 0, M0: 170, period: 79.32, equatorial: true },
+    display: { radius: 0.1, distance: 7.5, orbitOpacity: 0.25 },
+  },
+  {
+    id: 'uranus',
+    name: 'Uranus',
+    kind: 'planet',
+    parent: 'sun',
+    radius: 25362,
+    gm: 5793951.3,
+    rotationPeriod: -0.71833,
+    tilt: 97.77,
+    color: '#9fd8e0',
+    rings: { inner: 41837, outer: 51149, color: '#8fa7ad', opacity: 0.25 },
+    orbit: { a: 19.18916464 * AU_KM, e: 0.04725744, i: 0.77263783, node: 74.01692503, peri: 96.93735127, M0: 142.28382821, period: 30716.6536, rates: { a: -0.00196176 * AU_KM, e: -0.00004397, i: -0.00242939, node: 0.04240589, peri: 0.36564692 } },
+    display: { radius: 1.3, distance: 90, segments: 64, orbitOpacity: 0.15, showApsides: true },
+  },
+  {
+    id: 'titania',
+    name: 'Titania',
+    kind: 'moon',
+    parent: 'uranus',
+    radius: 788.4,
+    rotationPeriod: 8.706,
+    color: '#b3aaa0',
+    orbit: { a: 435910, e: 0.0011, i: 0.34, node: 0, peri: 0, M0: 10, period: 8.706, equatorial: true },
+    display: { radius: 0.1, distance: 2.6, orbitOpacity: 0.25 },
+  },
+  {
+    id: 'oberon',
+    name: 'Oberon',
+    kind: 'moon',
+    parent: 'uranus',
+    radius: 761.4,
+    rotationPeriod: 13.463,
+    color: '#a09489',
+    orbit: { a: 583520, e: 0.0014, i: 0.058, node: 0, peri: 0, M0: 190, period: 13.463, equatorial: true },
+    display: { radius: 0.1, distance: 3.2, orbitOpacity: 0.25 },
+  },
+  {
+    id: 'neptune',
+    name: 'Neptune',
+    kind: 'planet',
+    parent: 'sun',
+    radius: 24622,
+    gm: 6835099.5,
+    rotationPeriod: 0.67125,
+    tilt: 28.32,
+    color: '#4b70dd',
+    orbit: { a: 30.06992276 * AU_KM, e: 0.00859048, i: 1.77004347, node: 131.78422574, peri: 273.18053653, M0: 259.91520804, period: 60100.9587, rates: { a: 0.00026291 * AU_KM, e: 0.00005105, i: 0.00035372, node: -0.00508664, peri: -0.317328 } },
+    display: { radius: 1.25, distance: 106, segments: 64, orbitOpacity: 0.15, showApsides: true },
+  },
+  {
+    id: 'triton',
+    name: 'Triton',
+    kind: 'moon',
+    parent: 'neptune',
+    radius: 1353.4,
+    gm: 1428.5,
+    rotationPeriod: -5.877,
+    color: '#c7b8b0',
+    orbit: { a: 354759, e: 0.000016, i: 156.885, node: 0, peri: 0, M0: 60, period: 5.877, equatorial: true },
+    display: { radius: 0.18, distance: 2.5, orbitOpacity: 0.25 },
+  },
+]
+
+// A catalog is the list of bodies a scene draws, parents before their
+// children, indexed by id, with the settings the ephemeris reads from it:
+// `precession` turns on the axial precession of bodies with `precession`
+// rates. Each scene holds its own, so scenarios, hidden bodies and settings
+// never leak between scenes. Functions that take a catalog default to the
+// built-in bodies with precession off, which keeps poles at their J2000
+// direction.
+export function createCatalog(bodies = BODIES, { precession = false } = {}) {
+  return { bodies, index: Object.fromEntries(bodies.map((body) => [body.id, body])), precession }
+}
+
+export const DEFAULT_CATALOG = createCatalog()
+
+export function getBody(id, catalog = DEFAULT_CATALOG) {
+  return catalog.index[id] || null
+}
+
+// Flags every body missing from `ids` as hidden; null shows them all. Hidden
+// bodies keep their place in the hierarchy, so their moons still move with
+// them, and stay available to the ephemeris. The star is never hidden, since
+// it lights the scene.
+export function withVisibleBodies(bodies, ids) {
+  const visible = ids && new Set(ids)
+  return bodies.map((body) => {
+    const hidden = Boolean(visible) && body.kind !== 'star' && !visible.has(body.id)
+    return Boolean(body.hidden) === hidden ? body : { ...body, hidden }
+  })
+}
+
+export function getChildren(id, catalog = DEFAULT_CATALOG) {
+  return catalog.bodies.filter((body) => body.parent === id)
+}
+
+export function getRootBodies(catalog = DEFAULT_CATALOG) {
+  return catalog.bodies.filter((body) => !body.parent)
+}
+
+export function formatPeriod(days) {
+  const abs = Math.abs(days)
+  if (abs < 1) return `${(abs * 24).toFixed(1).replace(/\.0$/, '')} h`
+  if (abs < 1000) return `${abs.toFixed(abs < 10 ? 2 : 1)} d`
+  return `${(abs / 365.25).toFixed(2)} y`
+}
+
+export function formatDistance(km) {
+  if (km >= 0.1 * AU_KM) return `${(km / AU_KM).toFixed(2)} AU`
+  if (km >= 10000) return `${Math.round(km / 1000)}k km`
+  return `${Math.round(km).toLocaleString('en-US')} km`
+}
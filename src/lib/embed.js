@@ -0,0 +1,79 @@
+import { DEFAULT_CATALOG, getBody } from './bodies.js'
+import { flag, parseViewQuery, queryReader } from './link.js'
+
+// Options for the chrome-less /embed route, read from its query string and
+// returned as props for the SolarSystem component. Unreadable values are
+// skipped and reported, so a typo never blanks an embedded view. The view
+// itself uses the same keys as a deep link.
+
+export const OVERLAY_PANELS = [
+  'header',
+  'details',
+  'bodies',
+  'camera',
+  'view',
+  'seasons',
+  'moon',
+  'scenario',
+  'satellites',
+  'events',
+  'measure',
+  'export',
+  'capture',
+  'physics',
+  'controls',
+  'quality',
+]
+
+const HEX_COLOR = /^#?([0-9a-f]{6})$/i
+const THEME_KEYS = ['accent', 'background', 'text', 'muted']
+
+function list(value) {
+  return value.split(',').map((item) => item.trim()).filter(Boolean)
+}
+
+// `params` is a URLSearchParams and `catalog` the one body ids are checked
+// against. Panels default to none; pass `panels=controls,details` to bring
+// some of the overlay back.
+export function parseEmbedQuery(params, catalog = DEFAULT_CATALOG) {
+  const { view, errors } = parseViewQuery(params, catalog)
+  const read = queryReader(params, errors)
+  const props = {
+    panels: [],
+    theme: {},
+    initialTime: view.time,
+    initialSpeed: view.speed,
+    initialPaused: view.paused,
+    initialFocus: view.focus,
+    initialSelection: view.selected,
+    initialCamera: view.camera,
+    initialFrame: view.frame,
+    initialPaths: view.paths,
+    initialScale: view.scale,
+  }
+  props.keyboard = read('keyboard', flag, 'must be 1 or 0')
+
+  const bodies = read('bodies', list, 'must list body ids')
+  if (bodies) {
+    const unknown = bodies.filter((id) => !getBody(id, catalog))
+    if (unknown.length) errors.push(`bodies: unknown ${unknown.join(', ')}`)
+    props.visibleBodies = bodies.filter((id) => getBody(id, catalog))
+  }
+
+  const panels = read('panels', list, 'must list panel names')
+  if (panels) {
+    const unknown = panels.filter((id) => !OVERLAY_PANELS.includes(id))
+    if (unknown.length) errors.push(`panels: unknown ${unknown.join(', ')}`)
+    props.panels = panels.filter((id) => OVERLAY_PANELS.includes(id))
+  }
+
+  for (const key of THEME_KEYS) {
+    const color = read(key, (value) => HEX_COLOR.exec(value)?.[1] ?? null, 'must be a hex color like ff8800')
+    if (color) props.theme[key] = `#${color}`
+  }
+
+  return {
+    props: Object.fromEntries(Object.entries(props).filter(([, value]) => value !== undefined)),
+    errors,
+  }
+}
@@ -0,0 +1,245 @@
+import { DEG, TWO_PI, orbitalPosition, orbitalVelocity } from './kepler.js'
+import { DAYS_PER_CENTURY, julianCenturies } from './time.js'
+import { DEFAULT_CATALOG, getBody } from './bodies.js'
+
+const ARCSEC = DEG / 3600
+const RATE_KEYS = ['a', 'e', 'i', 'node', 'peri']
+const ANGLE_RATE_KEYS = ['i', 'node', 'peri']
+const GENERAL_PRECESSION = 1.396971 * DEG
+const VELOCITY_DELTA = 1e-3
+
+const scratchElements = {}
+const scratchOffset = { x: 0, y: 0, z: 0 }
+const scratchPole = { tilt: 0, precession: 0 }
+
+function frac(value) {
+  return value - Math.floor(value)
+}
+
+// Osculating elements at `time`, applying the per-century drift rates.
+export function elementsAt(orbit, time, out = {}) {
+  Object.assign(out, orbit)
+  if (!orbit.rates) return out
+
+  const T = julianCenturies(time)
+  for (const key of RATE_KEYS) {
+    if (orbit.rates[key]) out[key] = orbit[key] + orbit.rates[key] * T
+  }
+  return out
+}
+
+// Days of simulation time before an orbit's angular elements drift by
+// `maxDegrees`; used to decide when a drawn orbit path is stale.
+export function elementsDriftInterval(orbit, maxDegrees) {
+  if (!orbit?.rates) return Infinity
+  const maxRate = Math.max(...ANGLE_RATE_KEYS.map((key) => Math.abs(orbit.rates[key] || 0)))
+  return maxRate > 0 ? (maxDegrees * DAYS_PER_CENTURY) / maxRate : Infinity
+}
+
+// Geocentric Moon position in km, from the truncated lunar theory of
+// Montenbruck & Pfleger with the main distance terms from Meeus (ch. 47).
+// Longitude is referred back from the equinox of date to J2000.
+export function moonPosition(time, out = { x: 0, y: 0, z: 0 }) {
+  const T = julianCenturies(time)
+
+  const L0 = frac(0.606433 + 1336.855225 * T)
+  const l = TWO_PI * frac(0.374897 + 1325.55241 * T)
+  const ls = TWO_PI * frac(0.993133 + 99.997361 * T)
+  const D = TWO_PI * frac(0.827361 + 1236.853086 * T)
+  const F = TWO_PI * frac(0.259086 + 1342.227825 * T)
+
+  const dL =
+    22640 * Math.sin(l) - 4586 * Math.sin(l - 2 * D) + 2370 * Math.sin(2 * D) + 769 * Math.sin(2 * l)
+    - 668 * Math.sin(ls) - 412 * Math.sin(2 * F) - 212 * Math.sin(2 * l - 2 * D) - 206 * Math.sin(l + ls - 2 * D)
+    + 192 * Math.sin(l + 2 * D) - 165 * Math.sin(ls - 2 * D) - 125 * Math.sin(D) - 110 * Math.sin(l + ls)
+    + 148 * Math.sin(l - ls) - 55 * Math.sin(2 * F - 2 * D)
+
+  const S = F + (dL + 412 * Math.sin(2 * F) + 541 * Math.sin(ls)) * ARCSEC
+  const h = F - 2 * D
+  const N =
+    -526 * Math.sin(h) + 44 * Math.sin(l + h) - 31 * Math.sin(-l + h) - 23 * Math.sin(ls + h)
+    + 11 * Math.sin(-ls + h) - 25 * Math.sin(-2 * l + F) + 21 * Math.sin(-l + F)
+
+  const lambda = TWO_PI * frac(L0 + dL / 1296000) - GENERAL_PRECESSION * T
+  const beta = (18520 * Math.sin(S) + N) * ARCSEC
+
+  const r =
+    385000.56 - 20905.355 * Math.cos(l) - 3699.111 * Math.cos(2 * D - l) - 2955.968 * Math.cos(2 * D)
+    - 569.925 * Math.cos(2 * l) + 48.888 * Math.cos(ls) - 3.149 * Math.cos(2 * F) + 246.158 * Math.cos(2 * D - 2 * l)
+    - 152.138 * Math.cos(2 * D - ls - l) - 170.733 * Math.cos(2 * D + l) - 204.586 * Math.cos(2 * D - ls)
+    - 129.62 * Math.cos(ls - l) + 108.743 * Math.cos(D) + 104.755 * Math.cos(ls + l)
+
+  const X = r * Math.cos(beta) * Math.cos(lambda)
+  const Y = r * Math.cos(beta) * Math.sin(lambda)
+  const Z = r * Math.sin(beta)
+
+  out.x = X
+  out.y = Z
+  out.z = -Y
+  return out
+}
+
+// Position relative to the parent body in km, in scene axes.
+export function relativePosition(body, time, out = { x: 0, y: 0, z: 0 }) {
+  if (body.orbit.model === 'lunar') return moonPosition(time, out)
+  return orbitalPosition(elementsAt(body.orbit, time, scratchElements), time, out)
+}
+
+export function relativeVelocity(body, time, out = { x: 0, y: 0, z: 0 }) {
+  return orbitalVelocity(elementsAt(body.orbit, time, scratchElements), time, out)
+}
+
+// The Moon follows Cassini's laws. It turns with its mean argument of latitude
+// F, so the prime meridian faces Earth on average, and its equator keeps its
+// tilt to the ecliptic with the descending node on the orbit's ascending node.
+// The true direction of Earth wanders around the mean: the optical libration.
+function lunarMeridian(T) {
+  return TWO_PI * frac(0.259086 + 1342.227825 * T) + Math.PI
+}
+
+// Mean longitude of the ascending node (L0 - F in moonPosition), referred to
+// the J2000 equinox.
+function lunarNode(T) {
+  return TWO_PI * frac(0.347347 - 5.3726 * T) - GENERAL_PRECESSION * T
+}
+
+// Prime meridian angle in radians; for Earth this is Greenwich sidereal time.
+export function rotationAngle(body, time) {
+  if (body.orbit?.model === 'lunar') return lunarMeridian(julianCenturies(time))
+  if (!body.rotationPeriod) return 0
+  return ((body.meridianAtEpoch || 0) + (360 * time) / body.rotationPeriod) * DEG
+}
+
+export function rotateX(vector, angle) {
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  const y = vector.y * cos - vector.z * sin
+  const z = vector.y * sin + vector.z * cos
+  vector.y = y
+  vector.z = z
+  return vector
+}
+
+export function rotateY(vector, angle) {
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  const x = vector.x * cos + vector.z * sin
+  const z = -vector.x * sin + vector.z * cos
+  vector.x = x
+  vector.z = z
+  return vector
+}
+
+// Orientation of a body's equatorial frame (y along the north pole, x toward
+// the equinox): the scene axes turned by -tilt about x, then by `precession`
+// about y. The sign follows from scene z pointing to ecliptic -Y; Earth's pole
+// leans toward ecliptic longitude 90°. With axial precession on in `catalog`
+// (see createCatalog), a body's `precession` rates (degrees per Julian
+// century) move the equinox west along the ecliptic and change the
+// obliquity. The Moon's pole circles with its orbit's node every 18.6 years,
+// whatever the setting.
+export function poleOrientation(body, time, out = { tilt: 0, precession: 0 }, catalog = DEFAULT_CATALOG) {
+  if (body.orbit?.model === 'lunar') {
+    out.tilt = (body.tilt || 0) * DEG
+    out.precession = lunarNode(julianCenturies(time))
+    return out
+  }
+  const rates = catalog.precession ? body.precession : null
+  const T = rates ? julianCenturies(time) : 0
+  out.tilt = ((body.tilt || 0) + (rates?.tilt || 0) * T) * DEG
+  out.precession = -(rates?.longitude || 0) * T * DEG
+  return out
+}
+
+export function fromEquatorFrame(pole, vector) {
+  return rotateY(rotateX(vector, -pole.tilt), pole.precession)
+}
+
+export function toEquatorFrame(pole, vector) {
+  return rotateX(rotateY(vector, -pole.precession), pole.tilt)
+}
+
+// Moons flagged `equatorial` are described in their planet's equatorial
+// frame; `pole` is the planet's orientation (see poleOrientation).
+export function parentFrameToEcliptic(body, vector, pole) {
+  if (!body.orbit?.equatorial) return vector
+  return fromEquatorFrame(pole, vector)
+}
+
+export function eclipticToParentFrame(body, vector, pole) {
+  if (!body.orbit?.equatorial) return vector
+  return toEquatorFrame(pole, vector)
+}
+
+// Position relative to the Sun in km, in (unrotated) scene axes. Parents are
+// looked up in `catalog`.
+export function heliocentricPosition(body, time, out = { x: 0, y: 0, z: 0 }, catalog = DEFAULT_CATALOG) {
+  out.x = 0
+  out.y = 0
+  out.z = 0
+  for (let current = body; current?.orbit; current = getBody(current.parent, catalog)) {
+    relativePosition(current, time, scratchOffset)
+    if (current.orbit.equatorial) {
+      fromEquatorFrame(poleOrientation(getBody(current.parent, catalog), time, scratchPole, catalog), scratchOffset)
+    }
+    out.x += scratchOffset.x
+    out.y += scratchOffset.y
+    out.z += scratchOffset.z
+  }
+  return out
+}
+
+// Velocity in km/day by central difference, which also covers the lunar
+// theory that has no analytic derivative here.
+export function heliocentricVelocity(body, time, out = { x: 0, y: 0, z: 0 }, catalog = DEFAULT_CATALOG) {
+  const ahead = heliocentricPosition(body, time + VELOCITY_DELTA, { x: 0, y: 0, z: 0 }, catalog)
+  const behind = heliocentricPosition(body, time - VELOCITY_DELTA, { x: 0, y: 0, z: 0 }, catalog)
+  out.x = (ahead.x - behind.x) / (2 * VELOCITY_DELTA)
+  out.y = (ahead.y - behind.y) / (2 * VELOCITY_DELTA)
+  out.z = (ahead.z - behind.z) / (2 * VELOCITY_DELTA)
+  return out
+}
+
+export function physicsBodies(catalog = DEFAULT_CATALOG) {
+  return catalog.bodies.filter((body) => body.gm)
+}
+
+// Initial conditions for the N-body simulation. Planet elements describe the
+// barycenter of each planet-moon system, so planets are pulled back by their
+// massive moons' share before integrating.
+export function initialPhysicsState(time, catalog = DEFAULT_CATALOG) {
+  const states = physicsBodies(catalog).map((body) => {
+    const position = heliocentricPosition(body, time, { x: 0, y: 0, z: 0 }, catalog)
+    const velocity = heliocentricVelocity(body, time, { x: 0, y: 0, z: 0 }, catalog)
+    return {
+      id: body.id,
+      parent: body.parent,
+      gm: body.gm,
+      position: [position.x, position.y, position.z],
+      velocity: [velocity.x, velocity.y, velocity.z],
+    }
+  })
+
+  for (const parent of states) {
+    const moons = states.filter((state) => state.parent === parent.id && parent.id !== 'sun')
+    if (moons.length === 0) continue
+
+    const total = moons.reduce((sum, moon) => sum + moon.gm, parent.gm)
+    const barycenter = { position: [...parent.position], velocity: [...parent.velocity] }
+    for (const moon of moons) {
+      const share = moon.gm / total
+      for (let k = 0; k < 3; k++) {
+        parent.position[k] -= share * (moon.position[k] - barycenter.position[k])
+        parent.velocity[k] -= share * (moon.velocity[k] - barycenter.velocity[k])
+      }
+    }
+    for (const moon of moons) {
+      for (let k = 0; k < 3; k++) {
+        moon.position[k] += parent.position[k] - barycenter.position[k]
+        moon.velocity[k] += parent.velocity[k] - barycenter.velocity[k]
+      }
+    }
+  }
+
+  return states
+}
@@ -0,0 +1,331 @@
+import { DEG } from './kepler.js'
+import { DEFAULT_CATALOG, getBody } from './bodies.js'
+import { fromEquatorFrame, heliocentricPosition, poleOrientation, relativePosition } from './ephemeris.js'
+import { EARTH_RADIUS_KM, propagateSatellite } from './tle.js'
+
+// Astronomical event search over a time window. Geometry is geocentric and
+// in km, using the same ephemeris as the scene, so event times are good to a
+// few minutes. Bodies are read from a catalog (see createCatalog), so
+// scenario orbits are searched too.
+
+const SUN_RADIUS_KM = 695700
+const MOON_RADIUS_KM = 1737.4
+const SHADOW_ENLARGEMENT = 1.02
+const PHASE_SCAN_STEP = 0.5
+const SYZYGY_SEARCH = 0.3
+const CONJUNCTION_SCAN_STEP = 1
+const SEASON_SCAN_STEP = 5
+const SHADOW_SCAN_STEP = 30 / 86400
+const TIME_TOLERANCE = 1 / 86400
+
+export const SATELLITE_EVENT_LIMIT = 3
+export const SATELLITE_EVENT_DAYS = 2
+export const CONJUNCTION_BODIES = ['sun', 'mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune']
+
+// In order of seasonal longitude, 90° apart.
+export const SEASONS = [
+  { type: 'equinox', title: 'March equinox', detail: 'Sun crosses the equator heading north' },
+  { type: 'solstice', title: 'June solstice', detail: 'Sun farthest north' },
+  { type: 'equinox', title: 'September equinox', detail: 'Sun crosses the equator heading south' },
+  { type: 'solstice', title: 'December solstice', detail: 'Sun farthest south' },
+]
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z }
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z
+}
+
+function length(v) {
+  return Math.sqrt(dot(v, v))
+}
+
+function wrapDegrees(angle) {
+  return angle - 360 * Math.floor((angle + 180) / 360)
+}
+
+// Distance of `point` from the line through `origin` along unit vector `axis`,
+// and how far along the axis its foot lies.
+function axisOffset(point, origin, axis) {
+  const relative = subtract(point, origin)
+  const along = dot(relative, axis)
+  const perpendicular = Math.sqrt(Math.max(dot(relative, relative) - along * along, 0))
+  return { along, perpendicular }
+}
+
+function unit(v) {
+  const size = length(v)
+  return { x: v.x / size, y: v.y / size, z: v.z / size }
+}
+
+export function eclipticLongitude(v) {
+  return (Math.atan2(-v.z, v.x) / DEG + 360) % 360
+}
+
+export function eclipticLatitude(v) {
+  return Math.asin(v.y / length(v)) / DEG
+}
+
+export function sunGeocentric(time, catalog = DEFAULT_CATALOG) {
+  const earth = heliocentricPosition(getBody('earth', catalog), time, undefined, catalog)
+  return { x: -earth.x, y: -earth.y, z: -earth.z }
+}
+
+// Earth's own moons skip the detour through the Sun.
+export function geocentricPosition(bodyId, time, catalog = DEFAULT_CATALOG) {
+  if (bodyId === 'sun') return sunGeocentric(time, catalog)
+  const body = getBody(bodyId, catalog)
+  if (body.parent === 'earth' && !body.orbit.equatorial) return relativePosition(body, time)
+  return subtract(heliocentricPosition(body, time, undefined, catalog), heliocentricPosition(getBody('earth', catalog), time, undefined, catalog))
+}
+
+// Moon's ecliptic longitude minus the Sun's: 0° at new moon, 180° at full.
+export function moonElongation(time, catalog = DEFAULT_CATALOG) {
+  return (eclipticLongitude(geocentricPosition('moon', time, catalog)) - eclipticLongitude(sunGeocentric(time, catalog)) + 360) % 360
+}
+
+// The Sun's ecliptic longitude from the equinox of Earth's modelled axis:
+// 0° at the March equinox, 90° at the June solstice. The axis precesses when
+// `catalog` says so.
+export function seasonalLongitude(time, catalog = DEFAULT_CATALOG) {
+  const { precession } = poleOrientation(getBody('earth', catalog), time, { tilt: 0, precession: 0 }, catalog)
+  return (eclipticLongitude(sunGeocentric(time, catalog)) - precession / DEG + 720) % 360
+}
+
+export function angularSeparation(a, b) {
+  const cos = dot(a, b) / (length(a) * length(b))
+  return Math.acos(Math.min(Math.max(cos, -1), 1)) / DEG
+}
+
+function bisect(f, a, b) {
+  let fa = f(a)
+  while (b - a > TIME_TOLERANCE) {
+    const mid = (a + b) / 2
+    const fm = f(mid)
+    if (Math.sign(fm) === Math.sign(fa)) {
+      a = mid
+      fa = fm
+    } else {
+      b = mid
+    }
+  }
+  return (a + b) / 2
+}
+
+function minimize(f, a, b) {
+  const ratio = (Math.sqrt(5) - 1) / 2
+  let c = b - ratio * (b - a)
+  let d = a + ratio * (b - a)
+  while (b - a > TIME_TOLERANCE) {
+    if (f(c) < f(d)) b = d
+    else a = c
+    c = b - ratio * (b - a)
+    d = a + ratio * (b - a)
+  }
+  return (a + b) / 2
+}
+
+// Times where an angle-valued function crosses zero upwards. Values are
+// wrapped to ±180°, and the jump from +180° to -180° is not a crossing.
+function angleCrossings(f, start, end, step) {
+  const roots = []
+  const wrapped = (time) => wrapDegrees(f(time))
+  let previous = wrapped(start)
+
+  for (let time = start + step; time <= end + step; time += step) {
+    const current = wrapped(Math.min(time, end))
+    if (previous < 0 && current >= 0 && current - previous < 180) {
+      roots.push(bisect(wrapped, time - step, Math.min(time, end)))
+    }
+    previous = current
+  }
+  return roots
+}
+
+function solarEclipseGeometry(time, catalog) {
+  const sun = sunGeocentric(time, catalog)
+  const moon = geocentricPosition('moon', time, catalog)
+  const axis = unit(subtract(moon, sun))
+  const sunMoon = length(subtract(moon, sun))
+  const { along, perpendicular } = axisOffset({ x: 0, y: 0, z: 0 }, moon, axis)
+
+  return {
+    gamma: perpendicular,
+    penumbra: MOON_RADIUS_KM + along * ((SUN_RADIUS_KM + MOON_RADIUS_KM) / sunMoon),
+    umbra: MOON_RADIUS_KM - along * ((SUN_RADIUS_KM - MOON_RADIUS_KM) / sunMoon),
+  }
+}
+
+function lunarEclipseGeometry(time, catalog) {
+  const sun = sunGeocentric(time, catalog)
+  const moon = geocentricPosition('moon', time, catalog)
+  const axis = unit({ x: -sun.x, y: -sun.y, z: -sun.z })
+  const sunDistance = length(sun)
+  const { along, perpendicular } = axisOffset(moon, { x: 0, y: 0, z: 0 }, axis)
+
+  return {
+    gamma: perpendicular,
+    penumbra: SHADOW_ENLARGEMENT * (EARTH_RADIUS_KM + along * ((SUN_RADIUS_KM + EARTH_RADIUS_KM) / sunDistance)),
+    umbra: SHADOW_ENLARGEMENT * (EARTH_RADIUS_KM - along * ((SUN_RADIUS_KM - EARTH_RADIUS_KM) / sunDistance)),
+  }
+}
+
+function solarEclipseAt(newMoon, catalog) {
+  const time = minimize((t) => solarEclipseGeometry(t, catalog).gamma, newMoon - SYZYGY_SEARCH, newMoon + SYZYGY_SEARCH)
+  const { gamma, penumbra, umbra } = solarEclipseGeometry(time, catalog)
+  if (gamma > EARTH_RADIUS_KM + penumbra) return null
+
+  let kind = 'Partial'
+  if (gamma < EARTH_RADIUS_KM) kind = umbra > 0 ? 'Total' : 'Annular'
+  return {
+    type: 'solar-eclipse',
+    time,
+    title: `${kind} solar eclipse`,
+    detail: `Shadow axis ${Math.round(gamma).toLocaleString('en-US')} km from Earth's center`,
+    focus: 'earth',
+  }
+}
+
+function lunarEclipseAt(fullMoon, catalog) {
+  const time = minimize((t) => lunarEclipseGeometry(t, catalog).gamma, fullMoon - SYZYGY_SEARCH, fullMoon + SYZYGY_SEARCH)
+  const { gamma, penumbra, umbra } = lunarEclipseGeometry(time, catalog)
+  if (gamma - MOON_RADIUS_KM > penumbra) return null
+
+  let kind = 'Penumbral'
+  if (gamma + MOON_RADIUS_KM < umbra) kind = 'Total'
+  else if (gamma - MOON_RADIUS_KM < umbra) kind = 'Partial'
+  const magnitude = (umbra - gamma + MOON_RADIUS_KM) / (2 * MOON_RADIUS_KM)
+  return {
+    type: 'lunar-eclipse',
+    time,
+    title: `${kind} lunar eclipse`,
+    detail: kind === 'Penumbral' ? 'Moon in Earth\'s penumbra' : `Umbral magnitude ${magnitude.toFixed(2)}`,
+    focus: 'moon',
+  }
+}
+
+function findPhasesAndEclipses(start, end, { phases, eclipses }, catalog) {
+  const events = []
+  if (!getBody('moon', catalog)) return events
+
+  for (const time of angleCrossings((t) => moonElongation(t, catalog), start, end, PHASE_SCAN_STEP)) {
+    if (phases) events.push({ type: 'new-moon', time, title: 'New moon', detail: 'Moon between Earth and Sun', focus: 'moon' })
+    const eclipse = eclipses && solarEclipseAt(time, catalog)
+    if (eclipse) events.push(eclipse)
+  }
+
+  for (const time of angleCrossings((t) => moonElongation(t, catalog) - 180, start, end, PHASE_SCAN_STEP)) {
+    if (phases) events.push({ type: 'full-moon', time, title: 'Full moon', detail: 'Moon opposite the Sun', focus: 'moon' })
+    const eclipse = eclipses && lunarEclipseAt(time, catalog)
+    if (eclipse) events.push(eclipse)
+  }
+
+  return events
+}
+
+// Conjunctions in ecliptic longitude as seen from Earth, for each pair of
+// the Sun and planets in the catalog.
+function findConjunctions(start, end, catalog) {
+  const events = []
+  const ids = CONJUNCTION_BODIES.filter((id) => getBody(id, catalog))
+
+  ids.forEach((firstId, index) => {
+    for (const secondId of ids.slice(index + 1)) {
+      const difference = (time) =>
+        eclipticLongitude(geocentricPosition(firstId, time, catalog)) - eclipticLongitude(geocentricPosition(secondId, time, catalog))
+      const crossings = [
+        ...angleCrossings(difference, start, end, CONJUNCTION_SCAN_STEP),
+        ...angleCrossings((time) => -difference(time), start, end, CONJUNCTION_SCAN_STEP),
+      ]
+
+      for (const time of crossings) {
+        const first = getBody(firstId, catalog)
+        const second = getBody(secondId, catalog)
+        const separation = angularSeparation(geocentricPosition(firstId, time, catalog), geocentricPosition(secondId, time, catalog))
+        events.push({
+          type: 'conjunction',
+          time,
+          title: `${first.name}–${second.name} conjunction`,
+          detail: `Separation ${separation.toFixed(2)}°`,
+          focus: firstId === 'sun' ? secondId : firstId,
+        })
+      }
+    }
+  })
+
+  return events
+}
+
+export function findSeasons(start, end, catalog = DEFAULT_CATALOG) {
+  return SEASONS.flatMap((season, index) =>
+    angleCrossings((time) => seasonalLongitude(time, catalog) - 90 * index, start, end, SEASON_SCAN_STEP).map((time) => ({
+      ...season,
+      time,
+      longitude: 90 * index,
+      focus: 'earth',
+    })),
+  )
+}
+
+// TEME (x, y, z) is (x, z, -y) in the equatorial frame's scene axes.
+function satelliteEcliptic(position, pole) {
+  return fromEquatorFrame(pole, { x: position.x, y: position.z, z: -position.y })
+}
+
+// Positive in sunlight, negative inside the cylindrical shadow behind Earth,
+// NaN once SGP4 fails.
+function sunlitMargin(satellite, time, catalog) {
+  const state = propagateSatellite(satellite, time)
+  if (!state) return NaN
+  const earth = getBody('earth', catalog)
+  const position = satelliteEcliptic(state.position, poleOrientation(earth, time, { tilt: 0, precession: 0 }, catalog))
+  const { along, perpendicular } = axisOffset(position, { x: 0, y: 0, z: 0 }, unit(sunGeocentric(time, catalog)))
+  return along > 0 ? perpendicular + along : perpendicular - EARTH_RADIUS_KM
+}
+
+function findShadowCrossings(satellite, start, end, catalog) {
+  const events = []
+  const margin = (time) => sunlitMargin(satellite, time, catalog)
+  let previous = margin(start)
+
+  for (let time = start + SHADOW_SCAN_STEP; time <= end; time += SHADOW_SCAN_STEP) {
+    const current = margin(time)
+    if (Number.isNaN(current)) break
+    if (Math.sign(current) !== Math.sign(previous)) {
+      const entering = current < 0
+      events.push({
+        type: entering ? 'shadow-entry' : 'shadow-exit',
+        time: bisect(margin, time - SHADOW_SCAN_STEP, time),
+        title: `${satellite.name} ${entering ? 'enters' : 'leaves'} Earth's shadow`,
+        detail: entering ? 'Eclipse begins' : 'Back in sunlight',
+        focus: satellite.id,
+      })
+    }
+    previous = current
+  }
+
+  return events
+}
+
+// `options` selects event kinds ({ phases, eclipses, conjunctions, seasons,
+// shadows }) and passes the satellites to check for shadow crossings and the
+// `catalog` to read the bodies and Earth's precession setting from.
+export function findEvents(start, end, options = {}) {
+  const { catalog = DEFAULT_CATALOG } = options
+  if (!getBody('earth', catalog)) return []
+  const events = findPhasesAndEclipses(start, end, options, catalog)
+  if (options.conjunctions) events.push(...findConjunctions(start, end, catalog))
+  if (options.seasons) events.push(...findSeasons(start, end, catalog))
+  if (options.shadows) {
+    const shadowEnd = Math.min(end, start + SATELLITE_EVENT_DAYS)
+    for (const satellite of (options.satellites || []).slice(0, SATELLITE_EVENT_LIMIT)) {
+      events.push(...findShadowCrossings(satellite, start, shadowEnd, catalog))
+    }
+  }
+
+  return events
+    .sort((a, b) => a.time - b.time)
+    .map((event, index) => ({ ...event, id: `${event.type}-${index}` }))
+}
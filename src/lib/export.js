@@ -0,0 +1,270 @@
+import { AU_KM, DEFAULT_CATALOG, getBody } from './bodies.js'
+import { DEG } from './kepler.js'
+import { DEFAULT_FRAME, REFERENCE_FRAMES, frameRotation, toFrame } from './frames.js'
+import { DEFAULT_SCALE, getScaleMode, orbitDistance, scenePosition } from './scale.js'
+import { getBodyStates, statesById } from './simulation.js'
+import { J2000_JD, MS_PER_DAY, UNIX_EPOCH_JD, formatDate, parseDateTime } from './time.js'
+
+// Ephemeris tables sampled over a time range, shared by the export panel and
+// the /api/ephemeris route. Each row holds one body at one time: position and
+// velocity in the chosen frame and unit, distance to the parent body, and the
+// Sun–body–Earth phase angle.
+
+export const EXPORT_UNITS = [
+  { id: 'km', name: 'km', position: 'km', velocity: 'km/s' },
+  { id: 'au', name: 'AU', position: 'au', velocity: 'au/d' },
+  { id: 'scene', name: 'Scene units', position: 'scene', velocity: 'scene/d' },
+]
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', name: 'CSV', mimeType: 'text/csv' },
+  { id: 'json', name: 'JSON', mimeType: 'application/json' },
+]
+
+export const MAX_EXPORT_ROWS = 100000
+
+const SECONDS_PER_DAY = 86400
+const VELOCITY_DELTA = 1e-3
+const SIGNIFICANT_DIGITS = 12
+const STEP_UNITS = { m: 1 / 1440, min: 1 / 1440, h: 1 / 24, d: 1 }
+
+function findFrame(id) {
+  const frame = REFERENCE_FRAMES.find((candidate) => candidate.id === id)
+  if (!frame) throw new Error(`Unknown reference frame "${id}"`)
+  return frame
+}
+
+function findUnit(id) {
+  const unit = EXPORT_UNITS.find((candidate) => candidate.id === id)
+  if (!unit) throw new Error(`Unknown unit "${id}"`)
+  return unit
+}
+
+function findFormat(id) {
+  const format = EXPORT_FORMATS.find((candidate) => candidate.id === id)
+  if (!format) throw new Error(`Unknown format "${id}"`)
+  return format
+}
+
+function length(v) {
+  return Math.hypot(v.x, v.y, v.z)
+}
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z }
+}
+
+// Number of evenly spaced times from `start` to `end` inclusive, in days.
+export function sampleCount(start, end, step) {
+  if (!Number.isFinite(start) || !Number.isFinite(end)) throw new Error('Start and end times are required')
+  if (end < start) throw new Error('End time is before the start time')
+  if (!(step > 0)) throw new Error('Step must be positive')
+  return Math.floor((end - start) / step + 1e-9) + 1
+}
+
+// Angle at the body between the Sun and Earth, in degrees. Frames only move
+// and turn positions, so states in any frame give the same angle.
+function phaseAngle(states, id) {
+  if (id === 'sun' || id === 'earth' || !states.sun || !states.earth) return null
+  const position = states[id].position
+  const toSun = subtract(states.sun.position, position)
+  const toEarth = subtract(states.earth.position, position)
+  const cos = (toSun.x * toEarth.x + toSun.y * toEarth.y + toSun.z * toEarth.z) / (length(toSun) * length(toEarth))
+  return Math.acos(Math.min(Math.max(cos, -1), 1)) / DEG
+}
+
+function parentDistance(states, body, unit, scale) {
+  if (!body.parent) return null
+  const km = length(subtract(states[body.id].position, states[body.parent].position))
+  if (unit.id === 'au') return km / AU_KM
+  if (unit.id === 'scene') return orbitDistance(body, km, scale)
+  return km
+}
+
+// The bodies a row needs states for: the exported ones with their chains of
+// parents, which scene positions add up and parent distances use, the frame
+// origin, and the Sun and Earth for phase angles.
+function requiredBodies(ids, frame, catalog) {
+  const required = new Set(['sun', 'earth'])
+  for (const id of frame.origin ? [...ids, frame.origin] : ids) {
+    for (let body = getBody(id, catalog); body; body = getBody(body.parent, catalog)) required.add(body.id)
+  }
+  return [...required].filter((id) => getBody(id, catalog))
+}
+
+function scenePositions(ids, required, frame, scale, time, catalog) {
+  const states = statesById(getBodyStates(time, { bodies: required, catalog, velocity: false }))
+  const position = (id) => scenePosition(states, getBody(id, catalog), scale, { x: 0, y: 0, z: 0 }, catalog)
+  const origin = frame.origin ? position(frame.origin) : null
+  const rotation = frameRotation(frame, time, { tilt: 0, precession: 0, spin: 0 }, catalog)
+  return { states, positions: ids.map((id) => toFrame(frame, position(id), origin, rotation)) }
+}
+
+// Positions and velocities in the export unit at one time, with the states
+// the other columns are computed from; scene-unit velocities are the rate of
+// change of the drawn position, per day.
+function kinematics(ids, required, frame, unit, scale, time, catalog) {
+  if (unit.id === 'scene') {
+    const { states, positions } = scenePositions(ids, required, frame, scale, time, catalog)
+    const ahead = scenePositions(ids, required, frame, scale, time + VELOCITY_DELTA, catalog).positions
+    const behind = scenePositions(ids, required, frame, scale, time - VELOCITY_DELTA, catalog).positions
+    return {
+      states,
+      rows: positions.map((position, index) => ({
+        position,
+        velocity: {
+          x: (ahead[index].x - behind[index].x) / (2 * VELOCITY_DELTA),
+          y: (ahead[index].y - behind[index].y) / (2 * VELOCITY_DELTA),
+          z: (ahead[index].z - behind[index].z) / (2 * VELOCITY_DELTA),
+        },
+      })),
+    }
+  }
+
+  const positionScale = unit.id === 'au' ? 1 / AU_KM : 1
+  const velocityScale = unit.id === 'au' ? SECONDS_PER_DAY / AU_KM : 1
+  const states = statesById(getBodyStates(time, { frame: frame.id, bodies: required, catalog }))
+  return {
+    states,
+    rows: ids.map((id) => {
+      const { position, velocity } = states[id]
+      return {
+        position: { x: position.x * positionScale, y: position.y * positionScale, z: position.z * positionScale },
+        velocity: { x: velocity.x * velocityScale, y: velocity.y * velocityScale, z: velocity.z * velocityScale },
+      }
+    }),
+  }
+}
+
+// `options`: start and end (days since J2000), step (days), bodies (ids, all
+// by default), frame and unit ids, the scale used for scene units, the
+// catalog to read the bodies from and the most rows to allow.
+export function sampleEphemeris({ start, end, step, bodies, frame = DEFAULT_FRAME, unit = 'km', scale = DEFAULT_SCALE, catalog = DEFAULT_CATALOG, maxRows = MAX_EXPORT_ROWS }) {
+  const ids = bodies?.length ? bodies : catalog.bodies.map((body) => body.id)
+  ids.forEach((id) => {
+    if (!getBody(id, catalog)) throw new Error(`Unknown body "${id}"`)
+  })
+  const reference = findFrame(frame)
+  const exportUnit = findUnit(unit)
+  const count = sampleCount(start, end, step)
+  if (count * ids.length > maxRows) {
+    throw new Error(`Export would have ${(count * ids.length).toLocaleString('en-US')} rows; the limit is ${maxRows.toLocaleString('en-US')}`)
+  }
+
+  const required = requiredBodies(ids, reference, catalog)
+  const rows = []
+  for (let n = 0; n < count; n++) {
+    const time = start + n * step
+    // Rounded rather than truncated to the millisecond, so 1:00 doesn't
+    // print as 0:59:59.999.
+    const date = new Date(Math.round((time + J2000_JD - UNIX_EPOCH_JD) * MS_PER_DAY)).toISOString()
+    const { states, rows: sampled } = kinematics(ids, required, reference, exportUnit, scale, time, catalog)
+    sampled.forEach(({ position, velocity }, index) => {
+      const body = getBody(ids[index], catalog)
+      rows.push({
+        time: date,
+        days: time,
+        body: body.id,
+        x: position.x,
+        y: position.y,
+        z: position.z,
+        vx: velocity.x,
+        vy: velocity.y,
+        vz: velocity.z,
+        parentDistance: parentDistance(states, body, exportUnit, scale),
+        phaseAngle: phaseAngle(states, body.id),
+      })
+    })
+  }
+  return rows
+}
+
+function formatNumber(value) {
+  return value === null ? '' : String(Number(value.toPrecision(SIGNIFICANT_DIGITS)))
+}
+
+export function toCSV(rows, unit = 'km') {
+  const { position, velocity } = findUnit(unit)
+  const rate = velocity.replace('/', '_per_')
+  const header = [
+    'time_utc',
+    'days_since_j2000',
+    'body',
+    `x_${position}`,
+    `y_${position}`,
+    `z_${position}`,
+    `vx_${rate}`,
+    `vy_${rate}`,
+    `vz_${rate}`,
+    `parent_distance_${position}`,
+    'phase_angle_deg',
+  ]
+  const lines = rows.map((row) =>
+    [
+      row.time,
+      formatNumber(row.days),
+      row.body,
+      ...[row.x, row.y, row.z, row.vx, row.vy, row.vz, row.parentDistance, row.phaseAngle].map(formatNumber),
+    ].join(','),
+  )
+  return [header.join(','), ...lines].join('\n') + '\n'
+}
+
+export function toJSON(rows, { frame = DEFAULT_FRAME, unit = 'km', scale = DEFAULT_SCALE } = {}) {
+  const { position, velocity } = findUnit(unit)
+  return JSON.stringify({
+    frame,
+    units: { position, velocity, distance: position, phaseAngle: 'deg' },
+    ...(unit === 'scene' ? { scale: scale.mode } : {}),
+    rows,
+  })
+}
+
+// Samples and formats in one go; returns the file content, MIME type and a
+// suggested file name.
+export function exportEphemeris(options, format = 'csv') {
+  const { mimeType } = findFormat(format)
+  const rows = sampleEphemeris(options)
+  return {
+    content: format === 'csv' ? toCSV(rows, options.unit) : toJSON(rows, options),
+    mimeType,
+    filename: `ephemeris-${formatDate(options.start)}-${formatDate(options.end)}.${format}`,
+  }
+}
+
+// "30m", "6h", "1.5d" or a bare number of days.
+export function parseStep(text) {
+  const match = /^(\d*\.?\d+)\s*(m|min|h|d)?$/.exec(String(text).trim())
+  return match ? Number(match[1]) * STEP_UNITS[match[2] || 'd'] : null
+}
+
+function parseQueryTime(text, name) {
+  const time = parseDateTime(text.replace(/Z$/i, ''))
+  if (time === null) throw new Error(`Invalid ${name} time "${text}"; use YYYY-MM-DD or YYYY-MM-DDTHH:MM (UTC)`)
+  return time
+}
+
+// Export options from URL search parameters: start, end, step, bodies
+// (comma-separated), frame, unit, scale and format.
+export function parseExportQuery(params) {
+  const start = params.get('start')
+  const end = params.get('end')
+  if (!start || !end) throw new Error('Both start and end are required')
+  const step = parseStep(params.get('step') || '1d')
+  if (step === null) throw new Error(`Invalid step "${params.get('step')}"`)
+  const scale = params.get('scale')
+  if (scale && getScaleMode(scale).id !== scale) throw new Error(`Unknown scale "${scale}"`)
+
+  return {
+    options: {
+      start: parseQueryTime(start, 'start'),
+      end: parseQueryTime(end, 'end'),
+      step,
+      bodies: params.get('bodies')?.split(',').map((id) => id.trim()).filter(Boolean),
+      frame: params.get('frame') || DEFAULT_FRAME,
+      unit: params.get('unit') || 'km',
+      scale: { ...DEFAULT_SCALE, mode: scale || DEFAULT_SCALE.mode },
+    },
+    format: params.get('format') || 'json',
+  }
+}
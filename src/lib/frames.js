@@ -0,0 +1,122 @@
+import { DEFAULT_CATALOG, getBody } from './bodies.js'
+import { poleOrientation, rotateY, rotationAngle, toEquatorFrame } from './ephemeris.js'
+
+// Reference frames the scene can be viewed in. Trail samples are stored in
+// the scene's heliocentric inertial axes along with the time, and the Earth
+// and Moon are always among the sampled bodies, so a recorded history can be
+// re-expressed in any frame after the fact.
+
+// `overviewDistance` is the overview camera distance as a multiple of the
+// scene distance of `overviewBody`'s orbit.
+export const REFERENCE_FRAMES = [
+  { id: 'heliocentric', name: 'Heliocentric inertial', origin: null, overviewBody: 'neptune', overviewDistance: 1.4 },
+  { id: 'geocentric', name: 'Geocentric inertial', origin: 'earth', overviewBody: 'moon', overviewDistance: 6.4 },
+  { id: 'earth-fixed', name: 'Earth-fixed rotating', origin: 'earth', rotating: true, overviewBody: 'moon', overviewDistance: 4 },
+  { id: 'moon-centered', name: 'Moon-centered', origin: 'moon', overviewBody: 'moon', overviewDistance: 4 },
+]
+
+export const DEFAULT_FRAME = 'heliocentric'
+export const TRAIL_SAMPLES = 900
+export const FRAME_ORIGINS = ['earth', 'moon']
+
+export function getFrame(id) {
+  return REFERENCE_FRAMES.find((frame) => frame.id === id) || REFERENCE_FRAMES[0]
+}
+
+// The rotating frame turns with Earth: its equatorial frame (see
+// poleOrientation), then the sidereal angle about the pole. Inertial frames
+// come back unrotated.
+export function frameRotation(frame, time, out = { tilt: 0, precession: 0, spin: 0 }, catalog = DEFAULT_CATALOG) {
+  if (!frame.rotating) {
+    out.tilt = 0
+    out.precession = 0
+    out.spin = 0
+    return out
+  }
+  const earth = getBody('earth', catalog)
+  poleOrientation(earth, time, out, catalog)
+  out.spin = rotationAngle(earth, time)
+  return out
+}
+
+// `point` relative to the frame origin, in the frame's axes. `out` may be
+// `point` itself.
+export function toFrame(frame, point, origin, rotation, out = { x: 0, y: 0, z: 0 }) {
+  out.x = point.x - (origin ? origin.x : 0)
+  out.y = point.y - (origin ? origin.y : 0)
+  out.z = point.z - (origin ? origin.z : 0)
+  if (frame.rotating) rotateY(toEquatorFrame(rotation, out), -rotation.spin)
+  return out
+}
+
+export function createTrailHistory(ids, size = TRAIL_SAMPLES) {
+  const positions = {}
+  for (const id of new Set([...FRAME_ORIGINS, ...ids])) positions[id] = new Float64Array(size * 3)
+  return { size, count: 0, head: 0, version: 0, lastTime: null, times: new Float64Array(size), ids: Object.keys(positions), positions }
+}
+
+export function clearTrailHistory(history) {
+  history.count = 0
+  history.head = 0
+  history.lastTime = null
+  history.version++
+}
+
+const scratchSample = { x: 0, y: 0, z: 0 }
+
+// `read(id, out)` fills `out` with the body's inertial scene position and
+// returns false when the body is not in the scene; such samples are skipped
+// when the trail is drawn.
+export function recordTrailSample(history, time, read) {
+  if (time === history.lastTime) return false
+  const index = history.head
+
+  history.times[index] = time
+  for (const id of history.ids) {
+    const buffer = history.positions[id]
+    const found = read(id, scratchSample)
+    buffer[index * 3] = found ? scratchSample.x : NaN
+    buffer[index * 3 + 1] = found ? scratchSample.y : NaN
+    buffer[index * 3 + 2] = found ? scratchSample.z : NaN
+  }
+
+  history.head = (index + 1) % history.size
+  history.count = Math.min(history.count + 1, history.size)
+  history.lastTime = time
+  history.version++
+  return true
+}
+
+const scratchPoint = { x: 0, y: 0, z: 0 }
+const scratchOrigin = { x: 0, y: 0, z: 0 }
+const scratchRotation = { tilt: 0, precession: 0, spin: 0 }
+
+function readSample(buffer, index, out) {
+  out.x = buffer[index * 3]
+  out.y = buffer[index * 3 + 1]
+  out.z = buffer[index * 3 + 2]
+  return !Number.isNaN(out.x)
+}
+
+// Writes the trail of `id`, oldest sample first, into `out` as xyz triples in
+// `frame`, less an optional `shift` of the frame origin, and returns the
+// number of points written.
+export function trailInFrame(history, id, frame, out, shift = null, catalog = DEFAULT_CATALOG) {
+  const buffer = history.positions[id]
+  const originBuffer = frame.origin ? history.positions[frame.origin] : null
+  if (!buffer) return 0
+
+  let written = 0
+  for (let n = 0; n < history.count; n++) {
+    const index = (history.head - history.count + n + history.size) % history.size
+    if (!readSample(buffer, index, scratchPoint)) continue
+    if (originBuffer && !readSample(originBuffer, index, scratchOrigin)) continue
+
+    toFrame(frame, scratchPoint, originBuffer ? scratchOrigin : null, frameRotation(frame, history.times[index], scratchRotation, catalog), scratchPoint)
+    out[written * 3] = scratchPoint.x - (shift ? shift.x : 0)
+    out[written * 3 + 1] = scratchPoint.y - (shift ? shift.y : 0)
+    out[written * 3 + 2] = scratchPoint.z - (shift ? shift.z : 0)
+    written++
+  }
+  return written
+}
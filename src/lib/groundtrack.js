@@ -0,0 +1,122 @@
+import { eciToGeodetic } from 'satellite.js'
+import { DEG } from './kepler.js'
+import { DEFAULT_CATALOG, getBody } from './bodies.js'
+import { poleOrientation, rotationAngle, toEquatorFrame } from './ephemeris.js'
+import { geocentricPosition } from './events.js'
+import { EARTH_RADIUS_KM, propagateSatellite } from './tle.js'
+
+// Geographic positions for the 2D map. Latitudes and longitudes are degrees,
+// longitudes wrapped to [-180, 180). Greenwich sidereal time comes from the
+// same Earth rotation the 3D scene uses, so both views agree.
+
+const TRACK_STEP = 1 / 1440
+// Sunrise and sunset are taken when the Sun's center is this far below the
+// horizon, which allows for refraction and the Sun's radius.
+const SUNRISE_ALTITUDE = -0.833 * DEG
+
+export function wrapLongitude(lon) {
+  return lon - 360 * Math.floor((lon + 180) / 360)
+}
+
+function siderealAngle(time) {
+  return rotationAngle(getBody('earth'), time)
+}
+
+// Scene-axis ecliptic vector (y north) to the subpoint of that direction,
+// through Earth's equatorial frame as the scene draws it.
+function eclipticSubpoint(vector, time, catalog) {
+  const pole = poleOrientation(getBody('earth', catalog), time, { tilt: 0, precession: 0 }, catalog)
+  const local = toEquatorFrame(pole, { ...vector })
+
+  return {
+    lat: Math.atan2(local.y, Math.hypot(local.x, local.z)) / DEG,
+    lon: wrapLongitude((Math.atan2(-local.z, local.x) - siderealAngle(time)) / DEG),
+  }
+}
+
+export function sunSubpoint(time, catalog = DEFAULT_CATALOG) {
+  return eclipticSubpoint(geocentricPosition('sun', time), time, catalog)
+}
+
+// Hours of daylight at `latitude` on a day when the Sun's declination (the
+// subsolar latitude) is `declination`, both in degrees.
+export function dayLength(latitude, declination) {
+  const lat = latitude * DEG
+  const dec = declination * DEG
+  const cos = (Math.sin(SUNRISE_ALTITUDE) - Math.sin(lat) * Math.sin(dec)) / (Math.cos(lat) * Math.cos(dec))
+  if (cos <= -1) return 24
+  if (cos >= 1) return 0
+  return (2 * Math.acos(cos)) / (15 * DEG)
+}
+
+export function moonSubpoint(time, catalog = DEFAULT_CATALOG) {
+  return eclipticSubpoint(geocentricPosition('moon', time), time, catalog)
+}
+
+export function satelliteSubpoint(satellite, time) {
+  const state = propagateSatellite(satellite, time)
+  if (!state) return null
+  const geodetic = eciToGeodetic(state.position, siderealAngle(time))
+  return {
+    lat: geodetic.latitude / DEG,
+    lon: wrapLongitude(geodetic.longitude / DEG),
+    altitude: geodetic.height,
+  }
+}
+
+// Splits a polyline wherever it wraps across the antimeridian.
+function splitAtAntimeridian(points) {
+  const segments = []
+  let current = []
+  for (const point of points) {
+    const previous = current[current.length - 1]
+    if (previous && Math.abs(point.lon - previous.lon) > 180) {
+      segments.push(current)
+      current = []
+    }
+    current.push(point)
+  }
+  if (current.length > 0) segments.push(current)
+  return segments
+}
+
+export function groundTrack(satellite, start, end, step = TRACK_STEP) {
+  const points = []
+  for (let time = start; time <= end; time += step) {
+    const point = satelliteSubpoint(satellite, time)
+    if (!point) break
+    points.push(point)
+  }
+  return splitAtAntimeridian(points)
+}
+
+// Ground area that sees the satellite above the horizon, as a circle of
+// angular radius acos(R / (R + h)) around the subpoint.
+export function footprint(subpoint, samples = 96) {
+  const radius = Math.acos(EARTH_RADIUS_KM / (EARTH_RADIUS_KM + Math.max(subpoint.altitude, 0)))
+  const lat = subpoint.lat * DEG
+  const points = []
+
+  for (let n = 0; n <= samples; n++) {
+    const bearing = (n / samples) * 2 * Math.PI
+    const pointLat = Math.asin(Math.sin(lat) * Math.cos(radius) + Math.cos(lat) * Math.sin(radius) * Math.cos(bearing))
+    const dLon = Math.atan2(
+      Math.sin(bearing) * Math.sin(radius) * Math.cos(lat),
+      Math.cos(radius) - Math.sin(lat) * Math.sin(pointLat),
+    )
+    points.push({ lat: pointLat / DEG, lon: wrapLongitude(subpoint.lon + dLon / DEG) })
+  }
+  return splitAtAntimeridian(points)
+}
+
+// Latitude of the day/night boundary at each longitude, from -180° to 180°.
+export function terminator(sun, samples = 180) {
+  const tanSun = Math.tan(Math.max(Math.abs(sun.lat), 0.01) * DEG) * Math.sign(sun.lat || 1)
+  const points = []
+  for (let n = 0; n <= samples; n++) {
+    const lon = -180 + (360 * n) / samples
+    const lat = Math.atan(-Math.cos((lon - sun.lon) * DEG) / tanSun) / DEG
+    points.push({ lat, lon })
+  }
+  return points
+}
@@ -0,0 +1,85 @@
+export const DEG = Math.PI / 180
+export const TWO_PI = Math.PI * 2
+
+export function normalizeAngle(angle) {
+  const wrapped = angle % TWO_PI
+  return wrapped < 0 ? wrapped + TWO_PI : wrapped
+}
+
+export function solveKepler(meanAnomaly, e, tolerance = 1e-12, maxIterations = 32) {
+  let M = normalizeAngle(meanAnomaly)
+  if (M > Math.PI) M -= TWO_PI
+
+  let E = e < 0.8 ? M : Math.PI * Math.sign(M || 1)
+  for (let n = 0; n < maxIterations; n++) {
+    const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E))
+    E -= delta
+    if (Math.abs(delta) < tolerance) break
+  }
+  return E
+}
+
+export function meanAnomalyAt(orbit, time) {
+  const { M0 = 0, epoch = 0, period } = orbit
+  return M0 * DEG + (TWO_PI * (time - epoch)) / period
+}
+
+export function trueAnomaly(E, e) {
+  return 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2))
+}
+
+// Rotates a vector from the perifocal plane (x toward periapsis) into scene
+// space. Orbital elements are ecliptic-referenced, the scene is Y-up, so the
+// ecliptic (X, Y, Z) maps to (x, z, -y).
+export function perifocalToScene(orbit, xp, yp, out) {
+  const i = (orbit.i || 0) * DEG
+  const node = (orbit.node || 0) * DEG
+  const peri = (orbit.peri || 0) * DEG
+
+  const cosO = Math.cos(node)
+  const sinO = Math.sin(node)
+  const cosW = Math.cos(peri)
+  const sinW = Math.sin(peri)
+  const cosI = Math.cos(i)
+  const sinI = Math.sin(i)
+
+  const X = (cosO * cosW - sinO * sinW * cosI) * xp + (-cosO * sinW - sinO * cosW * cosI) * yp
+  const Y = (sinO * cosW + cosO * sinW * cosI) * xp + (-sinO * sinW + cosO * cosW * cosI) * yp
+  const Z = sinW * sinI * xp + cosW * sinI * yp
+
+  out.x = X
+  out.y = Z
+  out.z = -Y
+  return out
+}
+
+export function positionAtEccentricAnomaly(orbit, E, out = { x: 0, y: 0, z: 0 }) {
+  const { a, e = 0 } = orbit
+  const xp = a * (Math.cos(E) - e)
+  const yp = a * Math.sqrt(1 - e * e) * Math.sin(E)
+  return perifocalToScene(orbit, xp, yp, out)
+}
+
+export function orbitalPosition(orbit, time, out = { x: 0, y: 0, z: 0 }) {
+  const E = solveKepler(meanAnomalyAt(orbit, time), orbit.e || 0)
+  return positionAtEccentricAnomaly(orbit, E, out)
+}
+
+// Velocity in scene units per day.
+export function orbitalVelocity(orbit, time, out = { x: 0, y: 0, z: 0 }) {
+  const { a, e = 0, period } = orbit
+  const E = solveKepler(meanAnomalyAt(orbit, time), e)
+  const n = TWO_PI / period
+  const denom = 1 - e * Math.cos(E)
+  const vxp = (-a * n * Math.sin(E)) / denom
+  const vyp = (a * n * Math.sqrt(1 - e * e) * Math.cos(E)) / denom
+  return perifocalToScene(orbit, vxp, vyp, out)
+}
+
+export function periapsisDistance(orbit) {
+  return orbit.a * (1 - (orbit.e || 0))
+}
+
+export function apoapsisDistance(orbit) {
+  return orbit.a * (1 + (orbit.e || 0))
+}
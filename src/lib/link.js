@@ -0,0 +1,106 @@
+import { DEFAULT_CATALOG, getBody } from './bodies.js'
+import { REFERENCE_FRAMES } from './frames.js'
+import { SCALE_MODES, getScaleMode } from './scale.js'
+import { PATH_MODE_IDS } from './scenario.js'
+import { formatIsoDateTime, toSimTime } from './time.js'
+
+// Deep links: the view as a query string, so a URL brings back the same
+// moment, clock, camera and layers. The keys are the ones the /embed route
+// reads too, so a copied link also works as an embed.
+
+export const VIEW_KEYS = ['time', 'speed', 'paused', 'focus', 'select', 'camera', 'frame', 'paths', 'scale', 'size']
+
+// Satellites load after the page does, so their ids are only checked for shape.
+const SATELLITE_ID = /^sat-\d+-\d+$/
+
+export function flag(value) {
+  if (['1', 'true', 'yes', ''].includes(value)) return true
+  if (['0', 'false', 'no'].includes(value)) return false
+  return null
+}
+
+// `read(key, parse, message)` for a URLSearchParams: undefined when the key
+// is missing, and a value `parse` rejects is reported and skipped.
+export function queryReader(params, errors) {
+  return (key, parse, message) => {
+    const value = params.get(key)
+    if (value === null) return undefined
+    const parsed = parse(value)
+    if (parsed === null || parsed === undefined) errors.push(`${key}: ${message}`)
+    return parsed ?? undefined
+  }
+}
+
+function bodyId(value, catalog) {
+  return getBody(value, catalog) || SATELLITE_ID.test(value) ? value : null
+}
+
+function vector(value) {
+  const parts = value.split(',').map(Number)
+  return parts.length === 3 && parts.every(Number.isFinite) && parts.some((part) => part !== 0) ? parts : null
+}
+
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined))
+}
+
+// The view keys present in `params`, read into the values SolarSystem keeps
+// in state. `camera` is the camera's offset from what it looks at. Body ids
+// are checked against `catalog`, the one the view will be shown with.
+export function parseViewQuery(params, catalog = DEFAULT_CATALOG) {
+  const errors = []
+  const read = queryReader(params, errors)
+  const view = {}
+
+  view.time = read('time', toSimTime, 'must be a date like 2026-10-19T12:00Z')
+  view.speed = read('speed', (value) => {
+    const speed = Number(value)
+    return Number.isFinite(speed) && speed !== 0 ? speed : null
+  }, 'must be a non-zero number of days per second')
+  view.paused = read('paused', flag, 'must be 1 or 0')
+  view.focus = read('focus', (value) => bodyId(value, catalog), 'unknown body')
+  view.selected = read('select', (value) => bodyId(value, catalog), 'unknown body')
+  view.camera = read('camera', vector, 'must be three numbers x,y,z, not all zero')
+  view.frame = read('frame', (value) => (REFERENCE_FRAMES.some((frame) => frame.id === value) ? value : null), 'unknown reference frame')
+  view.paths = read('paths', (value) => (PATH_MODE_IDS.includes(value) ? value : null), `must be one of ${PATH_MODE_IDS.join(', ')}`)
+
+  // A size without a scale applies to the stylized scale.
+  const mode = read('scale', (value) => SCALE_MODES.find((option) => option.id === value) ?? null, 'unknown scale mode')
+  const sized = mode ?? getScaleMode('stylized')
+  const exaggeration = read('size', (value) => {
+    const size = Number(value)
+    return size >= 1 && size <= sized.maxExaggeration ? size : null
+  }, `must be between 1 and ${sized.maxExaggeration}`)
+  if (mode || exaggeration) view.scale = { mode: sized.id, exaggeration: exaggeration ?? 1 }
+
+  return { view: compact(view), errors }
+}
+
+function round(value) {
+  return Number(value.toPrecision(5))
+}
+
+// Keeps `:` and `,` readable; both are allowed in a query.
+function encode(value) {
+  return encodeURIComponent(value).replace(/%3A/g, ':').replace(/%2C/g, ',')
+}
+
+// The query string for a view, without the `?`. Missing values are left out,
+// so a partial view (settings without the time, say) is a shorter query.
+export function viewQuery({ time, speed, paused, focus, selected, camera, frame, paths, scale }) {
+  return Object.entries({
+    time: time === undefined ? undefined : formatIsoDateTime(time),
+    speed: speed === undefined ? undefined : Number(speed.toPrecision(6)),
+    paused: paused === undefined ? undefined : Number(paused),
+    focus: focus ?? undefined,
+    select: selected ?? undefined,
+    camera: camera?.map(round).join(','),
+    frame,
+    paths,
+    scale: scale?.mode,
+    size: scale && scale.exaggeration !== 1 ? round(scale.exaggeration) : undefined,
+  })
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${encode(value)}`)
+    .join('&')
+}
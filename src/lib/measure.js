@@ -0,0 +1,60 @@
+import { AU_KM, DEFAULT_CATALOG, getBody } from './bodies.js'
+import { angularSeparation } from './events.js'
+
+// Live readouts between two bodies, from the states returned by
+// getBodyStates (km and km/s). The angle is measured at an optional third
+// body, e.g. the Sun–Moon elongation seen from Earth.
+
+export const LIGHT_SPEED_KM_S = 299792.458
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z }
+}
+
+function length(v) {
+  return Math.hypot(v.x, v.y, v.z)
+}
+
+// Measurements are plain { id, from, to, observer } records. An observer that
+// is one of the two ends has no angle to measure, so it is dropped. Ids are
+// checked against `catalog`.
+export function createMeasurement(from, to, observer = null, catalog = DEFAULT_CATALOG) {
+  if (!from || !to) throw new Error('A measurement needs two bodies')
+  if (from === to) throw new Error('Pick two different bodies')
+  for (const id of [from, to, observer]) {
+    if (id && !getBody(id, catalog)) throw new Error(`Unknown body "${id}"`)
+  }
+  const vertex = observer === from || observer === to ? null : observer
+  return { id: [from, to, vertex].filter(Boolean).join('-'), from, to, observer: vertex }
+}
+
+// `states` is keyed by body id, as from statesById. Distance is km, light
+// time seconds, speeds km/s and the separation degrees (null without an
+// observer). The range rate is positive while the bodies move apart.
+export function measure(states, { from, to, observer }) {
+  const offset = subtract(states[to].position, states[from].position)
+  const velocity = subtract(states[to].velocity, states[from].velocity)
+  const distance = length(offset)
+
+  return {
+    distance,
+    distanceAu: distance / AU_KM,
+    lightTime: distance / LIGHT_SPEED_KM_S,
+    relativeSpeed: length(velocity),
+    rangeRate: (offset.x * velocity.x + offset.y * velocity.y + offset.z * velocity.z) / distance,
+    separation: observer
+      ? angularSeparation(
+          subtract(states[from].position, states[observer].position),
+          subtract(states[to].position, states[observer].position),
+        )
+      : null,
+  }
+}
+
+export function formatLightTime(seconds) {
+  if (seconds < 60) return `${seconds.toFixed(seconds < 10 ? 2 : 1)} s`
+  const whole = Math.round(seconds)
+  if (whole < 3600) return `${Math.floor(whole / 60)} min ${whole % 60} s`
+  const minutes = Math.round(whole / 60)
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`
+}
@@ -0,0 +1,87 @@
+import { DEG } from './kepler.js'
+import { getBody } from './bodies.js'
+import { moonPosition, poleOrientation, rotateY, rotationAngle, toEquatorFrame } from './ephemeris.js'
+import { angularSeparation, findEvents, moonElongation, sunGeocentric } from './events.js'
+
+// Lunar phase and libration from the same geometry the scene draws. Angles
+// are degrees and times simulation days.
+
+export const SYNODIC_MONTH = 29.530589
+
+// One name per 45° of elongation, centered on new, first quarter, full and
+// last quarter.
+export const MOON_PHASES = [
+  'New moon',
+  'Waxing crescent',
+  'First quarter',
+  'Waxing gibbous',
+  'Full moon',
+  'Waning gibbous',
+  'Last quarter',
+  'Waning crescent',
+]
+
+// `phaseAngle` is the Sun–Moon–Earth angle, 0° at full moon; `illumination`
+// the lit fraction of the disk.
+export function moonPhase(time) {
+  const moon = moonPosition(time)
+  const sun = sunGeocentric(time)
+  const phaseAngle = angularSeparation({ x: sun.x - moon.x, y: sun.y - moon.y, z: sun.z - moon.z }, { x: -moon.x, y: -moon.y, z: -moon.z })
+  const elongation = moonElongation(time)
+
+  return {
+    elongation,
+    phaseAngle,
+    illumination: (1 + Math.cos(phaseAngle * DEG)) / 2,
+    waxing: elongation < 180,
+    name: MOON_PHASES[Math.round(elongation / 45) % MOON_PHASES.length],
+  }
+}
+
+// The sub-Earth point in selenographic longitude (east positive) and
+// latitude: the optical libration, as the scene turns the Moon.
+export function moonLibration(time) {
+  const moon = getBody('moon')
+  const earth = moonPosition(time)
+  earth.x = -earth.x
+  earth.y = -earth.y
+  earth.z = -earth.z
+  rotateY(toEquatorFrame(poleOrientation(moon, time), earth), -rotationAngle(moon, time))
+
+  const longitude = Math.atan2(-earth.z, earth.x) / DEG
+  return {
+    longitude: longitude - 360 * Math.floor((longitude + 180) / 360),
+    latitude: Math.asin(earth.y / Math.hypot(earth.x, earth.y, earth.z)) / DEG,
+  }
+}
+
+// The last new moon at or before `time`, and the next new and full moons.
+export function lunarCycle(time) {
+  const events = findEvents(time - SYNODIC_MONTH - 1, time + SYNODIC_MONTH + 1, { phases: true })
+  const after = (type) => events.find((event) => event.type === type && event.time > time)?.time ?? null
+
+  return {
+    previousNew: events.findLast((event) => event.type === 'new-moon' && event.time <= time)?.time ?? null,
+    nextNew: after('new-moon'),
+    nextFull: after('full-moon'),
+  }
+}
+
+function round(value) {
+  return Number(value.toFixed(3))
+}
+
+// SVG path of the lit part of a disk of `radius` around the origin, lit from
+// the right while waxing, as seen from the northern hemisphere. The
+// terminator is a half ellipse whose width follows the phase angle.
+export function phasePath({ phaseAngle, waxing }, radius) {
+  const terminator = radius * Math.cos(phaseAngle * DEG)
+  const limbSweep = waxing ? 1 : 0
+  const terminatorSweep = terminator > 0 === waxing ? 1 : 0
+  return [
+    `M 0 ${-radius}`,
+    `A ${radius} ${radius} 0 0 ${limbSweep} 0 ${radius}`,
+    `A ${round(Math.abs(terminator))} ${radius} 0 0 ${terminatorSweep} 0 ${-radius}`,
+    'Z',
+  ].join(' ')
+}
@@ -0,0 +1,233 @@
+// Direct-summation N-body integrator. Positions are km, velocities km/day
+// and time days, in scene axes (y is ecliptic north).
+
+export const SECONDS_PER_DAY = 86400
+const GM_TO_KM3_PER_DAY2 = SECONDS_PER_DAY * SECONDS_PER_DAY
+const STEP_FRACTION = 0.03
+const MIN_STEP = 1e-5
+
+function createArrays(count) {
+  return {
+    position: new Float64Array(count * 3),
+    velocity: new Float64Array(count * 3),
+    acceleration: new Float64Array(count * 3),
+  }
+}
+
+// `bodies` carry `gm` in km^3/s^2 (0 for massless test particles) and
+// `position`/`velocity` as [x, y, z] in km and km/day.
+export function createSystem(bodies, time) {
+  const system = {
+    time,
+    step: 0,
+    ids: bodies.map((body) => body.id),
+    parents: bodies.map((body) => body.parent || null),
+    gm: Float64Array.from(bodies, (body) => (body.gm || 0) * GM_TO_KM3_PER_DAY2),
+    ...createArrays(bodies.length),
+  }
+
+  bodies.forEach((body, index) => {
+    system.position.set(body.position, index * 3)
+    system.velocity.set(body.velocity, index * 3)
+  })
+
+  removeNetMomentum(system)
+  computeAccelerations(system)
+  system.step = stableStep(system)
+  return system
+}
+
+export function bodyIndex(system, id) {
+  return system.ids.indexOf(id)
+}
+
+// Shifts velocities into the barycentric frame so the system as a whole
+// does not drift away from the origin.
+export function removeNetMomentum(system) {
+  const { gm, velocity } = system
+  let total = 0
+  const momentum = [0, 0, 0]
+  for (let i = 0; i < gm.length; i++) {
+    total += gm[i]
+    for (let k = 0; k < 3; k++) momentum[k] += gm[i] * velocity[i * 3 + k]
+  }
+  if (total === 0) return
+  for (let i = 0; i < gm.length; i++) {
+    for (let k = 0; k < 3; k++) velocity[i * 3 + k] -= momentum[k] / total
+  }
+}
+
+export function computeAccelerations(system) {
+  const { gm, position, acceleration } = system
+  const count = gm.length
+  acceleration.fill(0)
+
+  for (let i = 0; i < count; i++) {
+    const ix = i * 3
+    for (let j = i + 1; j < count; j++) {
+      if (gm[i] === 0 && gm[j] === 0) continue
+      const jx = j * 3
+      const dx = position[jx] - position[ix]
+      const dy = position[jx + 1] - position[ix + 1]
+      const dz = position[jx + 2] - position[ix + 2]
+      const r2 = dx * dx + dy * dy + dz * dz
+      const invR3 = 1 / (r2 * Math.sqrt(r2))
+
+      acceleration[ix] += gm[j] * dx * invR3
+      acceleration[ix + 1] += gm[j] * dy * invR3
+      acceleration[ix + 2] += gm[j] * dz * invR3
+      acceleration[jx] -= gm[i] * dx * invR3
+      acceleration[jx + 1] -= gm[i] * dy * invR3
+      acceleration[jx + 2] -= gm[i] * dz * invR3
+    }
+  }
+}
+
+// Kick-drift-kick leapfrog (velocity Verlet). Symplectic and time
+// reversible, so negative steps integrate backwards.
+export function leapfrogStep(system, dt) {
+  const { position, velocity, acceleration } = system
+  const half = dt / 2
+
+  for (let n = 0; n < position.length; n++) {
+    velocity[n] += acceleration[n] * half
+    position[n] += velocity[n] * dt
+  }
+  computeAccelerations(system)
+  for (let n = 0; n < velocity.length; n++) {
+    velocity[n] += acceleration[n] * half
+  }
+}
+
+// A fixed fraction of the shortest two-body dynamical timescale, so the
+// tightest orbit is always resolved by enough steps.
+export function stableStep(system) {
+  const { gm, position } = system
+  let shortest = Infinity
+
+  for (let i = 0; i < gm.length; i++) {
+    for (let j = i + 1; j < gm.length; j++) {
+      const mu = gm[i] + gm[j]
+      if (mu === 0) continue
+      const dx = position[j * 3] - position[i * 3]
+      const dy = position[j * 3 + 1] - position[i * 3 + 1]
+      const dz = position[j * 3 + 2] - position[i * 3 + 2]
+      const r = Math.sqrt(dx * dx + dy * dy + dz * dz)
+      shortest = Math.min(shortest, Math.sqrt((r * r * r) / mu))
+    }
+  }
+
+  return Number.isFinite(shortest) ? Math.max(shortest * STEP_FRACTION, MIN_STEP) : 1
+}
+
+// Integrates towards `targetTime` in equal sub-steps no longer than the
+// stable step. Stops early after `maxSteps` and returns the steps taken;
+// `system.time` tells how far it got.
+export function advance(system, targetTime, maxSteps = Infinity) {
+  const span = targetTime - system.time
+  if (span === 0) return 0
+
+  system.step = stableStep(system)
+  const needed = Math.ceil(Math.abs(span) / system.step)
+  const steps = Math.min(needed, maxSteps)
+  const dt = span / needed
+
+  for (let n = 0; n < steps; n++) leapfrogStep(system, dt)
+  system.time = steps === needed ? targetTime : system.time + dt * steps
+  return steps
+}
+
+function resize(system, count) {
+  const arrays = createArrays(count)
+  const kept = Math.min(count, system.ids.length) * 3
+  arrays.position.set(system.position.subarray(0, kept))
+  arrays.velocity.set(system.velocity.subarray(0, kept))
+  Object.assign(system, arrays)
+}
+
+// Places a body relative to `parent`: `distance` km further out along the
+// line from the system's central body, moving at `tangentialSpeed`
+// (prograde) and `radialSpeed` (outward) km/s relative to the parent.
+export function addBody(system, { id, gm = 0, parent, distance, tangentialSpeed = 0, radialSpeed = 0 }) {
+  const parentIndex = bodyIndex(system, parent)
+  if (parentIndex < 0) throw new Error(`Unknown parent body "${parent}"`)
+  if (bodyIndex(system, id) >= 0) throw new Error(`Body "${id}" already exists`)
+
+  const p = parentIndex * 3
+  let rx = system.position[p] - system.position[0]
+  let rz = system.position[p + 2] - system.position[2]
+  if (parentIndex === 0 || Math.hypot(rx, rz) === 0) {
+    rx = 1
+    rz = 0
+  }
+  const length = Math.hypot(rx, rz)
+  rx /= length
+  rz /= length
+
+  const count = system.ids.length
+  resize(system, count + 1)
+  system.ids.push(id)
+  system.parents.push(parent)
+  const gms = new Float64Array(count + 1)
+  gms.set(system.gm)
+  gms[count] = gm * GM_TO_KM3_PER_DAY2
+  system.gm = gms
+
+  const vt = tangentialSpeed * SECONDS_PER_DAY
+  const vr = radialSpeed * SECONDS_PER_DAY
+  const n = count * 3
+  system.position[n] = system.position[p] + rx * distance
+  system.position[n + 1] = system.position[p + 1]
+  system.position[n + 2] = system.position[p + 2] + rz * distance
+  system.velocity[n] = system.velocity[p] + rz * vt + rx * vr
+  system.velocity[n + 1] = system.velocity[p + 1]
+  system.velocity[n + 2] = system.velocity[p + 2] - rx * vt + rz * vr
+
+  computeAccelerations(system)
+  system.step = stableStep(system)
+  return count
+}
+
+export function removeBody(system, id) {
+  const index = bodyIndex(system, id)
+  if (index < 0) return false
+
+  const keep = system.ids.map((_, i) => i).filter((i) => i !== index)
+  const position = new Float64Array(keep.length * 3)
+  const velocity = new Float64Array(keep.length * 3)
+  keep.forEach((from, to) => {
+    position.set(system.position.subarray(from * 3, from * 3 + 3), to * 3)
+    velocity.set(system.velocity.subarray(from * 3, from * 3 + 3), to * 3)
+  })
+
+  system.ids = keep.map((i) => system.ids[i])
+  system.parents = keep.map((i) => system.parents[i])
+  system.gm = Float64Array.from(keep, (i) => system.gm[i])
+  system.position = position
+  system.velocity = velocity
+  system.acceleration = new Float64Array(keep.length * 3)
+  computeAccelerations(system)
+  system.step = stableStep(system)
+  return true
+}
+
+export function totalEnergy(system) {
+  const { gm, position, velocity } = system
+  let kinetic = 0
+  let potential = 0
+
+  for (let i = 0; i < gm.length; i++) {
+    const v2 = velocity[i * 3] ** 2 + velocity[i * 3 + 1] ** 2 + velocity[i * 3 + 2] ** 2
+    kinetic += 0.5 * gm[i] * v2
+    for (let j = i + 1; j < gm.length; j++) {
+      const r = Math.hypot(
+        position[j * 3] - position[i * 3],
+        position[j * 3 + 1] - position[i * 3 + 1],
+        position[j * 3 + 2] - position[i * 3 + 2],
+      )
+      potential -= (gm[i] * gm[j]) / r
+    }
+  }
+
+  return kinetic + potential
+}
@@ -0,0 +1,94 @@
+// Rendering quality. Each level sets the canvas pixel ratio, the Sun's shadow
+// map size and a multiplier on sphere segments. In auto mode a frame monitor
+// measures the frame rate in half-second windows and steps the level down
+// when most windows of a run fall short of the display, or up when all of
+// them keep up. A level that once proved too slow is not tried again.
+
+export const QUALITY_LEVELS = [
+  { id: 'low', name: 'Low', dpr: 0.75, shadowMapSize: 512, detail: 0.5 },
+  { id: 'medium', name: 'Medium', dpr: 1.5, shadowMapSize: 1024, detail: 0.75 },
+  { id: 'high', name: 'High', dpr: 2, shadowMapSize: 2048, detail: 1 },
+]
+
+export const QUALITY_MODES = [{ id: 'auto', name: 'Auto' }, ...QUALITY_LEVELS]
+
+const WINDOW_MS = 500
+const WINDOWS_PER_RUN = 6
+// Longer pauses between frames (an idle scene rendering on demand, a hidden
+// tab) start a new window instead of counting as slow frames.
+const MAX_FRAME_GAP_MS = 250
+// Displays are assumed to refresh at least this often, so a device that is
+// slow from the first frame still steps down.
+const MIN_REFRESH_RATE = 60
+const SLOW_RATIO = 0.75
+const FAST_RATIO = 0.95
+const MIN_SEGMENTS = 12
+
+export function getQualityLevel(mode, autoLevel) {
+  return QUALITY_LEVELS.find((level) => level.id === mode) ?? QUALITY_LEVELS[autoLevel]
+}
+
+// Canvas `dpr` range: the device ratio, capped by the level. Only the low
+// level renders below one pixel per CSS pixel.
+export function canvasDpr(level) {
+  return [Math.min(1, level.dpr), level.dpr]
+}
+
+export function sphereSegments(base, level) {
+  return Math.max(MIN_SEGMENTS, Math.round(base * level.detail))
+}
+
+export function createFrameMonitor(level = QUALITY_LEVELS.length - 1) {
+  return {
+    level,
+    ceiling: QUALITY_LEVELS.length - 1,
+    fps: 0,
+    refreshRate: MIN_REFRESH_RATE,
+    lastFrame: null,
+    windowStart: null,
+    frames: 0,
+    rates: [],
+  }
+}
+
+// Call once per drawn frame with a timestamp in ms. With `adapt` set, the
+// monitor may change `monitor.level`; the return value says whether it did.
+export function recordFrame(monitor, now, adapt) {
+  const gap = monitor.lastFrame === null || now - monitor.lastFrame > MAX_FRAME_GAP_MS
+  monitor.lastFrame = now
+  if (gap) {
+    monitor.windowStart = now
+    monitor.frames = 0
+    return false
+  }
+
+  monitor.frames++
+  const elapsed = now - monitor.windowStart
+  if (elapsed < WINDOW_MS) return false
+  monitor.fps = (monitor.frames * 1000) / elapsed
+  monitor.refreshRate = Math.max(monitor.refreshRate, monitor.fps)
+  monitor.windowStart = now
+  monitor.frames = 0
+  monitor.rates.push(monitor.fps)
+  if (monitor.rates.length < WINDOWS_PER_RUN) return false
+
+  const slow = monitor.rates.filter((fps) => fps < monitor.refreshRate * SLOW_RATIO).length
+  const fast = monitor.rates.filter((fps) => fps >= monitor.refreshRate * FAST_RATIO).length
+  monitor.rates.length = 0
+  if (!adapt) return false
+
+  const { level } = monitor
+  if (slow > WINDOWS_PER_RUN / 2 && level > 0) {
+    monitor.level = level - 1
+    monitor.ceiling = level - 1
+  } else if (fast === WINDOWS_PER_RUN && level < monitor.ceiling) {
+    monitor.level = level + 1
+  }
+  return monitor.level !== level
+}
+
+// The last measured frame rate, or null while frames aren't being measured.
+export function frameRate(monitor, now) {
+  if (monitor.lastFrame === null || now - monitor.lastFrame > MAX_FRAME_GAP_MS || !monitor.fps) return null
+  return monitor.fps
+}
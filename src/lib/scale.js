@@ -0,0 +1,127 @@
+import { apoapsisDistance } from './kepler.js'
+import { AU_KM, DEFAULT_CATALOG, getBody, getChildren } from './bodies.js'
+import { eclipticToParentFrame, parentFrameToEcliptic } from './ephemeris.js'
+
+// Mapping from physical km to scene units. `stylized` uses each catalog
+// entry's hand-tuned `display` distance and radius, `log` compresses the
+// planets' distances from the Sun logarithmically and keeps the stylized moon
+// systems, and `true` uses one scale for everything. Body sizes can be
+// exaggerated independently of the mode; the Sun is never exaggerated.
+
+export const SCALE_MODES = [
+  { id: 'stylized', name: 'Stylized', maxExaggeration: 5 },
+  { id: 'log', name: 'Log', maxExaggeration: 5 },
+  { id: 'true', name: 'True', maxExaggeration: 2000 },
+]
+
+export const DEFAULT_SCALE = { mode: 'stylized', exaggeration: 1 }
+export const KM_PER_UNIT = 1e6
+
+const LOG_UNIT = 42.7
+const LOG_REFERENCE_KM = 0.1 * AU_KM
+const scratchOffset = { x: 0, y: 0, z: 0 }
+
+export function getScaleMode(id) {
+  return SCALE_MODES.find((mode) => mode.id === id) || SCALE_MODES[0]
+}
+
+function logDistance(km) {
+  return LOG_UNIT * Math.log10(1 + km / LOG_REFERENCE_KM)
+}
+
+// Scene distance of `body` from its parent's center when `km` away.
+export function orbitDistance(body, km, scale) {
+  if (scale.mode === 'true') return km / KM_PER_UNIT
+  if (scale.mode === 'log' && body.parent === 'sun') return logDistance(km)
+  return km * (body.display.distance / body.orbit.a)
+}
+
+// Scales a parent-relative km vector to scene units in place, keeping its
+// direction.
+export function scaleOffset(body, vector, scale) {
+  const km = Math.hypot(vector.x, vector.y, vector.z)
+  const factor = km > 0 ? orbitDistance(body, km, scale) / km : 0
+  vector.x *= factor
+  vector.y *= factor
+  vector.z *= factor
+  return vector
+}
+
+// Scene position of `body` relative to its parent, from heliocentric states
+// (see `getBodyStates`) indexed by id. Moons flagged `equatorial` come out in
+// their parent's equatorial frame, as the scene nests them.
+export function sceneOffset(states, body, scale, out = { x: 0, y: 0, z: 0 }) {
+  const position = states[body.id].position
+  const parent = states[body.parent].position
+  out.x = position.x - parent.x
+  out.y = position.y - parent.y
+  out.z = position.z - parent.z
+  return scaleOffset(body, eclipticToParentFrame(body, out, states[body.parent].pole), scale)
+}
+
+// Heliocentric scene position of `body` in ecliptic scene axes: the scaled
+// offsets along its chain of parents in `catalog`, added up.
+export function scenePosition(states, body, scale, out = { x: 0, y: 0, z: 0 }, catalog = DEFAULT_CATALOG) {
+  out.x = 0
+  out.y = 0
+  out.z = 0
+  for (let current = body; current?.parent; current = getBody(current.parent, catalog)) {
+    parentFrameToEcliptic(current, sceneOffset(states, current, scale, scratchOffset), states[current.parent].pole)
+    out.x += scratchOffset.x
+    out.y += scratchOffset.y
+    out.z += scratchOffset.z
+  }
+  return out
+}
+
+export function bodyRadius(body, scale) {
+  const radius = scale.mode === 'true' ? body.radius / KM_PER_UNIT : body.display.radius
+  return body.kind === 'star' ? radius : radius * scale.exaggeration
+}
+
+// Scene radius over stylized radius, for models and markers that are sized
+// in stylized units.
+export function radiusScale(body, scale) {
+  return bodyRadius(body, scale) / body.display.radius
+}
+
+// Scene units per km for an arbitrary object orbiting `parentId`. In the
+// stylized layout this interpolates between the distances of the parent's
+// own moons or planets so free bodies sit sensibly among them.
+export function stylizedScale(parentId, distance, catalog = DEFAULT_CATALOG) {
+  const parent = getBody(parentId, catalog)
+  const anchors = getChildren(parentId, catalog)
+    .filter((child) => child.orbit)
+    .map((child) => [child.orbit.a, child.display.distance])
+    .sort((a, b) => a[0] - b[0])
+
+  if (anchors.length === 0) return (parent.display.radius / parent.radius) * 0.1
+  if (distance <= anchors[0][0]) return anchors[0][1] / anchors[0][0]
+
+  for (let n = 1; n < anchors.length; n++) {
+    const [a0, d0] = anchors[n - 1]
+    const [a1, d1] = anchors[n]
+    if (distance <= a1) return (d0 + ((distance - a0) / (a1 - a0)) * (d1 - d0)) / distance
+  }
+
+  const [aLast, dLast] = anchors[anchors.length - 1]
+  return dLast / aLast
+}
+
+export function freeBodyScale(parentId, distance, scale, catalog = DEFAULT_CATALOG) {
+  if (scale.mode === 'true') return 1 / KM_PER_UNIT
+  if (scale.mode === 'log' && parentId === 'sun') return distance > 0 ? logDistance(distance) / distance : 0
+  return stylizedScale(parentId, distance, catalog)
+}
+
+// How much larger `bodyId`'s orbit is drawn than in the stylized layout.
+export function distanceRatio(bodyId, scale, catalog = DEFAULT_CATALOG) {
+  const body = getBody(bodyId, catalog)
+  return orbitDistance(body, body.orbit.a, scale) / body.display.distance
+}
+
+// Neptune's aphelion, which bounds the camera's range.
+export function sceneExtent(scale, catalog = DEFAULT_CATALOG) {
+  const neptune = getBody('neptune', catalog)
+  return orbitDistance(neptune, apoapsisDistance(neptune.orbit), scale)
+}
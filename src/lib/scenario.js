@@ -0,0 +1,438 @@
+import { BODIES } from './bodies.js'
+import { TWO_PI } from './kepler.js'
+import { REFERENCE_FRAMES } from './frames.js'
+import { SCALE_MODES } from './scale.js'
+import { loadSatellites } from './tle.js'
+import { TOUR_EASINGS } from './tour.js'
+import { formatIsoDateTime, parseDateTime } from './time.js'
+
+// Scenario files: JSON that sets the clock, view and camera, restyles catalog
+// bodies, adds new ones, loads satellites and can script a guided tour. The
+// format is documented under "Scenario files" in the README. Sections left
+// out keep the app's current settings, except the catalog, which always
+// starts from the built-in bodies.
+
+export const SCENARIO_FORMAT = 'solar-system-scenario'
+export const SCENARIO_VERSION = 1
+export const PATH_MODE_IDS = ['orbits', 'trails', 'both']
+
+const SECONDS_PER_DAY = 86400
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i
+const BODY_KINDS = ['planet', 'moon', 'minor']
+
+const SCENARIO_KEYS = ['format', 'version', 'name', 'description', 'time', 'view', 'camera', 'bodies', 'overrides', 'satellites', 'tour']
+const TIME_KEYS = ['start', 'speed', 'paused']
+const VIEW_KEYS = ['frame', 'paths', 'scale']
+const CAMERA_KEYS = ['focus', 'position']
+const STYLE_KEYS = ['name', 'color', 'orbitColor', 'display', 'texture', 'roughness', 'metalness', 'rings', 'atmosphere']
+const BODY_KEYS = ['id', 'kind', 'parent', 'radius', 'gm', 'rotationPeriod', 'tilt', 'orbit', ...STYLE_KEYS]
+const ORBIT_KEYS = ['a', 'e', 'i', 'node', 'peri', 'M0', 'epoch', 'period', 'equatorial']
+const DISPLAY_KEYS = ['radius', 'distance', 'orbitOpacity', 'segments', 'showApsides']
+const STEP_KEYS = ['caption', 'time', 'speed', 'paused', 'focus', 'target', 'position', 'duration', 'easing', 'hold']
+const MAX_TOUR_SECONDS = 600
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function at(path, key) {
+  return path ? `${path}.${key}` : key
+}
+
+// A small reader over one JSON object: each getter returns the value when it
+// is valid and records a message naming the offending path when it is not.
+function reader(source, path, errors) {
+  const fail = (key, message) => {
+    errors.push(`${at(path, key)}: ${message}`)
+    return undefined
+  }
+  const present = (key, required) => {
+    if (source[key] !== undefined) return true
+    if (required) fail(key, 'is required')
+    return false
+  }
+
+  return {
+    fail,
+    keys(allowed) {
+      for (const key of Object.keys(source)) {
+        if (!allowed.includes(key)) fail(key, 'is not a known property')
+      }
+    },
+    number(key, { min = -Infinity, max = Infinity, above, required = false } = {}) {
+      if (!present(key, required)) return undefined
+      const value = source[key]
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail(key, 'must be a number')
+      if (above !== undefined && !(value > above)) return fail(key, `must be greater than ${above}`)
+      if (value < min || value > max) return fail(key, `must be between ${min} and ${max}`)
+      return value
+    },
+    string(key, { required = false, pattern, patternMessage } = {}) {
+      if (!present(key, required)) return undefined
+      const value = source[key]
+      if (typeof value !== 'string' || !value.trim()) return fail(key, 'must be a non-empty string')
+      if (pattern && !pattern.test(value)) return fail(key, patternMessage)
+      return value.trim()
+    },
+    boolean(key) {
+      if (!present(key, false)) return undefined
+      return typeof source[key] === 'boolean' ? source[key] : fail(key, 'must be true or false')
+    },
+    oneOf(key, options, { required = false } = {}) {
+      if (!present(key, required)) return undefined
+      return options.includes(source[key]) ? source[key] : fail(key, `must be one of ${options.map((option) => `"${option}"`).join(', ')}`)
+    },
+    color(key, options) {
+      return this.string(key, { ...options, pattern: COLOR_PATTERN, patternMessage: 'must be a hex color like "#a1b2c3"' })
+    },
+    date(key) {
+      const text = this.string(key)
+      if (text === undefined) return undefined
+      const time = parseDateTime(text.replace(/Z$/i, ''))
+      return time === null ? fail(key, 'must be a UTC date like "1969-07-16T13:32:00Z"') : time
+    },
+    vector(key, { nonZero = false } = {}) {
+      if (!present(key, false)) return undefined
+      const value = source[key]
+      const valid = Array.isArray(value) && value.length === 3 && value.every(Number.isFinite) && (!nonZero || value.some((item) => item !== 0))
+      return valid ? value : fail(key, `must be three numbers [x, y, z]${nonZero ? ', not all zero' : ''}`)
+    },
+    // A body id, or null for the overview.
+    focus(key, known) {
+      if (source[key] === null) return null
+      const id = this.string(key)
+      return id && !known[id] ? fail(key, `unknown body "${id}"`) : id
+    },
+    object(key, { required = false } = {}) {
+      if (!present(key, required)) return undefined
+      return isObject(source[key]) ? source[key] : fail(key, 'must be an object')
+    },
+  }
+}
+
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined))
+}
+
+function readDisplay(source, path, errors, { required }) {
+  const read = reader(source, path, errors)
+  read.keys(DISPLAY_KEYS)
+  return compact({
+    radius: read.number('radius', { above: 0, required }),
+    distance: read.number('distance', { above: 0, required }),
+    orbitOpacity: read.number('orbitOpacity', { min: 0, max: 1 }),
+    segments: read.number('segments', { min: 8, max: 256 }),
+    showApsides: read.boolean('showApsides'),
+  })
+}
+
+// Presentation fields shared by added bodies and overrides of catalog bodies.
+function readStyle(source, path, errors, { displayRequired = false } = {}) {
+  const read = reader(source, path, errors)
+  const style = compact({
+    name: read.string('name', { required: displayRequired }),
+    color: read.color('color', { required: displayRequired }),
+    orbitColor: read.color('orbitColor'),
+    roughness: read.number('roughness', { min: 0, max: 1 }),
+    metalness: read.number('metalness', { min: 0, max: 1 }),
+  })
+
+  const display = read.object('display', { required: displayRequired })
+  if (display) style.display = readDisplay(display, at(path, 'display'), errors, { required: displayRequired })
+
+  const texture = read.object('texture')
+  if (texture) {
+    const textureRead = reader(texture, at(path, 'texture'), errors)
+    textureRead.keys(['url'])
+    style.texture = compact({ url: textureRead.string('url', { required: true }) })
+  }
+
+  const rings = read.object('rings')
+  if (rings) {
+    const ringsRead = reader(rings, at(path, 'rings'), errors)
+    ringsRead.keys(['inner', 'outer', 'color', 'opacity'])
+    const inner = ringsRead.number('inner', { above: 0, required: true })
+    const outer = ringsRead.number('outer', { above: inner ?? 0, required: true })
+    style.rings = compact({ inner, outer, color: ringsRead.color('color', { required: true }), opacity: ringsRead.number('opacity', { min: 0, max: 1 }) ?? 0.5 })
+  }
+
+  const atmosphere = read.object('atmosphere')
+  if (atmosphere) {
+    const atmosphereRead = reader(atmosphere, at(path, 'atmosphere'), errors)
+    atmosphereRead.keys(['color', 'thickness'])
+    style.atmosphere = compact({
+      color: atmosphereRead.color('color', { required: true }),
+      thickness: atmosphereRead.number('thickness', { above: 0, max: 1 }) ?? 0.04,
+    })
+  }
+  return style
+}
+
+// Added bodies orbit a catalog body or one added earlier in the list. The
+// period defaults to the Keplerian one around the parent's `gm`.
+function readBody(source, path, errors, known) {
+  if (!isObject(source)) {
+    errors.push(`${path}: must be an object`)
+    return null
+  }
+  const count = errors.length
+  const read = reader(source, path, errors)
+  read.keys(BODY_KEYS)
+
+  let id = read.string('id', { required: true, pattern: ID_PATTERN, patternMessage: 'must be lowercase letters, digits and dashes' })
+  if (id && known[id]) id = read.fail('id', `"${id}" is already in the catalog`)
+  let parent = read.string('parent', { required: true })
+  if (parent && !known[parent]) parent = read.fail('parent', `unknown body "${parent}"`)
+
+  const body = compact({
+    id,
+    kind: read.oneOf('kind', BODY_KINDS) ?? (parent === 'sun' ? 'planet' : 'moon'),
+    parent,
+    radius: read.number('radius', { above: 0, required: true }),
+    gm: read.number('gm', { min: 0 }),
+    rotationPeriod: read.number('rotationPeriod'),
+    tilt: read.number('tilt', { min: -180, max: 180 }),
+    ...readStyle(source, path, errors, { displayRequired: true }),
+  })
+
+  const orbit = read.object('orbit', { required: true })
+  if (orbit) {
+    const orbitPath = at(path, 'orbit')
+    const orbitRead = reader(orbit, orbitPath, errors)
+    orbitRead.keys(ORBIT_KEYS)
+    const a = orbitRead.number('a', { above: 0, required: true })
+    const parentGm = parent && known[parent].gm
+    let period = orbitRead.number('period', { above: 0 })
+    if (period === undefined && a !== undefined) {
+      if (parentGm) period = (TWO_PI * Math.sqrt(a ** 3 / parentGm)) / SECONDS_PER_DAY
+      else orbitRead.fail('period', `is required because ${known[parent]?.name || 'the parent'} has no gm`)
+    }
+    body.orbit = compact({
+      a,
+      e: orbitRead.number('e', { min: 0, max: 0.999 }) ?? 0,
+      i: orbitRead.number('i', { min: -180, max: 180 }) ?? 0,
+      node: orbitRead.number('node') ?? 0,
+      peri: orbitRead.number('peri') ?? 0,
+      M0: orbitRead.number('M0') ?? 0,
+      epoch: orbitRead.date('epoch'),
+      period,
+      equatorial: orbitRead.boolean('equatorial'),
+    })
+  }
+
+  return errors.length === count ? body : null
+}
+
+function readOverrides(source, errors) {
+  const catalog = Object.fromEntries(BODIES.map((body) => [body.id, body]))
+  const overrides = {}
+  for (const [id, style] of Object.entries(source)) {
+    const path = `overrides.${id}`
+    if (!catalog[id]) errors.push(`${path}: unknown catalog body; add new bodies under "bodies"`)
+    else if (!isObject(style)) errors.push(`${path}: must be an object`)
+    else {
+      reader(style, path, errors).keys(STYLE_KEYS)
+      overrides[id] = readStyle(style, path, errors)
+    }
+  }
+  return overrides
+}
+
+// Tour steps leave out whatever they don't change: a step without a time or
+// focus keeps the previous one. `target` is a fixed point for the overview.
+function readTour(source, errors, known) {
+  const read = reader(source, 'tour', errors)
+  read.keys(['steps'])
+  if (!Array.isArray(source.steps) || !source.steps.length) {
+    read.fail('steps', 'must be a non-empty array')
+    return undefined
+  }
+
+  const steps = source.steps.map((entry, index) => {
+    const path = `tour.steps[${index}]`
+    if (!isObject(entry)) return read.fail(`steps[${index}]`, 'must be an object')
+    const stepRead = reader(entry, path, errors)
+    stepRead.keys(STEP_KEYS)
+    const step = compact({
+      caption: stepRead.string('caption'),
+      time: stepRead.date('time'),
+      speed: stepRead.number('speed'),
+      paused: stepRead.boolean('paused'),
+      focus: stepRead.focus('focus', known),
+      target: stepRead.vector('target'),
+      position: stepRead.vector('position', { nonZero: true }),
+      duration: stepRead.number('duration', { min: 0, max: MAX_TOUR_SECONDS }),
+      easing: stepRead.oneOf('easing', Object.keys(TOUR_EASINGS)),
+      hold: stepRead.number('hold', { min: 0, max: MAX_TOUR_SECONDS }),
+    })
+    if (step.speed === 0) stepRead.fail('speed', 'must not be 0; use "paused" to stop the clock')
+    if (step.target && entry.focus !== null) stepRead.fail('target', 'only applies with "focus": null')
+    return step
+  })
+  return { steps }
+}
+
+function readSatellites(source, errors) {
+  const text = Array.isArray(source) ? source.join('\n') : source
+  if (typeof text !== 'string') {
+    errors.push('satellites: must be TLE text or an array of TLE lines')
+    return undefined
+  }
+  const result = loadSatellites(text)
+  result.errors.forEach((error) => errors.push(`satellites: ${error}`))
+  return result.satellites
+}
+
+// Parses and validates scenario JSON (text or an already parsed object).
+// Returns `{ scenario, errors }`; `scenario` is null unless there are no
+// errors. Every problem found is reported, not just the first.
+export function parseScenario(input) {
+  let source = input
+  if (typeof input === 'string') {
+    try {
+      source = JSON.parse(input)
+    } catch (error) {
+      return { scenario: null, errors: [`Not valid JSON: ${error.message}`] }
+    }
+  }
+  if (!isObject(source)) return { scenario: null, errors: ['A scenario must be a JSON object'] }
+
+  const errors = []
+  const read = reader(source, '', errors)
+  if (source.format !== SCENARIO_FORMAT) {
+    return { scenario: null, errors: [`format: must be "${SCENARIO_FORMAT}"`] }
+  }
+  if (source.version !== SCENARIO_VERSION) {
+    const newer = typeof source.version === 'number' && source.version > SCENARIO_VERSION
+    return { scenario: null, errors: [`version: ${newer ? `${source.version} is newer than this app supports` : `must be ${SCENARIO_VERSION}`}`] }
+  }
+  read.keys(SCENARIO_KEYS)
+
+  const scenario = {
+    name: read.string('name') ?? 'Untitled scenario',
+    description: read.string('description'),
+    time: {},
+    view: {},
+    camera: {},
+    bodies: [],
+    overrides: {},
+  }
+
+  const time = read.object('time')
+  if (time) {
+    const timeRead = reader(time, 'time', errors)
+    timeRead.keys(TIME_KEYS)
+    scenario.time = compact({ start: timeRead.date('start'), speed: timeRead.number('speed'), paused: timeRead.boolean('paused') })
+    if (scenario.time.speed === 0) errors.push('time.speed: must not be 0; use "paused" to stop the clock')
+  }
+
+  const view = read.object('view')
+  if (view) {
+    const viewRead = reader(view, 'view', errors)
+    viewRead.keys(VIEW_KEYS)
+    scenario.view = compact({
+      frame: viewRead.oneOf('frame', REFERENCE_FRAMES.map((frame) => frame.id)),
+      paths: viewRead.oneOf('paths', PATH_MODE_IDS),
+    })
+    const scale = viewRead.object('scale')
+    if (scale) {
+      const scaleRead = reader(scale, 'view.scale', errors)
+      scaleRead.keys(['mode', 'exaggeration'])
+      const mode = scaleRead.oneOf('mode', SCALE_MODES.map((option) => option.id), { required: true })
+      const limit = SCALE_MODES.find((option) => option.id === mode)?.maxExaggeration ?? Infinity
+      const exaggeration = scaleRead.number('exaggeration', { min: 1, max: limit }) ?? 1
+      if (mode) scenario.view.scale = { mode, exaggeration }
+    }
+  }
+
+  const known = Object.fromEntries(BODIES.map((body) => [body.id, body]))
+  if (source.bodies !== undefined) {
+    if (!Array.isArray(source.bodies)) errors.push('bodies: must be an array')
+    else {
+      source.bodies.forEach((entry, index) => {
+        const body = readBody(entry, `bodies[${index}]`, errors, known)
+        if (body) {
+          known[body.id] = body
+          scenario.bodies.push(body)
+        }
+      })
+    }
+  }
+
+  const overrides = read.object('overrides')
+  if (overrides) scenario.overrides = readOverrides(overrides, errors)
+
+  const camera = read.object('camera')
+  if (camera) {
+    const cameraRead = reader(camera, 'camera', errors)
+    cameraRead.keys(CAMERA_KEYS)
+    scenario.camera = compact({ focus: cameraRead.focus('focus', known), position: cameraRead.vector('position', { nonZero: true }) })
+  }
+
+  if (source.satellites !== undefined) scenario.satellites = readSatellites(source.satellites, errors)
+
+  const tour = read.object('tour')
+  if (tour) scenario.tour = readTour(tour, errors, known)
+
+  return errors.length ? { scenario: null, errors } : { scenario: compact(scenario), errors }
+}
+
+function mergeStyle(body, style) {
+  const merged = { ...body }
+  for (const [key, value] of Object.entries(style)) {
+    merged[key] = isObject(value) && isObject(body[key]) ? { ...body[key], ...value } : value
+  }
+  return merged
+}
+
+// The bodies a scenario describes: the built-in bodies with its overrides
+// applied, followed by its own bodies. See createCatalog.
+export function buildCatalog({ bodies = [], overrides = {} } = {}) {
+  return [...BODIES.map((body) => (overrides[body.id] ? mergeStyle(body, overrides[body.id]) : body)), ...bodies]
+}
+
+function exportBody(body) {
+  return body.orbit.epoch === undefined ? body : { ...body, orbit: { ...body.orbit, epoch: formatIsoDateTime(body.orbit.epoch) } }
+}
+
+function roundPosition(position) {
+  return position.map((value) => Number(value.toPrecision(6)))
+}
+
+function exportTour(tour) {
+  return { steps: tour.steps.map((step) => (step.time === undefined ? step : { ...step, time: formatIsoDateTime(step.time) })) }
+}
+
+// Scenario JSON for the app's current state, ready for JSON.stringify. Added
+// bodies, overrides and the tour are carried over from the loaded scenario.
+export function createScenario({
+  name,
+  description,
+  time,
+  speed,
+  paused,
+  frame,
+  paths,
+  scale,
+  focus,
+  cameraPosition,
+  satellites,
+  bodies = [],
+  overrides = {},
+  tour,
+}) {
+  return compact({
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name,
+    description,
+    time: { start: formatIsoDateTime(time), speed, paused },
+    view: { frame, paths, scale: { mode: scale.mode, exaggeration: scale.exaggeration } },
+    camera: compact({ focus: focus ?? null, position: cameraPosition && roundPosition(cameraPosition) }),
+    bodies: bodies.map(exportBody),
+    overrides,
+    satellites: satellites.flatMap((satellite) => [satellite.name, satellite.line1, satellite.line2]),
+    tour: tour && exportTour(tour),
+  })
+}
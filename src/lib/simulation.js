@@ -0,0 +1,92 @@
+import { DEFAULT_CATALOG, getBody } from './bodies.js'
+import { heliocentricPosition, poleOrientation, rotationAngle } from './ephemeris.js'
+import { DEFAULT_FRAME, REFERENCE_FRAMES, frameRotation, toFrame } from './frames.js'
+
+// Framework-free snapshot of the solar system at a simulation time (days
+// since J2000), shared by the 3D scene, Node scripts, route handlers and
+// tests. Positions are km and velocities km/s, in scene axes (x toward the
+// J2000 equinox, y toward ecliptic north, z = -Y) of the requested reference
+// frame. `rotation` is the prime meridian angle in radians, measured in the
+// body's own inertial frame, and `pole` that frame's orientation in radians
+// (see poleOrientation).
+
+const SECONDS_PER_DAY = 86400
+const VELOCITY_DELTA = 1e-3
+
+function findFrame(id) {
+  const frame = REFERENCE_FRAMES.find((candidate) => candidate.id === id)
+  if (!frame) throw new Error(`Unknown reference frame "${id}"`)
+  return frame
+}
+
+function findBody(id, catalog) {
+  const body = getBody(id, catalog)
+  if (!body) throw new Error(`Unknown body "${id}"`)
+  return body
+}
+
+function framePositions(bodies, frame, time, catalog) {
+  const origin = frame.origin ? heliocentricPosition(getBody(frame.origin, catalog), time, { x: 0, y: 0, z: 0 }, catalog) : null
+  const rotation = frameRotation(frame, time, { tilt: 0, precession: 0, spin: 0 }, catalog)
+  return bodies.map((body) => toFrame(frame, heliocentricPosition(body, time, { x: 0, y: 0, z: 0 }, catalog), origin, rotation))
+}
+
+// `options.frame` is a reference frame id (heliocentric by default),
+// `options.bodies` an optional list of body ids and `options.catalog` the
+// catalog to read them from (see createCatalog); states come back in catalog
+// order without a list. `options.velocity: false` leaves velocities out,
+// which saves two of the three position evaluations.
+export function getBodyStates(time, { frame = DEFAULT_FRAME, bodies, catalog = DEFAULT_CATALOG, velocity = true } = {}) {
+  const reference = findFrame(frame)
+  const list = bodies ? bodies.map((id) => findBody(id, catalog)) : catalog.bodies
+  const positions = framePositions(list, reference, time, catalog)
+  const ahead = velocity ? framePositions(list, reference, time + VELOCITY_DELTA, catalog) : null
+  const behind = velocity ? framePositions(list, reference, time - VELOCITY_DELTA, catalog) : null
+  const seconds = 2 * VELOCITY_DELTA * SECONDS_PER_DAY
+
+  return list.map((body, index) => ({
+    id: body.id,
+    name: body.name,
+    parent: body.parent || null,
+    position: positions[index],
+    ...(velocity && {
+      velocity: {
+        x: (ahead[index].x - behind[index].x) / seconds,
+        y: (ahead[index].y - behind[index].y) / seconds,
+        z: (ahead[index].z - behind[index].z) / seconds,
+      },
+    }),
+    rotation: rotationAngle(body, time),
+    pole: poleOrientation(body, time, { tilt: 0, precession: 0 }, catalog),
+  }))
+}
+
+export function getBodyState(id, time, options = {}) {
+  return getBodyStates(time, { ...options, bodies: [id] })[0]
+}
+
+// The render loop's variant: refreshes `states` (indexed by id, as
+// statesById returns them) in place with heliocentric positions, rotations
+// and poles at `time`. No velocities, and no allocation once every body has
+// a state.
+export function updateBodyStates(states, time, catalog = DEFAULT_CATALOG) {
+  for (const body of catalog.bodies) {
+    states[body.id] ??= {
+      id: body.id,
+      name: body.name,
+      parent: body.parent || null,
+      position: { x: 0, y: 0, z: 0 },
+      rotation: 0,
+      pole: { tilt: 0, precession: 0 },
+    }
+    const state = states[body.id]
+    heliocentricPosition(body, time, state.position, catalog)
+    state.rotation = rotationAngle(body, time)
+    poleOrientation(body, time, state.pole, catalog)
+  }
+  return states
+}
+
+export function statesById(states) {
+  return Object.fromEntries(states.map((state) => [state.id, state]))
+}
@@ -0,0 +1,105 @@
+export const J2000_JD = 2451545.0
+export const UNIX_EPOCH_JD = 2440587.5
+export const MS_PER_DAY = 86400000
+export const DAYS_PER_CENTURY = 36525
+
+// Simulation time is measured in days from J2000.0 (2000-01-01 12:00).
+// The TT-UTC offset (~69 s) is ignored, which is well inside the accuracy of
+// the low-precision ephemerides this scene uses.
+export function dateToSimTime(date) {
+  return date.getTime() / MS_PER_DAY + UNIX_EPOCH_JD - J2000_JD
+}
+
+// `out`, when given, is set and returned instead of a new Date.
+export function simTimeToDate(time, out = null) {
+  const ms = (time + J2000_JD - UNIX_EPOCH_JD) * MS_PER_DAY
+  if (!out) return new Date(ms)
+  out.setTime(ms)
+  return out
+}
+
+export function nowSimTime() {
+  return dateToSimTime(new Date())
+}
+
+export function julianDate(time) {
+  return time + J2000_JD
+}
+
+export function julianCenturies(time) {
+  return time / DAYS_PER_CENTURY
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0')
+}
+
+export function formatDate(time) {
+  const date = simTimeToDate(time)
+  if (Number.isNaN(date.getTime())) return '—'
+  const year = date.getUTCFullYear()
+  const yearText = year < 0 ? `-${String(-year).padStart(4, '0')}` : String(year).padStart(4, '0')
+  return `${yearText}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`
+}
+
+export function formatTime(time) {
+  const date = simTimeToDate(time)
+  if (Number.isNaN(date.getTime())) return '—'
+  return `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`
+}
+
+export function formatDateTime(time) {
+  return `${formatDate(time)} ${formatTime(time)} UTC`
+}
+
+// "2026-10-19T12:00:00Z", the form scenarios and links store times in.
+export function formatIsoDateTime(time) {
+  return `${formatDate(time)}T${formatTime(time)}Z`
+}
+
+export const DAYS_PER_YEAR = 365.25
+const DURATION_UNITS = [
+  ['y', DAYS_PER_YEAR],
+  ['d', 1],
+  ['h', 1 / 24],
+  ['min', 1 / 1440],
+  ['s', 1 / 86400],
+]
+
+// Compact duration such as "3.5 h" or "12 d", used for speeds and steps.
+export function formatDuration(days) {
+  const abs = Math.abs(days)
+  const [unit, size] = DURATION_UNITS.find(([, size]) => abs >= size) || DURATION_UNITS[DURATION_UNITS.length - 1]
+  const value = abs / size
+  const text = value.toFixed(value < 10 ? 1 : 0).replace(/\.0$/, '')
+  return `${days < 0 ? '-' : ''}${text} ${unit}`
+}
+
+// Parses "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM[:SS]" as UTC; null if invalid.
+export function parseDateTime(text) {
+  const match = /^(-?\d{4,6})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(text.trim())
+  if (!match) return null
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match.map((part) => part && Number(part))
+  const date = new Date(0)
+  date.setUTCFullYear(year, month - 1, day)
+  date.setUTCHours(hours, minutes, seconds, 0)
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null
+  return dateToSimTime(date)
+}
+
+export function formatDateTimeInput(time) {
+  return `${formatDate(time)}T${formatTime(time).slice(0, 5)}`
+}
+
+// Days since J2000 from a Date, a date string (ISO, or the form
+// parseDateTime reads) or a number that already is simulation time; null if
+// the value can't be read.
+export function toSimTime(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : dateToSimTime(value)
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (typeof value !== 'string') return null
+  const time = parseDateTime(value.replace(/Z$/i, ''))
+  if (time !== null) return time
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : dateToSimTime(date)
+}
@@ -0,0 +1,132 @@
+import { twoline2satrec, sgp4 } from 'satellite.js'
+import { DEG } from './kepler.js'
+import { J2000_JD } from './time.js'
+
+export const EARTH_RADIUS_KM = 6371
+const MINUTES_PER_DAY = 1440
+const ALTITUDE_EXAGGERATION = 0.75
+
+const SATELLITE_COLORS = ['#ff4444', '#ffb74d', '#4dd0e1', '#ba68c8', '#81c784', '#f06292', '#fff176']
+
+// A drag-free ISS-like element set, so the default satellite keeps a stable
+// orbit however far the clock is from its epoch. Paste a current TLE for the
+// real station.
+export const DEFAULT_TLE = `ISS (ZARYA) SAMPLE
+1 25544U 98067A   25001.50000000  .00000000  00000-0  00000-0 0  9993
+2 25544  51.6416 247.4627 0006703 130.5360 325.0288 15.49537812499994`
+
+function lineChecksum(line) {
+  let sum = 0
+  for (const char of line.slice(0, 68)) {
+    if (char >= '0' && char <= '9') sum += Number(char)
+    else if (char === '-') sum += 1
+  }
+  return sum % 10
+}
+
+function isElementLine(line, number) {
+  return line.length >= 69 && line[0] === String(number) && line[1] === ' '
+}
+
+// Accepts two-line and three-line (name + two lines) sets, in any mix.
+// Malformed sets are skipped and reported rather than aborting the batch.
+export function parseTLE(text) {
+  const lines = text.split(/\r?\n/).map((line) => line.trimEnd()).filter((line) => line.trim() !== '')
+  const entries = []
+  const errors = []
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index]
+    if (!isElementLine(line, 1)) {
+      if (!isElementLine(lines[index + 1] || '', 1)) errors.push(`Line ${index + 1}: not a TLE line or name`)
+      continue
+    }
+
+    const line2 = lines[index + 1] || ''
+    const previous = lines[index - 1]
+    const name = previous && !isElementLine(previous, 1) && !isElementLine(previous, 2)
+      ? previous.replace(/^0 /, '').trim()
+      : `SAT ${line.slice(2, 7).trim()}`
+
+    if (!isElementLine(line2, 2)) {
+      errors.push(`${name}: missing line 2`)
+      continue
+    }
+    index++
+
+    if (lineChecksum(line) !== Number(line[68]) || lineChecksum(line2) !== Number(line2[68])) {
+      errors.push(`${name}: checksum mismatch`)
+      continue
+    }
+    if (line.slice(2, 7) !== line2.slice(2, 7)) {
+      errors.push(`${name}: catalog numbers of line 1 and 2 differ`)
+      continue
+    }
+
+    entries.push({ name, line1: line, line2 })
+  }
+
+  return { entries, errors }
+}
+
+export function createSatellite(entry, index = 0) {
+  const satrec = twoline2satrec(entry.line1, entry.line2)
+  if (satrec.error) return null
+
+  return {
+    id: `sat-${satrec.satnum}-${index}`,
+    name: entry.name,
+    line1: entry.line1,
+    line2: entry.line2,
+    satrec,
+    epoch: satrec.jdsatepoch + (satrec.jdsatepochF || 0) - J2000_JD,
+    inclination: satrec.inclo / DEG,
+    period: (2 * Math.PI) / satrec.no / MINUTES_PER_DAY,
+    color: SATELLITE_COLORS[index % SATELLITE_COLORS.length],
+  }
+}
+
+export function loadSatellites(text) {
+  const { entries, errors } = parseTLE(text)
+  const satellites = []
+
+  entries.forEach((entry) => {
+    const satellite = createSatellite(entry, satellites.length)
+    if (satellite) satellites.push(satellite)
+    else errors.push(`${entry.name}: elements rejected by SGP4`)
+  })
+
+  return { satellites, errors }
+}
+
+// SGP4 state in TEME (true equator, mean equinox) as km and km/s, or null
+// once the satellite has decayed or the propagation fails.
+export function propagateSatellite(satellite, time) {
+  const result = sgp4(satellite.satrec, (time - satellite.epoch) * MINUTES_PER_DAY)
+  if (!result || !result.position || Number.isNaN(result.position.x)) return null
+  return result
+}
+
+// Maps an equatorial km vector into the Earth's equatorial scene frame. By
+// default altitude is compressed so low orbits clear the surface and high
+// orbits stay inside the Moon's stylized distance; `compressAltitude: false`
+// scales the whole vector with the Earth instead.
+export function equatorialToScene(vector, earthRadius, out = { x: 0, y: 0, z: 0 }, { compressAltitude = true } = {}) {
+  const r = Math.hypot(vector.x, vector.y, vector.z)
+  const altitude = Math.max(r - EARTH_RADIUS_KM, 0) / EARTH_RADIUS_KM
+  const sceneRadius = compressAltitude
+    ? earthRadius * (1 + ALTITUDE_EXAGGERATION * Math.cbrt(altitude))
+    : (earthRadius * r) / EARTH_RADIUS_KM
+  const scale = r > 0 ? sceneRadius / r : 0
+
+  out.x = vector.x * scale
+  out.y = vector.z * scale
+  out.z = -vector.y * scale
+  return out
+}
+
+export function satelliteScenePosition(satellite, time, earthRadius, out, options) {
+  const state = propagateSatellite(satellite, time)
+  if (!state) return null
+  return equatorialToScene(state.position, earthRadius, out, options)
+}
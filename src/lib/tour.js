@@ -0,0 +1,52 @@
+// Guided tours: the `tour` section of a scenario is a list of steps, each
+// moving the camera to a new position over a transition and then holding it
+// while the caption is read. Camera positions are offsets from the camera
+// target in scene units, so a tour follows its bodies as they move.
+
+export const DEFAULT_TRANSITION = 3
+export const DEFAULT_HOLD = 6
+
+export const TOUR_EASINGS = {
+  linear: (t) => t,
+  'ease-in': (t) => t * t * t,
+  'ease-out': (t) => 1 - (1 - t) ** 3,
+  'ease-in-out': (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+}
+
+// Eased progress through a transition of `duration` seconds after `elapsed`
+// seconds. A zero duration is a cut.
+export function transitionProgress(step, elapsed) {
+  const duration = step.duration ?? DEFAULT_TRANSITION
+  if (!(duration > 0) || elapsed >= duration) return 1
+  return TOUR_EASINGS[step.easing ?? 'ease-in-out'](Math.max(elapsed, 0) / duration)
+}
+
+export function stepLength(step) {
+  return (step.duration ?? DEFAULT_TRANSITION) + (step.hold ?? DEFAULT_HOLD)
+}
+
+// Uniform Catmull-Rom between p1 and p2, with p0 and p3 shaping the tangents.
+// Missing neighbours repeat the nearest end, so the first and last segments
+// start and stop along the chord.
+export function catmullRom(p0, p1, p2, p3, t, out = [0, 0, 0]) {
+  const a = p0 ?? p1
+  const d = p3 ?? p2
+  const t2 = t * t
+  const t3 = t2 * t
+  for (let i = 0; i < 3; i++) {
+    out[i] = 0.5 * (
+      2 * p1[i] +
+      (p2[i] - a[i]) * t +
+      (2 * a[i] - 5 * p1[i] + 4 * p2[i] - d[i]) * t2 +
+      (3 * p1[i] - a[i] - 3 * p2[i] + d[i]) * t3
+    )
+  }
+  return out
+}
+
+// The camera path into step `index` starts wherever the camera is, so only
+// the neighbouring keyframes are needed: the one before the previous step
+// and the one after this step.
+export function pathNeighbours(steps, index) {
+  return { before: steps[index - 2]?.position ?? null, after: steps[index + 1]?.position ?? null }
+}
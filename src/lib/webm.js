@@ -0,0 +1,142 @@
+// Minimal WebM (Matroska) writer for one video track of encoded chunks from a
+// WebCodecs VideoEncoder. Timestamps come from the chunks, so the file plays
+// at the frame rate the frames were stamped with, however long each one took
+// to render. Everything is kept in memory and written out by `finish`.
+
+const EBML = 0x1a45dfa3
+const SEGMENT = 0x18538067
+const INFO = 0x1549a966
+const TRACKS = 0x1654ae6b
+const TRACK_ENTRY = 0xae
+const VIDEO = 0xe0
+const CLUSTER = 0x1f43b675
+const SIMPLE_BLOCK = 0xa3
+
+const TIMECODE_SCALE_NS = 1000000
+const MAX_CLUSTER_SPAN_MS = 30000
+const KEYFRAME_FLAG = 0x80
+
+export const WEBM_CODECS = [
+  { codec: 'vp09.00.10.08', id: 'V_VP9' },
+  { codec: 'vp8', id: 'V_VP8' },
+]
+
+function idBytes(id) {
+  const bytes = []
+  for (let value = id; value > 0; value = Math.floor(value / 256)) bytes.unshift(value % 256)
+  return Uint8Array.from(bytes)
+}
+
+// EBML variable-length size: the count of leading zero bits gives the length.
+function sizeBytes(size) {
+  let length = 1
+  while (size >= 2 ** (7 * length) - 1) length++
+  const bytes = new Uint8Array(length)
+  let value = size
+  for (let n = length - 1; n >= 0; n--) {
+    bytes[n] = value % 256
+    value = Math.floor(value / 256)
+  }
+  bytes[0] |= 1 << (8 - length)
+  return bytes
+}
+
+function uintBytes(value) {
+  const bytes = []
+  for (let rest = value; rest > 0 || bytes.length === 0; rest = Math.floor(rest / 256)) bytes.unshift(rest % 256)
+  return Uint8Array.from(bytes)
+}
+
+function floatBytes(value) {
+  const bytes = new Uint8Array(8)
+  new DataView(bytes.buffer).setFloat64(0, value)
+  return bytes
+}
+
+function stringBytes(value) {
+  return new TextEncoder().encode(value)
+}
+
+function byteLength(parts) {
+  return parts.reduce((sum, part) => sum + part.byteLength, 0)
+}
+
+// An element is a flat list of byte arrays, so large payloads are never copied
+// into one buffer before they reach the Blob.
+function element(id, children) {
+  const parts = children.flat()
+  return [idBytes(id), sizeBytes(byteLength(parts)), ...parts]
+}
+
+function uintElement(id, value) {
+  return element(id, [uintBytes(value)])
+}
+
+function simpleBlock(chunk, relativeTime) {
+  const header = new Uint8Array(4)
+  header[0] = 0x81
+  new DataView(header.buffer).setInt16(1, relativeTime)
+  header[3] = chunk.key ? KEYFRAME_FLAG : 0
+  return element(SIMPLE_BLOCK, [header, chunk.data])
+}
+
+export function createWebMWriter({ width, height, codecId, frameRate }) {
+  const chunks = []
+
+  return {
+    // `chunk` is an EncodedVideoChunk.
+    addChunk(chunk) {
+      const data = new Uint8Array(chunk.byteLength)
+      chunk.copyTo(data)
+      chunks.push({ time: chunk.timestamp / 1000, key: chunk.type === 'key', data })
+    },
+
+    finish() {
+      const frameMs = 1000 / frameRate
+      const duration = chunks.length ? chunks[chunks.length - 1].time + frameMs : 0
+      const clusters = []
+      let cluster = null
+
+      for (const chunk of chunks) {
+        const time = Math.round(chunk.time)
+        if (!cluster || chunk.key || time - cluster.time > MAX_CLUSTER_SPAN_MS) {
+          cluster = { time, blocks: [] }
+          clusters.push(cluster)
+        }
+        cluster.blocks.push(simpleBlock(chunk, time - cluster.time))
+      }
+
+      const segment = element(SEGMENT, [
+        element(INFO, [
+          uintElement(0x2ad7b1, TIMECODE_SCALE_NS),
+          element(0x4489, [floatBytes(duration)]),
+          element(0x4d80, [stringBytes('solar-system-simulation')]),
+          element(0x5741, [stringBytes('solar-system-simulation')]),
+        ]),
+        element(TRACKS, [
+          element(TRACK_ENTRY, [
+            uintElement(0xd7, 1),
+            uintElement(0x73c5, 1),
+            uintElement(0x83, 1),
+            element(0x86, [stringBytes(codecId)]),
+            uintElement(0x23e383, Math.round(frameMs * 1e6)),
+            element(VIDEO, [uintElement(0xb0, width), uintElement(0xba, height)]),
+          ]),
+        ]),
+        ...clusters.map((entry) => element(CLUSTER, [uintElement(0xe7, entry.time), ...entry.blocks])),
+      ])
+
+      const header = element(EBML, [
+        uintElement(0x4286, 1),
+        uintElement(0x42f7, 1),
+        uintElement(0x42f2, 4),
+        uintElement(0x42f3, 8),
+        element(0x4282, [stringBytes('webm')]),
+        uintElement(0x4287, 2),
+        uintElement(0x4285, 2),
+      ])
+
+      return new Blob([...header, ...segment], { type: 'video/webm' })
+    },
+  }
+}
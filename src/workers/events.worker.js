@@ -0,0 +1,14 @@
+import { BODIES, createCatalog } from '../lib/bodies.js'
+import { findEvents } from '../lib/events.js'
+import { createSatellite } from '../lib/tle.js'
+
+self.onmessage = ({ data }) => {
+  try {
+    const catalog = createCatalog(data.bodies ?? BODIES, { precession: Boolean(data.precession) })
+    const satellites = data.satellites.map((entry) => createSatellite(entry, entry.index)).filter(Boolean)
+    const events = findEvents(data.start, data.end, { ...data.options, satellites, catalog })
+    self.postMessage({ type: 'events', id: data.id, events })
+  } catch (error) {
+    self.postMessage({ type: 'error', id: data.id, message: error.message })
+  }
+}
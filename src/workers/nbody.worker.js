@@ -0,0 +1,53 @@
+import { createSystem, advance, addBody, removeBody } from '../lib/nbody.js'
+
+const MAX_STEPS_PER_REQUEST = 20000
+
+let system = null
+
+function postState(lagging = false) {
+  self.postMessage({
+    type: 'state',
+    time: system.time,
+    step: system.step,
+    ids: system.ids,
+    parents: system.parents,
+    positions: system.position.slice(),
+    lagging,
+  })
+}
+
+function handle(message) {
+  switch (message.type) {
+    case 'init':
+      system = createSystem(message.bodies, message.time)
+      message.extras?.forEach((body) => addBody(system, body))
+      postState()
+      break
+    case 'advance': {
+      if (!system) return
+      advance(system, message.time, MAX_STEPS_PER_REQUEST)
+      postState(system.time !== message.time)
+      break
+    }
+    case 'add':
+      if (!system) return
+      addBody(system, message.body)
+      postState()
+      break
+    case 'remove':
+      if (!system) return
+      removeBody(system, message.id)
+      postState()
+      break
+    default:
+      break
+  }
+}
+
+self.onmessage = ({ data }) => {
+  try {
+    handle(data)
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+}
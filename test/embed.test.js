@@ -0,0 +1,70 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { BODIES, withVisibleBodies } from '../src/lib/bodies.js'
+import { parseEmbedQuery } from '../src/lib/embed.js'
+import { dateToSimTime, parseDateTime, toSimTime } from '../src/lib/time.js'
+
+function parse(query) {
+  return parseEmbedQuery(new URLSearchParams(query))
+}
+
+test('reads a full embed query', () => {
+  const { props, errors } = parse('time=2026-10-19T12:00Z&speed=-0.5&paused=1&focus=moon&frame=geocentric&paths=trails&scale=true&size=50&bodies=earth,moon&panels=controls,details&accent=ff8800&background=%23000000&keyboard=0')
+  assert.deepEqual(errors, [])
+  assert.deepEqual(props, {
+    panels: ['controls', 'details'],
+    theme: { accent: '#ff8800', background: '#000000' },
+    initialTime: parseDateTime('2026-10-19T12:00'),
+    initialSpeed: -0.5,
+    initialPaused: true,
+    keyboard: false,
+    initialFocus: 'moon',
+    initialFrame: 'geocentric',
+    initialPaths: 'trails',
+    initialScale: { mode: 'true', exaggeration: 50 },
+    visibleBodies: ['earth', 'moon'],
+  })
+})
+
+test('an empty query is a chrome-less default view', () => {
+  assert.deepEqual(parse(''), { props: { panels: [], theme: {} }, errors: [] })
+})
+
+test('skips and reports values it cannot read', () => {
+  const { props, errors } = parse('time=soon&speed=0&focus=vulcan&scale=log&size=9&bodies=mars,krypton&panels=controls,radar&accent=orange')
+  assert.deepEqual(errors, [
+    'time: must be a date like 2026-10-19T12:00Z',
+    'speed: must be a non-zero number of days per second',
+    'focus: unknown body',
+    'size: must be between 1 and 5',
+    'bodies: unknown krypton',
+    'panels: unknown radar',
+    'accent: must be a hex color like ff8800',
+  ])
+  assert.equal(props.initialTime, undefined)
+  assert.deepEqual(props.initialScale, { mode: 'log', exaggeration: 1 })
+  assert.deepEqual(props.visibleBodies, ['mars'])
+  assert.deepEqual(props.panels, ['controls'])
+})
+
+test('hides every body not listed except the Sun', () => {
+  const bodies = withVisibleBodies(BODIES, ['earth', 'moon'])
+  const hidden = Object.fromEntries(bodies.map((body) => [body.id, Boolean(body.hidden)]))
+  assert.equal(hidden.sun, false)
+  assert.equal(hidden.earth, false)
+  assert.equal(hidden.moon, false)
+  assert.equal(hidden.mars, true)
+  assert.equal(bodies.length, BODIES.length)
+  assert.ok(withVisibleBodies(bodies, null).every((body) => !body.hidden))
+})
+
+test('reads times from dates, strings and numbers', () => {
+  const date = new Date(Date.UTC(2026, 9, 19, 12))
+  assert.equal(toSimTime(date), dateToSimTime(date))
+  assert.equal(toSimTime('2026-10-19T12:00:00Z'), dateToSimTime(date))
+  assert.equal(toSimTime('2026-10-19T14:00:00+02:00'), dateToSimTime(date))
+  assert.equal(toSimTime(9788), 9788)
+  assert.equal(toSimTime('never'), null)
+  assert.equal(toSimTime(new Date('x')), null)
+  assert.equal(toSimTime(NaN), null)
+})
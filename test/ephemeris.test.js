@@ -0,0 +1,82 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { AU_KM, BODIES, createCatalog, getBody } from '../src/lib/bodies.js'
+import { fromEquatorFrame, heliocentricPosition, poleOrientation, rotationAngle, toEquatorFrame } from '../src/lib/ephemeris.js'
+import { eclipticLongitude, sunGeocentric } from '../src/lib/events.js'
+import { TWO_PI } from '../src/lib/kepler.js'
+import { dateToSimTime } from '../src/lib/time.js'
+
+const length = (v) => Math.hypot(v.x, v.y, v.z)
+
+function angleDifference(a, b) {
+  return Math.abs(((a - b + 540) % 360) - 180)
+}
+
+function longitudeAt(id, time) {
+  return eclipticLongitude(heliocentricPosition(getBody(id), time))
+}
+
+test('Sun reaches 0° longitude at the March 2026 equinox', () => {
+  // 2026-03-20 14:46 UTC; the J2000 ecliptic lags the equinox of date by
+  // about 0.37° of precession.
+  const time = dateToSimTime(new Date('2026-03-20T14:46:00Z'))
+  assert.ok(angleDifference(eclipticLongitude(sunGeocentric(time)), 360 - 0.366) < 0.02)
+})
+
+test('Earth passes perihelion on 2026-01-03', () => {
+  const start = dateToSimTime(new Date('2025-12-25T00:00:00Z'))
+  let closest = { distance: Infinity, time: start }
+  for (let time = start; time < start + 20; time += 0.01) {
+    const distance = length(heliocentricPosition(getBody('earth'), time))
+    if (distance < closest.distance) closest = { distance, time }
+  }
+  // Published: 2026-01-03 17:15 UTC at 0.983302 AU.
+  const published = dateToSimTime(new Date('2026-01-03T17:15:00Z'))
+  assert.ok(Math.abs(closest.time - published) < 1.5)
+  assert.ok(Math.abs(closest.distance / AU_KM - 0.983302) < 1e-4)
+})
+
+test('planets return to the same longitude after one sidereal period', () => {
+  const periods = { mercury: 87.969, venus: 224.701, earth: 365.256, mars: 686.98, jupiter: 4332.59 }
+  for (const [id, period] of Object.entries(periods)) {
+    assert.ok(angleDifference(longitudeAt(id, 0), longitudeAt(id, period)) < 0.1, id)
+  }
+})
+
+test('Earth turns once per sidereal day', () => {
+  const earth = getBody('earth')
+  const siderealDay = 0.99726968
+  const turn = (rotationAngle(earth, 100 + siderealDay) - rotationAngle(earth, 100)) / TWO_PI
+  assert.ok(Math.abs(turn - Math.round(turn)) < 1e-5)
+})
+
+test('Moon stays between perigee and apogee distance', () => {
+  for (let time = 0; time < 60; time += 0.5) {
+    const distance = length(heliocentricPosition(getBody('moon'), time)) - length(heliocentricPosition(getBody('earth'), time))
+    assert.ok(Math.abs(distance) < 410000)
+  }
+})
+
+test('Earth\'s pole leans toward the June solstice and stays put without precession', () => {
+  const earth = getBody('earth')
+  const pole = (time) => fromEquatorFrame(poleOrientation(earth, time), { x: 0, y: 1, z: 0 })
+  const tilt = 23.44 * (Math.PI / 180)
+  const j2000 = pole(0)
+  assert.ok(Math.abs(j2000.x) < 1e-12)
+  assert.ok(Math.abs(j2000.y - Math.cos(tilt)) < 1e-12)
+  assert.ok(Math.abs(j2000.z + Math.sin(tilt)) < 1e-12)
+  assert.deepEqual(pole(36525), j2000)
+
+  const vector = { x: 1, y: 2, z: 3 }
+  const back = toEquatorFrame(poleOrientation(earth, 5000), fromEquatorFrame(poleOrientation(earth, 5000), { ...vector }))
+  assert.ok(Math.abs(back.x - 1) + Math.abs(back.y - 2) + Math.abs(back.z - 3) < 1e-12)
+})
+
+test('with precession on, the equinox drifts west about 50" a year', () => {
+  const catalog = createCatalog(BODIES, { precession: true })
+  const { precession, tilt } = poleOrientation(getBody('earth'), 36525, { tilt: 0, precession: 0 }, catalog)
+  assert.ok(Math.abs(precession / (Math.PI / 180) + 1.397) < 1e-3)
+  assert.ok(Math.abs(tilt / (Math.PI / 180) - (23.44 - 0.013)) < 1e-4)
+
+  assert.ok(poleOrientation(getBody('earth'), 36525).precession === 0, 'other catalogs keep precession off')
+})
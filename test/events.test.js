@@ -0,0 +1,54 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { BODIES, createCatalog } from '../src/lib/bodies.js'
+import { SEASONS, findEvents } from '../src/lib/events.js'
+import { dateToSimTime } from '../src/lib/time.js'
+
+const MINUTE = 1 / 1440
+
+test('finds the 2026 eclipses near their published times', () => {
+  const events = findEvents(dateToSimTime(new Date('2026-01-01T00:00:00Z')), dateToSimTime(new Date('2026-09-01T00:00:00Z')), {
+    eclipses: true,
+  })
+  const lunar = events.find((event) => event.title === 'Total lunar eclipse')
+  const solar = events.find((event) => event.title === 'Total solar eclipse')
+
+  assert.ok(lunar, 'total lunar eclipse found')
+  assert.ok(Math.abs(lunar.time - dateToSimTime(new Date('2026-03-03T11:33:00Z'))) < 15 * MINUTE)
+  assert.ok(solar, 'total solar eclipse found')
+  assert.ok(Math.abs(solar.time - dateToSimTime(new Date('2026-08-12T17:46:00Z'))) < 15 * MINUTE)
+})
+
+test('new moons recur every synodic month', () => {
+  const events = findEvents(0, 365 * 4, { phases: true }).filter((event) => event.type === 'new-moon')
+  const mean = (events[events.length - 1].time - events[0].time) / (events.length - 1)
+  assert.ok(Math.abs(mean - 29.5306) < 0.01)
+})
+
+test('finds the 2026 equinoxes and solstices of the axis of date', () => {
+  const events = findEvents(dateToSimTime(new Date('2026-01-01T00:00:00Z')), dateToSimTime(new Date('2027-01-01T00:00:00Z')), {
+    seasons: true,
+    catalog: createCatalog(BODIES, { precession: true }),
+  })
+  const published = ['2026-03-20T14:46:00Z', '2026-06-21T08:24:00Z', '2026-09-23T00:05:00Z', '2026-12-21T20:50:00Z']
+
+  assert.deepEqual(events.map((event) => event.title), SEASONS.map((season) => season.title))
+  events.forEach((event, index) => {
+    assert.ok(Math.abs(event.time - dateToSimTime(new Date(published[index]))) < 30 * MINUTE, event.title)
+  })
+})
+
+test('searches the orbits of the catalog it is given', () => {
+  const start = dateToSimTime(new Date('2026-01-01T00:00:00Z'))
+  const catalog = createCatalog(BODIES.filter((body) => body.id !== 'venus').map((body) =>
+    body.id === 'mars' ? { ...body, orbit: { ...body.orbit, M0: body.orbit.M0 + 90 } } : body,
+  ))
+  const stock = findEvents(start, start + 365, { conjunctions: true })
+  const scenario = findEvents(start, start + 365, { conjunctions: true, catalog })
+  const times = (events, title) => events.filter((event) => event.title === title).map((event) => event.time)
+
+  assert.ok(stock.some((event) => event.title.includes('Venus')))
+  assert.ok(!scenario.some((event) => event.title.includes('Venus')))
+  assert.deepEqual(times(scenario, 'Saturn–Neptune conjunction'), times(stock, 'Saturn–Neptune conjunction'))
+  assert.notDeepEqual(times(scenario, 'Sun–Mars conjunction'), times(stock, 'Sun–Mars conjunction'))
+})
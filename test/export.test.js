@@ -0,0 +1,68 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { AU_KM } from '../src/lib/bodies.js'
+import { exportEphemeris, parseExportQuery, parseStep, sampleEphemeris } from '../src/lib/export.js'
+import { parseDateTime } from '../src/lib/time.js'
+
+const start = parseDateTime('2026-01-01')
+
+test('samples every body at each step, end time included', () => {
+  const rows = sampleEphemeris({ start, end: start + 1, step: 0.25, bodies: ['earth', 'moon'] })
+  assert.equal(rows.length, 10)
+  assert.equal(rows[0].time, '2026-01-01T00:00:00.000Z')
+  assert.equal(rows[rows.length - 1].time, '2026-01-02T00:00:00.000Z')
+})
+
+test('AU output is the km output rescaled', () => {
+  const options = { start, end: start, step: 1, bodies: ['mars'], frame: 'geocentric' }
+  const [km] = sampleEphemeris(options)
+  const [au] = sampleEphemeris({ ...options, unit: 'au' })
+  assert.ok(Math.abs(au.x - km.x / AU_KM) < 1e-12)
+  assert.ok(Math.abs(au.parentDistance - km.parentDistance / AU_KM) < 1e-12)
+  assert.ok(Math.abs(au.vz - (km.vz * 86400) / AU_KM) < 1e-12)
+})
+
+test('phase angle is near 180° at new moon and unset for the Sun and Earth', () => {
+  // New moon of 2026-01-18 19:52 UTC.
+  const time = parseDateTime('2026-01-18T19:52')
+  const rows = sampleEphemeris({ start: time, end: time, step: 1, bodies: ['sun', 'earth', 'moon'] })
+  assert.equal(rows[0].phaseAngle, null)
+  assert.equal(rows[1].phaseAngle, null)
+  assert.ok(rows[2].phaseAngle > 170)
+})
+
+test('scene units place the frame origin body at zero', () => {
+  const [earth] = sampleEphemeris({ start, end: start, step: 1, bodies: ['earth'], frame: 'geocentric', unit: 'scene' })
+  assert.ok(Math.hypot(earth.x, earth.y, earth.z) < 1e-9)
+})
+
+test('CSV has a header with units and one line per row', () => {
+  const { content, mimeType, filename } = exportEphemeris({ start, end: start + 1, step: 1, bodies: ['moon'], unit: 'au' })
+  const lines = content.trim().split('\n')
+  assert.equal(mimeType, 'text/csv')
+  assert.equal(filename, 'ephemeris-2026-01-01-2026-01-02.csv')
+  assert.match(lines[0], /^time_utc,days_since_j2000,body,x_au,.*,vx_au_per_d,.*,phase_angle_deg$/)
+  assert.equal(lines.length, 3)
+})
+
+test('rejects oversized exports and bad options', () => {
+  assert.throws(() => sampleEphemeris({ start, end: start + 3650, step: 1 / 1440 }), /limit is/)
+  assert.throws(() => sampleEphemeris({ start, end: start + 10, step: 1, maxRows: 10 }), /limit is 10$/)
+  assert.throws(() => sampleEphemeris({ start, end: start - 1, step: 1 }), /before the start/)
+  assert.throws(() => sampleEphemeris({ start, end: start, step: 1, unit: 'furlong' }), /Unknown unit/)
+  assert.throws(() => sampleEphemeris({ start, end: start, step: 1, frame: 'galactic' }), /Unknown reference frame/)
+})
+
+test('parses route query parameters', () => {
+  assert.equal(parseStep('6h'), 0.25)
+  assert.ok(Math.abs(parseStep('30m') - 30 / 1440) < 1e-15)
+  assert.equal(parseStep('2'), 2)
+  assert.equal(parseStep('soon'), null)
+
+  const { options, format } = parseExportQuery(new URLSearchParams('start=2026-01-01&end=2026-01-02T12:00Z&bodies=earth, moon&unit=au'))
+  assert.equal(format, 'json')
+  assert.equal(options.start, start)
+  assert.equal(options.end, start + 1.5)
+  assert.deepEqual(options.bodies, ['earth', 'moon'])
+  assert.throws(() => parseExportQuery(new URLSearchParams('start=2026-01-01')), /start and end are required/)
+})
@@ -0,0 +1,18 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { dayLength, sunSubpoint } from '../src/lib/groundtrack.js'
+import { dateToSimTime } from '../src/lib/time.js'
+
+test('the subsolar point reaches the tropic at the June solstice', () => {
+  const { lat } = sunSubpoint(dateToSimTime(new Date('2026-06-21T08:24:00Z')))
+  assert.ok(Math.abs(lat - 23.44) < 0.01)
+})
+
+test('day length follows latitude and the Sun\'s declination', () => {
+  assert.ok(Math.abs(dayLength(0, 0) - 12.1) < 0.05)
+  // London at midsummer: 16 h 38 min.
+  assert.ok(Math.abs(dayLength(51.5, 23.44) - 16.63) < 0.05)
+  assert.equal(dayLength(80, 23.44), 24)
+  assert.equal(dayLength(80, -23.44), 0)
+  assert.equal(dayLength(-80, 23.44), 0)
+})
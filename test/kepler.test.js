@@ -0,0 +1,23 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { TWO_PI, solveKepler, trueAnomaly } from '../src/lib/kepler.js'
+
+// Residual of Kepler's equation, wrapped to ±π since E comes back reduced.
+function residual(E, e, M) {
+  const value = E - e * Math.sin(E) - M
+  return value - TWO_PI * Math.round(value / TWO_PI)
+}
+
+test('solveKepler satisfies Kepler\'s equation', () => {
+  for (const e of [0, 0.0167, 0.2056, 0.6, 0.95]) {
+    for (let M = -Math.PI; M <= Math.PI; M += 0.25) {
+      const E = solveKepler(M, e)
+      assert.ok(Math.abs(residual(E, e, M)) < 1e-10, `e=${e} M=${M}`)
+    }
+  }
+})
+
+test('trueAnomaly agrees with the eccentric anomaly at the apsides', () => {
+  assert.ok(Math.abs(trueAnomaly(0, 0.3)) < 1e-12)
+  assert.ok(Math.abs(Math.abs(trueAnomaly(Math.PI, 0.3)) - Math.PI) < 1e-9)
+})
@@ -0,0 +1,63 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { BODIES, createCatalog } from '../src/lib/bodies.js'
+import { VIEW_KEYS, parseViewQuery, viewQuery } from '../src/lib/link.js'
+import { parseDateTime } from '../src/lib/time.js'
+
+function parse(query) {
+  return parseViewQuery(new URLSearchParams(query))
+}
+
+const view = {
+  time: parseDateTime('2026-10-19T12:34:56'),
+  speed: -0.25,
+  paused: true,
+  focus: 'earth',
+  selected: 'sat-25544-0',
+  camera: [1.234567, -2, 30.00001],
+  frame: 'geocentric',
+  paths: 'trails',
+  scale: { mode: 'log', exaggeration: 3 },
+}
+
+test('a view survives the round trip through a query', () => {
+  const query = viewQuery(view)
+  assert.equal(query, 'time=2026-10-19T12:34:56Z&speed=-0.25&paused=1&focus=earth&select=sat-25544-0&camera=1.2346,-2,30&frame=geocentric&paths=trails&scale=log&size=3')
+  const { view: parsed, errors } = parse(query)
+  assert.deepEqual(errors, [])
+  assert.deepEqual(parsed, { ...view, camera: [1.2346, -2, 30] })
+})
+
+test('missing values are left out of the query', () => {
+  const settings = viewQuery({ ...view, time: undefined, paused: undefined, focus: null, selected: null, camera: null, scale: { mode: 'stylized', exaggeration: 1 } })
+  assert.equal(settings, 'speed=-0.25&frame=geocentric&paths=trails&scale=stylized')
+  assert.ok([...new URLSearchParams(settings).keys()].every((key) => VIEW_KEYS.includes(key)))
+  assert.deepEqual(parse(''), { view: {}, errors: [] })
+})
+
+test('skips and reports values it cannot read', () => {
+  const { view: parsed, errors } = parse('focus=sat-iss&select=vulcan&camera=0,0,0&paused=maybe&frame=earth')
+  assert.deepEqual(errors, [
+    'paused: must be 1 or 0',
+    'focus: unknown body',
+    'select: unknown body',
+    'camera: must be three numbers x,y,z, not all zero',
+    'frame: unknown reference frame',
+  ])
+  assert.deepEqual(parsed, {})
+})
+
+test('a size without a scale is checked against the stylized scale', () => {
+  assert.deepEqual(parse('size=3'), { view: { scale: { mode: 'stylized', exaggeration: 3 } }, errors: [] })
+  assert.deepEqual(parse('size=2000'), { view: {}, errors: ['size: must be between 1 and 5'] })
+  assert.deepEqual(parse('scale=true&size=2000').view.scale, { mode: 'true', exaggeration: 2000 })
+})
+
+test('checks body ids against the catalog the view is shown with', () => {
+  const catalog = createCatalog([...BODIES, { ...BODIES.find((body) => body.id === 'moon'), id: 'second-moon', name: 'Second Moon' }])
+  assert.deepEqual(parse('focus=second-moon').errors, ['focus: unknown body'])
+  assert.deepEqual(parseViewQuery(new URLSearchParams('focus=second-moon&select=earth'), catalog), {
+    view: { focus: 'second-moon', selected: 'earth' },
+    errors: [],
+  })
+})
@@ -0,0 +1,47 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createMeasurement, formatLightTime, measure } from '../src/lib/measure.js'
+import { getBodyStates, statesById } from '../src/lib/simulation.js'
+import { parseDateTime } from '../src/lib/time.js'
+
+function measureAt(time, from, to, observer) {
+  return measure(statesById(getBodyStates(time)), createMeasurement(from, to, observer))
+}
+
+test('Sun–Earth distance and light time at J2000', () => {
+  const result = measureAt(0, 'sun', 'earth')
+  assert.ok(Math.abs(result.distanceAu - 0.98331) < 1e-4)
+  assert.ok(Math.abs(result.lightTime - 490.7) < 0.5)
+  assert.equal(result.separation, null)
+})
+
+test('Sun–Moon elongation from Earth at the 2026 eclipses', () => {
+  // Total solar eclipse 2026-08-12 17:46 and total lunar eclipse 2026-03-03 11:33 UTC.
+  // Seen from Earth's centre the solar eclipse is off by up to the Moon's
+  // ~0.95° parallax.
+  assert.ok(measureAt(parseDateTime('2026-08-12T17:46'), 'sun', 'moon', 'earth').separation < 1)
+  assert.ok(measureAt(parseDateTime('2026-03-03T11:33'), 'sun', 'moon', 'earth').separation > 179)
+})
+
+test('range rate matches the change in distance', () => {
+  const time = parseDateTime('2026-05-01')
+  const minute = 1 / 1440
+  const rate = measureAt(time, 'earth', 'mars').rangeRate
+  const change = (measureAt(time + minute, 'earth', 'mars').distance - measureAt(time - minute, 'earth', 'mars').distance) / 120
+  assert.ok(Math.abs(rate - change) < 1e-6)
+  assert.ok(measureAt(time, 'earth', 'mars').relativeSpeed >= Math.abs(rate))
+})
+
+test('rejects bad pairs and drops an observer at either end', () => {
+  assert.throws(() => createMeasurement('earth', 'earth'), /two different bodies/)
+  assert.throws(() => createMeasurement('earth', 'vulcan'), /Unknown body "vulcan"/)
+  assert.equal(createMeasurement('sun', 'earth', 'earth').observer, null)
+  assert.equal(createMeasurement('sun', 'moon', 'earth').id, 'sun-moon-earth')
+})
+
+test('formats light time', () => {
+  assert.equal(formatLightTime(1.282), '1.28 s')
+  assert.equal(formatLightTime(499.2), '8 min 19 s')
+  assert.equal(formatLightTime(3599.7), '1 h 0 min')
+  assert.equal(formatLightTime(14990), '4 h 10 min')
+})
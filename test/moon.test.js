@@ -0,0 +1,46 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { lunarCycle, moonLibration, moonPhase, phasePath } from '../src/lib/moon.js'
+import { dateToSimTime, parseDateTime } from '../src/lib/time.js'
+
+function near(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`)
+}
+
+test('optical libration matches Meeus example 53.a', () => {
+  const { longitude, latitude } = moonLibration(dateToSimTime(new Date('1992-04-12T00:00:00Z')))
+  near(longitude, -1.206, 0.02)
+  near(latitude, 4.194, 0.02)
+})
+
+test('the Moon keeps its near side toward Earth', () => {
+  for (let time = 0; time < 400; time += 1.7) {
+    const { longitude, latitude } = moonLibration(time)
+    assert.ok(Math.abs(longitude) < 8.5 && Math.abs(latitude) < 7, `libration ${longitude}, ${latitude} at ${time}`)
+  }
+})
+
+test('phases follow the Sun–Earth–Moon geometry', () => {
+  const full = moonPhase(parseDateTime('2026-10-26T04:12'))
+  assert.equal(full.name, 'Full moon')
+  assert.ok(full.illumination > 0.99)
+
+  const waxing = moonPhase(parseDateTime('2026-10-19T12:00'))
+  assert.equal(waxing.name, 'First quarter')
+  assert.ok(waxing.waxing)
+  near(waxing.illumination, 0.58, 0.03)
+})
+
+test('the cycle brackets the current time with published dates', () => {
+  const time = parseDateTime('2026-10-19T12:00')
+  const { previousNew, nextNew, nextFull } = lunarCycle(time)
+  near(previousNew, parseDateTime('2026-10-10T15:50'), 0.05)
+  near(nextFull, parseDateTime('2026-10-26T04:12'), 0.05)
+  near(nextNew, parseDateTime('2026-11-09T07:02'), 0.05)
+})
+
+test('phase icons light the right side while waxing', () => {
+  assert.equal(phasePath({ phaseAngle: 90, waxing: true }, 10), 'M 0 -10 A 10 10 0 0 1 0 10 A 0 10 0 0 1 0 -10 Z')
+  assert.equal(phasePath({ phaseAngle: 120, waxing: true }, 10), 'M 0 -10 A 10 10 0 0 1 0 10 A 5 10 0 0 0 0 -10 Z')
+  assert.equal(phasePath({ phaseAngle: 60, waxing: false }, 10), 'M 0 -10 A 10 10 0 0 0 0 10 A 5 10 0 0 0 0 -10 Z')
+})
@@ -0,0 +1,114 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { getBody } from '../src/lib/bodies.js'
+import { initialPhysicsState } from '../src/lib/ephemeris.js'
+import { orbitalPosition, orbitalVelocity } from '../src/lib/kepler.js'
+import { SECONDS_PER_DAY, addBody, advance, bodyIndex, createSystem, removeBody, stableStep, totalEnergy } from '../src/lib/nbody.js'
+
+const YEAR = 365.25
+
+function positionOf(system, id) {
+  const index = bodyIndex(system, id) * 3
+  return { x: system.position[index], y: system.position[index + 1], z: system.position[index + 2] }
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z)
+}
+
+// A massless probe on Earth's orbit around a fixed Sun, with the period that
+// orbit has under the Sun's GM alone.
+function probeOrbit() {
+  const sun = getBody('sun')
+  const { a, e, i, node, peri, M0 } = getBody('earth').orbit
+  const orbit = { a, e, i, node, peri, M0, period: 2 * Math.PI * Math.sqrt(a ** 3 / (sun.gm * SECONDS_PER_DAY ** 2)) }
+  const position = orbitalPosition(orbit, 0)
+  const velocity = orbitalVelocity(orbit, 0)
+  const system = createSystem([
+    { id: 'sun', gm: sun.gm, position: [0, 0, 0], velocity: [0, 0, 0] },
+    { id: 'probe', parent: 'sun', position: [position.x, position.y, position.z], velocity: [velocity.x, velocity.y, velocity.z] },
+  ], 0)
+  return { orbit, system }
+}
+
+test('the solar system conserves energy over an Earth orbit', () => {
+  const system = createSystem(initialPhysicsState(0), 0)
+  const energy = totalEnergy(system)
+  advance(system, YEAR)
+  assert.equal(system.time, YEAR)
+  assert.ok(Math.abs(totalEnergy(system) / energy - 1) < 1e-8)
+})
+
+test('a two-body orbit follows the Keplerian ephemeris for a year', () => {
+  const { orbit, system } = probeOrbit()
+  for (let time = YEAR / 4; time <= YEAR; time += YEAR / 4) {
+    advance(system, time)
+    const expected = orbitalPosition(orbit, time)
+    const error = distance(positionOf(system, 'probe'), expected)
+    assert.ok(error < 0.005 * Math.hypot(expected.x, expected.y, expected.z), `${error} km off at day ${time}`)
+  }
+})
+
+test('advance splits a span into equal steps no longer than the stable step', () => {
+  const { system } = probeOrbit()
+  const step = stableStep(system)
+  assert.equal(advance(system, 10.5 * step), 11)
+  assert.equal(system.time, 10.5 * step)
+  assert.equal(advance(system, system.time), 0)
+
+  assert.equal(advance(system, -20 * step, 5), 5)
+  assert.ok(Math.abs(system.time - (10.5 * step - (30.5 * step * 5) / 31)) < 1e-9)
+})
+
+test('bodies can be added next to a parent and removed', () => {
+  const system = createSystem(initialPhysicsState(0), 0)
+  const count = system.ids.length
+  const earth = positionOf(system, 'earth')
+  const step = system.step
+
+  assert.equal(addBody(system, { id: 'probe', parent: 'earth', distance: 50000, tangentialSpeed: 2 }), count)
+  assert.equal(system.ids.length, count + 1)
+  assert.equal(system.parents[count], 'earth')
+  assert.ok(Math.abs(distance(positionOf(system, 'probe'), earth) - 50000) < 1e-6)
+  assert.ok(system.step < step, 'a tight orbit shortens the step')
+  assert.throws(() => addBody(system, { id: 'probe', parent: 'earth', distance: 1 }), /already exists/)
+  assert.throws(() => addBody(system, { id: 'other', parent: 'vulcan', distance: 1 }), /Unknown parent body "vulcan"/)
+
+  advance(system, 1)
+  assert.ok(system.ids.every((id) => Number.isFinite(positionOf(system, id).x)))
+
+  assert.equal(removeBody(system, 'probe'), true)
+  assert.equal(removeBody(system, 'probe'), false)
+  assert.equal(system.ids.length, count)
+  assert.equal(system.position.length, count * 3)
+  assert.equal(bodyIndex(system, 'probe'), -1)
+})
+
+test('the worker reports a lagging state when a request needs too many steps', async () => {
+  const messages = []
+  globalThis.self = { postMessage: (message) => messages.push(message) }
+  await import('../src/workers/nbody.worker.js')
+  const send = (data) => {
+    self.onmessage({ data })
+    return messages.at(-1)
+  }
+
+  const start = send({ type: 'init', time: 0, bodies: initialPhysicsState(0), extras: [] })
+  assert.equal(start.type, 'state')
+  assert.equal(start.lagging, false)
+
+  const behind = send({ type: 'advance', time: 10 * YEAR })
+  assert.equal(behind.lagging, true)
+  assert.ok(behind.time > 0 && behind.time < 10 * YEAR)
+
+  const caughtUp = send({ type: 'advance', time: behind.time + 1 })
+  assert.equal(caughtUp.lagging, false)
+  assert.equal(caughtUp.time, behind.time + 1)
+
+  const added = send({ type: 'add', body: { id: 'probe', parent: 'earth', distance: 50000 } })
+  assert.ok(added.ids.includes('probe'))
+  assert.equal(added.positions.length, added.ids.length * 3)
+  assert.ok(!send({ type: 'remove', id: 'probe' }).ids.includes('probe'))
+  assert.deepEqual(send({ type: 'add', body: { id: 'other', parent: 'vulcan', distance: 1 } }), { type: 'error', message: 'Unknown parent body "vulcan"' })
+  delete globalThis.self
+})
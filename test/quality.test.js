@@ -0,0 +1,45 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { QUALITY_LEVELS, canvasDpr, createFrameMonitor, frameRate, getQualityLevel, recordFrame, sphereSegments } from '../src/lib/quality.js'
+
+// Feeds `seconds` of frames at `fps` and collects the level changes.
+function run(monitor, fps, seconds, start = 0) {
+  const changes = []
+  const frames = Math.round(fps * seconds)
+  for (let i = 0; i <= frames; i++) {
+    if (recordFrame(monitor, start + (i * 1000) / fps, true)) changes.push(monitor.level)
+  }
+  return { changes, end: start + (frames * 1000) / fps }
+}
+
+test('levels scale the pixel ratio, shadows and sphere detail', () => {
+  assert.equal(getQualityLevel('auto', 1).id, 'medium')
+  assert.equal(getQualityLevel('low', 2).id, 'low')
+  assert.deepEqual(canvasDpr(getQualityLevel('high')), [1, 2])
+  assert.deepEqual(canvasDpr(getQualityLevel('low')), [0.75, 0.75])
+  assert.equal(sphereSegments(96, QUALITY_LEVELS[0]), 48)
+  assert.equal(sphereSegments(16, QUALITY_LEVELS[0]), 12)
+})
+
+test('a slow device steps down one level per run and stays there', () => {
+  const monitor = createFrameMonitor()
+  const slow = run(monitor, 25, 6.5)
+  assert.deepEqual(slow.changes, [1, 0])
+  assert.ok(Math.abs(frameRate(monitor, slow.end) - 25) < 1)
+  assert.deepEqual(run(monitor, 60, 10, slow.end + 1000).changes, [])
+})
+
+test('a fast run steps up, but never back to a level that was too slow', () => {
+  const monitor = createFrameMonitor()
+  const { end } = run(monitor, 30, 3.5)
+  assert.equal(monitor.level, 1)
+  monitor.level = 0
+  assert.deepEqual(run(monitor, 60, 10, end + 1000).changes, [1])
+})
+
+test('pauses between frames are not slow frames', () => {
+  const monitor = createFrameMonitor()
+  for (let i = 0; i < 200; i++) recordFrame(monitor, i * 400, true)
+  assert.equal(monitor.level, QUALITY_LEVELS.length - 1)
+  assert.equal(frameRate(monitor, 200 * 400), null)
+})
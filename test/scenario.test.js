@@ -0,0 +1,102 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync, readdirSync } from 'node:fs'
+import { AU_KM, BODIES, createCatalog, getBody } from '../src/lib/bodies.js'
+import { buildCatalog, createScenario, parseScenario } from '../src/lib/scenario.js'
+import { getBodyState } from '../src/lib/simulation.js'
+import { parseDateTime } from '../src/lib/time.js'
+import { loadSatellites, DEFAULT_TLE } from '../src/lib/tle.js'
+
+const SCENARIO_DIR = new URL('../public/scenarios/', import.meta.url)
+const base = { format: 'solar-system-scenario', version: 1 }
+
+function readScenario(file) {
+  return parseScenario(readFileSync(new URL(file, SCENARIO_DIR), 'utf8'))
+}
+
+test('shipped scenarios are valid and listed in the index', () => {
+  const index = JSON.parse(readFileSync(new URL('index.json', SCENARIO_DIR), 'utf8'))
+  const files = readdirSync(SCENARIO_DIR).filter((file) => file !== 'index.json')
+  assert.deepEqual(index.map((entry) => entry.file).sort(), files.sort())
+  for (const { file, name } of index) {
+    const { scenario, errors } = readScenario(file)
+    assert.deepEqual(errors, [], file)
+    assert.equal(scenario.name, name)
+  }
+})
+
+test('reports every problem with its path', () => {
+  const { scenario, errors } = parseScenario({
+    ...base,
+    colour: 'red',
+    time: { start: 'soon', speed: 0 },
+    view: { frame: 'galactic' },
+    bodies: [{ id: 'Comet', parent: 'pluto' }],
+    overrides: { vulcan: {} },
+  })
+  assert.equal(scenario, null)
+  assert.ok(errors.includes('colour: is not a known property'))
+  assert.ok(errors.includes('time.speed: must not be 0; use "paused" to stop the clock'))
+  assert.ok(errors.some((error) => error.startsWith('time.start:')))
+  assert.ok(errors.some((error) => error.startsWith('view.frame: must be one of')))
+  assert.ok(errors.includes('bodies[0].parent: unknown body "pluto"'))
+  assert.ok(errors.includes('bodies[0].orbit: is required'))
+  assert.ok(errors.some((error) => error.startsWith('overrides.vulcan:')))
+})
+
+test('rejects other formats, newer versions and bad JSON', () => {
+  assert.deepEqual(parseScenario('{').scenario, null)
+  assert.match(parseScenario('{').errors[0], /^Not valid JSON/)
+  assert.match(parseScenario({ format: 'other', version: 1 }).errors[0], /^format:/)
+  assert.match(parseScenario({ ...base, version: 2 }).errors[0], /newer than this app supports/)
+})
+
+test('added bodies join the catalog and follow their orbit', () => {
+  const { scenario } = readScenario('halley-2061.json')
+  const catalog = createCatalog(buildCatalog(scenario))
+  assert.equal(catalog.bodies.length, BODIES.length + 1)
+  assert.equal(getBody('halley'), null)
+  const state = getBodyState('halley', parseDateTime('2061-07-28'), { catalog })
+  const distance = Math.hypot(state.position.x, state.position.y, state.position.z) / AU_KM
+  assert.ok(Math.abs(distance - 0.586) < 0.01)
+})
+
+test('overrides restyle catalog bodies and derive missing periods', () => {
+  const { scenario, errors } = parseScenario({
+    ...base,
+    overrides: { mars: { color: '#ff0000', display: { radius: 1.2 } } },
+    bodies: [{ id: 'probe', name: 'Probe', parent: 'earth', radius: 0.01, color: '#ffffff', orbit: { a: 42164 }, display: { radius: 0.05, distance: 1.5 } }],
+  })
+  assert.deepEqual(errors, [])
+  const catalog = createCatalog(buildCatalog(scenario))
+  assert.equal(getBody('mars', catalog).color, '#ff0000')
+  assert.equal(getBody('mars', catalog).display.radius, 1.2)
+  assert.equal(getBody('mars', catalog).display.distance, getBody('mars').display.distance)
+  assert.ok(Math.abs(getBody('probe', catalog).orbit.period - 0.99727) < 1e-3)
+})
+
+test('an exported scenario loads back to the same state', () => {
+  const time = parseDateTime('2026-10-19T12:00')
+  const { scenario: halley } = readScenario('halley-2061.json')
+  const exported = createScenario({
+    name: 'Saved',
+    time,
+    speed: -2,
+    paused: true,
+    frame: 'geocentric',
+    paths: 'trails',
+    scale: { mode: 'log', exaggeration: 3 },
+    focus: 'moon',
+    cameraPosition: [1.23456789, 2, 3],
+    satellites: loadSatellites(DEFAULT_TLE).satellites,
+    bodies: halley.bodies,
+  })
+  const { scenario, errors } = parseScenario(JSON.stringify(exported))
+  assert.deepEqual(errors, [])
+  assert.equal(scenario.time.start, time)
+  assert.deepEqual(scenario.time, { start: time, speed: -2, paused: true })
+  assert.deepEqual(scenario.view, { frame: 'geocentric', paths: 'trails', scale: { mode: 'log', exaggeration: 3 } })
+  assert.deepEqual(scenario.camera, { focus: 'moon', position: [1.23457, 2, 3] })
+  assert.deepEqual(scenario.bodies, halley.bodies)
+  assert.equal(scenario.satellites.length, 1)
+})
@@ -0,0 +1,95 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { AU_KM, BODIES } from '../src/lib/bodies.js'
+import { eclipticLongitude } from '../src/lib/events.js'
+import { getBodyState, getBodyStates, statesById, updateBodyStates } from '../src/lib/simulation.js'
+import { dateToSimTime } from '../src/lib/time.js'
+
+const length = (v) => Math.hypot(v.x, v.y, v.z)
+
+test('returns a state for every body in catalog order', () => {
+  const states = getBodyStates(0)
+  assert.deepEqual(states.map((state) => state.id), BODIES.map((body) => body.id))
+  for (const state of states) {
+    assert.ok(Number.isFinite(length(state.position)), state.id)
+    assert.ok(Number.isFinite(length(state.velocity)), state.id)
+    assert.ok(Number.isFinite(state.rotation), state.id)
+  }
+})
+
+test('limits states to the requested bodies', () => {
+  const states = getBodyStates(0, { bodies: ['moon', 'earth'] })
+  assert.deepEqual(states.map((state) => state.id), ['moon', 'earth'])
+  assert.equal(statesById(states).moon.parent, 'earth')
+})
+
+test('rejects unknown frames and bodies', () => {
+  assert.throws(() => getBodyStates(0, { frame: 'galactic' }), /Unknown reference frame "galactic"/)
+  assert.throws(() => getBodyState('vulcan', 0), /Unknown body "vulcan"/)
+})
+
+test('places the Sun at the heliocentric origin', () => {
+  const sun = getBodyState('sun', 1234)
+  assert.equal(length(sun.position), 0)
+  assert.equal(length(sun.velocity), 0)
+})
+
+test('centers the frame origin body', () => {
+  const time = 9000
+  assert.ok(length(getBodyState('earth', time, { frame: 'geocentric' }).position) < 1e-6)
+  assert.ok(length(getBodyState('moon', time, { frame: 'moon-centered' }).position) < 1e-6)
+  assert.ok(length(getBodyState('earth', time, { frame: 'earth-fixed' }).velocity) < 1e-9)
+})
+
+test('geocentric Sun mirrors heliocentric Earth', () => {
+  const time = 5000
+  const earth = getBodyState('earth', time).position
+  const sun = getBodyState('sun', time, { frame: 'geocentric' }).position
+  assert.ok(Math.abs(earth.x + sun.x) < 1e-3)
+  assert.ok(Math.abs(earth.y + sun.y) < 1e-3)
+  assert.ok(Math.abs(earth.z + sun.z) < 1e-3)
+})
+
+test('Earth at J2000 matches the published position', () => {
+  const earth = getBodyState('earth', 0)
+  assert.ok(Math.abs(eclipticLongitude(earth.position) - 100.38) < 0.05)
+  assert.ok(Math.abs(length(earth.position) / AU_KM - 0.98331) < 1e-4)
+})
+
+test('orbital speeds stay within their known ranges', () => {
+  for (let time = 0; time < 366; time += 30) {
+    const earth = length(getBodyState('earth', time).velocity)
+    assert.ok(earth > 29.2 && earth < 30.35, `Earth ${earth} km/s`)
+    const moon = length(getBodyState('moon', time, { frame: 'geocentric' }).velocity)
+    assert.ok(moon > 0.95 && moon < 1.1, `Moon ${moon} km/s`)
+  }
+})
+
+test('velocity matches the change in position', () => {
+  const time = dateToSimTime(new Date('2026-06-01T00:00:00Z'))
+  const { velocity } = getBodyState('mars', time)
+  const before = getBodyState('mars', time - 1 / 1440).position
+  const after = getBodyState('mars', time + 1 / 1440).position
+  const seconds = 120
+  assert.ok(Math.abs((after.x - before.x) / seconds - velocity.x) < 1e-6)
+  assert.ok(Math.abs((after.z - before.z) / seconds - velocity.z) < 1e-6)
+})
+
+test('updating states in place matches a fresh snapshot', () => {
+  const time = dateToSimTime(new Date('2026-10-19T12:00:00Z'))
+  const states = updateBodyStates({}, 0)
+  const earth = states.earth
+  updateBodyStates(states, time)
+  assert.equal(states.earth, earth)
+  for (const state of getBodyStates(time)) {
+    assert.deepEqual(states[state.id].position, state.position)
+    assert.equal(states[state.id].rotation, state.rotation)
+  }
+})
+
+test('the Sun\'s latitude in the Earth-fixed frame is its declination', () => {
+  // About 10° S in mid-October; the J2000 axis puts it a tenth of a degree
+  // north of the apparent declination.
+  const sun = getBodyState('sun', dateToSimTime(new Date('2026-10-19T12:00:00Z')), { frame: 'earth-fixed' }).position
+  assert.ok(Math.abs(Math.asin(sun.y / length(sun)) / (Math.PI / 180) + 9.95) < 0.01)
+})
@@ -0,0 +1,88 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { parseScenario, createScenario } from '../src/lib/scenario.js'
+import { TOUR_EASINGS, catmullRom, pathNeighbours, stepLength, transitionProgress } from '../src/lib/tour.js'
+import { parseDateTime } from '../src/lib/time.js'
+
+const base = { format: 'solar-system-scenario', version: 1 }
+
+function close(actual, expected) {
+  actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-12, `${actual} ≠ ${expected}`))
+}
+
+test('easings run from 0 to 1 and ease-in-out is symmetric', () => {
+  for (const [name, easing] of Object.entries(TOUR_EASINGS)) {
+    assert.equal(easing(0), 0, name)
+    assert.equal(easing(1), 1, name)
+  }
+  const ease = TOUR_EASINGS['ease-in-out']
+  assert.ok(Math.abs(ease(0.25) + ease(0.75) - 1) < 1e-12)
+})
+
+test('transitions ease over their duration and a zero duration cuts', () => {
+  assert.equal(transitionProgress({ duration: 4, easing: 'linear' }, 1), 0.25)
+  assert.equal(transitionProgress({ duration: 4 }, 2), 0.5)
+  assert.equal(transitionProgress({ duration: 4 }, 5), 1)
+  assert.equal(transitionProgress({ duration: 0 }, 0), 1)
+  assert.equal(stepLength({ duration: 2, hold: 3 }), 5)
+})
+
+test('the camera spline passes through its keyframes', () => {
+  const points = [[0, 0, 10], [10, 5, 0], [0, 10, -10], [-10, 0, 0]]
+  close(catmullRom(...points, 0), points[1])
+  close(catmullRom(...points, 1), points[2])
+  // Without neighbours the path runs straight along the chord.
+  close(catmullRom(null, points[0], points[1], null, 0.5), [5, 2.5, 5])
+  // With them it bows out, unlike a straight lerp.
+  assert.notDeepEqual(catmullRom(...points, 0.5), [5, 7.5, -5])
+})
+
+test('path neighbours are the keyframes around the segment', () => {
+  const steps = [{ position: [1, 0, 0] }, { position: [2, 0, 0] }, {}, { position: [4, 0, 0] }]
+  assert.deepEqual(pathNeighbours(steps, 0), { before: null, after: [2, 0, 0] })
+  assert.deepEqual(pathNeighbours(steps, 2), { before: [1, 0, 0], after: [4, 0, 0] })
+  assert.deepEqual(pathNeighbours(steps, 3), { before: [2, 0, 0], after: null })
+})
+
+test('tour steps are validated with their paths', () => {
+  const { errors } = parseScenario({
+    ...base,
+    tour: {
+      steps: [
+        { caption: 'Hi', focus: 'vulcan', easing: 'bounce', duration: -1 },
+        { focus: 'earth', target: [0, 0, 0], position: [0, 0, 0], speed: 0 },
+      ],
+    },
+  })
+  assert.ok(errors.includes('tour.steps[0].focus: unknown body "vulcan"'))
+  assert.ok(errors.some((error) => error.startsWith('tour.steps[0].easing: must be one of')))
+  assert.ok(errors.includes('tour.steps[0].duration: must be between 0 and 600'))
+  assert.ok(errors.includes('tour.steps[1].target: only applies with "focus": null'))
+  assert.ok(errors.includes('tour.steps[1].position: must be three numbers [x, y, z], not all zero'))
+  assert.ok(errors.includes('tour.steps[1].speed: must not be 0; use "paused" to stop the clock'))
+  assert.deepEqual(parseScenario({ ...base, tour: { steps: [] } }).errors, ['tour.steps: must be a non-empty array'])
+})
+
+test('a tour survives saving the scenario', () => {
+  const { scenario, errors } = parseScenario({
+    ...base,
+    tour: { steps: [{ caption: 'Launch', time: '1969-07-16T13:32:00Z', focus: null, target: [1, 2, 3] }, { focus: 'moon', position: [1, 1, 1] }] },
+  })
+  assert.deepEqual(errors, [])
+  assert.equal(scenario.tour.steps[0].time, parseDateTime('1969-07-16T13:32'))
+  assert.equal(scenario.tour.steps[0].focus, null)
+
+  const saved = createScenario({
+    name: 'Saved',
+    time: 0,
+    speed: 1,
+    paused: false,
+    frame: 'heliocentric',
+    paths: 'both',
+    scale: { mode: 'stylized', exaggeration: 1 },
+    satellites: [],
+    tour: scenario.tour,
+  })
+  assert.equal(saved.tour.steps[0].time, '1969-07-16T13:32:00Z')
+  assert.deepEqual(parseScenario(JSON.stringify(saved)).scenario.tour, scenario.tour)
+})
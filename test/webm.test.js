@@ -0,0 +1,59 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createWebMWriter } from '../src/lib/webm.js'
+
+const CLUSTER = 0x1f43b675
+const SIMPLE_BLOCK = 0xa3
+const MASTERS = new Set([0x1a45dfa3, 0x18538067, 0x1549a966, 0x1654ae6b, 0xae, 0xe0, CLUSTER])
+
+function fakeChunk(n, fps) {
+  const data = new Uint8Array(100 + n).fill(n)
+  return {
+    type: n % fps === 0 ? 'key' : 'delta',
+    timestamp: Math.round((n * 1e6) / fps),
+    byteLength: data.byteLength,
+    copyTo: (target) => target.set(data),
+  }
+}
+
+function readVint(bytes, offset, keepMarker) {
+  let length = 1
+  while (!(bytes[offset] & (0x80 >> (length - 1)))) length++
+  let value = keepMarker ? bytes[offset] : bytes[offset] & ((0x80 >> (length - 1)) - 1)
+  for (let n = 1; n < length; n++) value = value * 256 + bytes[offset + n]
+  return { value, length }
+}
+
+// Walks the element tree, checking that every element fits its parent, and
+// returns the blocks of each cluster with their relative times.
+function parse(bytes, start = 0, end = bytes.length, clusters = []) {
+  let offset = start
+  while (offset < end) {
+    const id = readVint(bytes, offset, true)
+    const size = readVint(bytes, offset + id.length, false)
+    const body = offset + id.length + size.length
+    if (id.value === CLUSTER) clusters.push({ blocks: [] })
+    if (MASTERS.has(id.value)) parse(bytes, body, body + size.value, clusters)
+    if (id.value === SIMPLE_BLOCK) {
+      clusters[clusters.length - 1].blocks.push({ time: (bytes[body + 1] << 8) | bytes[body + 2], key: bytes[body + 3] === 0x80 })
+    }
+    offset = body + size.value
+  }
+  assert.equal(offset, end)
+  return clusters
+}
+
+test('writes a well-formed WebM with one block per chunk', async () => {
+  const fps = 30
+  const writer = createWebMWriter({ width: 64, height: 36, codecId: 'V_VP9', frameRate: fps })
+  for (let n = 0; n < 75; n++) writer.addChunk(fakeChunk(n, fps))
+
+  const blob = writer.finish()
+  assert.equal(blob.type, 'video/webm')
+  const clusters = parse(new Uint8Array(await blob.arrayBuffer()))
+
+  assert.equal(clusters.length, 3)
+  assert.deepEqual(clusters.map((cluster) => cluster.blocks.length), [30, 30, 15])
+  assert.ok(clusters.every((cluster) => cluster.blocks[0].key && cluster.blocks[0].time === 0))
+  assert.equal(clusters[0].blocks[1].time, 33)
+})